@@ -0,0 +1,439 @@
+// ANSI X12 837 Professional (005010X222A1) claim files for supply billing.
+// buildInterchange() writes one interchange with a claim per patient-month;
+// validate837P() checks the structure of any 837P file without a clearinghouse:
+// envelopes, control numbers, segment counts, the HL hierarchy and the claim loops.
+const VERSION = '005010X222A1';
+const ELEMENT_SEPARATOR = '*';
+const COMPONENT_SEPARATOR = ':';
+const REPETITION_SEPARATOR = '^';
+const SEGMENT_TERMINATOR = '~';
+const MAX_LINES_PER_CLAIM = 50;
+const MAX_DIAGNOSES_PER_CLAIM = 12;
+const HL_LEVELS = { '20': 'billing provider', '22': 'subscriber', '23': 'patient' };
+
+// Delimiters are not allowed inside element values
+function clean(value, maxLength) {
+    const text = (value === null || value === undefined ? '' : String(value))
+        .toUpperCase()
+        .replace(/[*:^~\r\n]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return maxLength ? text.slice(0, maxLength) : text;
+}
+
+function digits(value) {
+    return (value || '').toString().replace(/\D/g, '');
+}
+
+function formatAmount(amount) {
+    return String(Number((parseFloat(amount) || 0).toFixed(2)));
+}
+
+// 2026-09-02 -> 20260902
+function formatDate(value) {
+    return (value || '').toString().slice(0, 10).replace(/-/g, '');
+}
+
+function isValidDate(value) {
+    if (!/^\d{8}$/.test(value)) return false;
+    const date = new Date(Date.UTC(+value.slice(0, 4), +value.slice(4, 6) - 1, +value.slice(6, 8)));
+    return formatDate(date.toISOString()) === value;
+}
+
+// NPIs carry a Luhn check digit calculated with the 80840 health industry prefix
+function isValidNpi(npi) {
+    if (!/^\d{10}$/.test(npi || '')) return false;
+    const number = '80840' + npi;
+    let sum = 0;
+    for (let i = 0; i < number.length; i++) {
+        let digit = parseInt(number[number.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// "Doe, Jane" or "Jane Doe" -> { lastName: 'Doe', firstName: 'Jane' }
+function splitName(name) {
+    const text = (name || '').trim();
+    if (text.includes(',')) {
+        const [lastName, ...rest] = text.split(',');
+        return { lastName: lastName.trim(), firstName: rest.join(' ').trim() };
+    }
+    const parts = text.split(/\s+/);
+    return { lastName: parts.pop() || '', firstName: parts.join(' ') };
+}
+
+// A claim holds at most 50 lines and 12 diagnoses; larger patient-months are split
+function chunkClaimLines(lines) {
+    const chunks = [];
+    let current = null;
+    lines.forEach(line => {
+        const code = clean(line.icd10Code).replace('.', '');
+        const fits = current && current.lines.length < MAX_LINES_PER_CLAIM &&
+            (current.diagnoses.includes(code) || current.diagnoses.length < MAX_DIAGNOSES_PER_CLAIM);
+        if (!fits) {
+            current = { lines: [], diagnoses: [] };
+            chunks.push(current);
+        }
+        if (!current.diagnoses.includes(code)) current.diagnoses.push(code);
+        current.lines.push(Object.assign({}, line, { diagnosisPointer: current.diagnoses.indexOf(code) + 1 }));
+    });
+    return chunks;
+}
+
+function segment(...elements) {
+    while (elements.length > 1 && (elements[elements.length - 1] === '' || elements[elements.length - 1] === undefined)) {
+        elements.pop();
+    }
+    return elements.map(element => element === undefined ? '' : element).join(ELEMENT_SEPARATOR);
+}
+
+// options: {
+//   controlNumber, usage ('P' production or 'T' test), createdAt,
+//   sender: { id, name, contactName, contactPhone }, receiver: { id, name },
+//   billingProvider: { name, npi, taxId, taxonomyCode, address, city, state, zip },
+//   payer: { name, id, claimFilingCode }, placeOfService,
+//   claims: [{ accountNumber, subscriber: { lastName, firstName, memberId, dateOfBirth, gender,
+//              address, city, state, zip }, lines: [{ hcpcs, modifiers, charge, units,
+//              serviceFrom, serviceTo, icd10Code }] }]
+// }
+function buildInterchange(options) {
+    const createdAt = options.createdAt || new Date();
+    const date = createdAt.toISOString().slice(0, 10).replace(/-/g, '');
+    const time = createdAt.toISOString().slice(11, 16).replace(':', '');
+    const control = String(options.controlNumber).padStart(9, '0').slice(-9);
+    const senderId = clean(options.sender.id, 15);
+    const receiverId = clean(options.receiver.id, 15);
+    const provider = options.billingProvider;
+    const payer = options.payer;
+
+    const transaction = [
+        segment('ST', '837', '0001', VERSION),
+        segment('BHT', '0019', '00', control, date, time, 'CH'),
+        segment('NM1', '41', '2', clean(options.sender.name, 60), '', '', '', '', '46', senderId),
+        segment('PER', 'IC', clean(options.sender.contactName, 60), 'TE', digits(options.sender.contactPhone)),
+        segment('NM1', '40', '2', clean(options.receiver.name, 60), '', '', '', '', '46', receiverId),
+        segment('HL', '1', '', '20', '1')
+    ];
+    if (provider.taxonomyCode) {
+        transaction.push(segment('PRV', 'BI', 'PXC', clean(provider.taxonomyCode, 50)));
+    }
+    transaction.push(
+        segment('NM1', '85', '2', clean(provider.name, 60), '', '', '', '', 'XX', digits(provider.npi)),
+        segment('N3', clean(provider.address, 55)),
+        segment('N4', clean(provider.city, 30), clean(provider.state, 2), digits(provider.zip)),
+        segment('REF', 'EI', digits(provider.taxId))
+    );
+
+    let hlNumber = 1;
+    options.claims.forEach(claim => {
+        const subscriber = claim.subscriber;
+        const chunks = chunkClaimLines(claim.lines);
+
+        chunks.forEach((chunk, chunkIndex) => {
+            hlNumber++;
+            const total = chunk.lines.reduce((sum, line) => sum + (parseFloat(line.charge) || 0), 0);
+            const accountNumber = clean(claim.accountNumber, 20 - (chunks.length > 1 ? 2 : 0)) +
+                (chunks.length > 1 ? '-' + (chunkIndex + 1) : '');
+
+            transaction.push(
+                segment('HL', String(hlNumber), '1', '22', '0'),
+                segment('SBR', 'P', '18', '', '', '', '', '', '', clean(payer.claimFilingCode || 'MB', 2)),
+                segment('NM1', 'IL', '1', clean(subscriber.lastName, 60), clean(subscriber.firstName, 35), '', '', '', 'MI', clean(subscriber.memberId, 80)),
+                segment('N3', clean(subscriber.address, 55)),
+                segment('N4', clean(subscriber.city, 30), clean(subscriber.state, 2), digits(subscriber.zip)),
+                segment('DMG', 'D8', formatDate(subscriber.dateOfBirth), clean(subscriber.gender || 'U', 1)),
+                segment('NM1', 'PR', '2', clean(payer.name, 60), '', '', '', '', 'PI', clean(payer.id, 80)),
+                segment('CLM', accountNumber, formatAmount(total), '', '',
+                    [clean(options.placeOfService, 2), 'B', '1'].join(COMPONENT_SEPARATOR), 'Y', 'A', 'Y', 'Y'),
+                segment('HI', ...chunk.diagnoses.map((code, index) => (index === 0 ? 'ABK' : 'ABF') + COMPONENT_SEPARATOR + code))
+            );
+
+            chunk.lines.forEach((line, index) => {
+                const procedure = ['HC', clean(line.hcpcs, 5)].concat((line.modifiers || []).slice(0, 4).map(modifier => clean(modifier, 2)));
+                const from = formatDate(line.serviceFrom);
+                const to = formatDate(line.serviceTo || line.serviceFrom);
+                transaction.push(
+                    segment('LX', String(index + 1)),
+                    segment('SV1', procedure.join(COMPONENT_SEPARATOR), formatAmount(line.charge), 'UN', String(line.units), '', '', String(line.diagnosisPointer)),
+                    from === to ? segment('DTP', '472', 'D8', from) : segment('DTP', '472', 'RD8', from + '-' + to)
+                );
+            });
+        });
+    });
+
+    transaction.push(segment('SE', String(transaction.length + 1), '0001'));
+
+    const isa = ['ISA', '00', ''.padEnd(10), '00', ''.padEnd(10), 'ZZ', senderId.padEnd(15), 'ZZ', receiverId.padEnd(15),
+        date.slice(2), time, REPETITION_SEPARATOR, '00501', control, '0', options.usage === 'T' ? 'T' : 'P', COMPONENT_SEPARATOR
+    ].join(ELEMENT_SEPARATOR);
+
+    return [
+        isa,
+        segment('GS', 'HC', senderId, receiverId, date, time, String(parseInt(control)), 'X', VERSION)
+    ].concat(transaction, [
+        segment('GE', '1', String(parseInt(control))),
+        segment('IEA', '1', control)
+    ]).join(SEGMENT_TERMINATOR + '\n') + SEGMENT_TERMINATOR + '\n';
+}
+
+// Returns { valid, errors, summary }. Delimiters are read from the ISA segment, which is
+// fixed length: element separator at position 3, component separator and segment
+// terminator at positions 104 and 105.
+function validate837P(content) {
+    const errors = [];
+    const summary = { transactions: 0, claims: 0, lines: 0, totalCharge: 0 };
+    const text = (content || '').replace(/^﻿/, '').replace(/^\s+/, '');
+
+    if (!text.startsWith('ISA') || text.length < 106) {
+        return { valid: false, errors: ['File does not start with a complete ISA segment'], summary };
+    }
+
+    const elementSeparator = text[3];
+    const componentSeparator = text[104];
+    const terminator = text[105];
+    const segments = text.split(terminator).map(raw => raw.replace(/^[\r\n]+|[\r\n]+$/g, '')).filter(raw => raw.trim() !== '')
+        .map(raw => raw.split(elementSeparator));
+
+    const fail = (index, message) => errors.push(`Segment ${index + 1} (${segments[index] ? segments[index][0] : 'end of file'}): ${message}`);
+
+    if (segments[0].length !== 17) {
+        fail(0, `ISA must have 16 elements, found ${segments[0].length - 1}`);
+    }
+
+    let groupCount = 0;
+    let group = null;
+    let transaction = null;
+    let claim = null;
+    let subscriber = null;
+    let line = null;
+
+    const closeLine = () => {
+        if (line && !line.hasServiceDate) fail(line.index, `service line ${line.number} has no DTP*472 service date`);
+        line = null;
+    };
+
+    const closeClaim = () => {
+        closeLine();
+        if (!claim) return;
+        if (!claim.diagnoses) fail(claim.index, `claim ${claim.id} has no HI diagnosis segment`);
+        if (claim.lines === 0) fail(claim.index, `claim ${claim.id} has no service lines`);
+        if (claim.lines > MAX_LINES_PER_CLAIM) fail(claim.index, `claim ${claim.id} has ${claim.lines} service lines; the limit is ${MAX_LINES_PER_CLAIM}`);
+        if (Math.abs(claim.lineTotal - claim.total) > 0.005) {
+            fail(claim.index, `claim ${claim.id} total ${formatAmount(claim.total)} does not match its service lines (${formatAmount(claim.lineTotal)})`);
+        }
+        claim.pointers.forEach(({ index, pointer }) => {
+            if (pointer > claim.diagnoses) fail(index, `diagnosis pointer ${pointer} refers to a diagnosis the claim does not have`);
+        });
+        summary.claims++;
+        summary.totalCharge += claim.total;
+        claim = null;
+    };
+
+    segments.forEach((elements, index) => {
+        const id = elements[0];
+
+        if (index === 0) {
+            if (id !== 'ISA') fail(index, 'interchange must start with ISA');
+            return;
+        }
+
+        if (!transaction && !['GS', 'GE', 'ST', 'IEA'].includes(id)) {
+            fail(index, 'segment is outside a transaction set');
+            return;
+        }
+        if (transaction) transaction.segments++;
+
+        switch (id) {
+            case 'GS':
+                if (group) fail(index, 'GS before the previous group was closed');
+                if (elements[1] !== 'HC') fail(index, 'functional group must be HC (health care claim)');
+                if (elements[8] !== VERSION) fail(index, `version must be ${VERSION}`);
+                if (!isValidDate(elements[4] || '')) fail(index, 'invalid group date');
+                group = { control: elements[6], transactions: 0 };
+                groupCount++;
+                break;
+            case 'ST':
+                if (!group) fail(index, 'ST outside a functional group');
+                if (transaction) fail(index, 'ST before the previous transaction set was closed');
+                if (elements[1] !== '837') fail(index, 'transaction set must be 837');
+                if (elements[3] !== VERSION) fail(index, `implementation guide must be ${VERSION}`);
+                transaction = { control: elements[2], segments: 1, hls: {}, lastHl: 0, submitter: false, receiver: false, provider: false };
+                if (group) group.transactions++;
+                summary.transactions++;
+                break;
+            case 'BHT':
+                if (transaction.segments !== 2) fail(index, 'BHT must follow ST');
+                if (!isValidDate(elements[4] || '')) fail(index, 'invalid creation date');
+                break;
+            case 'NM1':
+                if (elements[1] === '41') transaction.submitter = true;
+                if (elements[1] === '40') transaction.receiver = true;
+                if (elements[1] === '85') {
+                    transaction.provider = true;
+                    if (elements[8] !== 'XX' || !isValidNpi(elements[9])) fail(index, 'billing provider needs a valid NPI (XX qualifier)');
+                }
+                if (elements[1] === 'IL' && subscriber) {
+                    subscriber.name = true;
+                    if (!elements[3]) fail(index, 'subscriber last name is required');
+                    if (elements[8] !== 'MI' || !elements[9]) fail(index, 'subscriber member ID (MI) is required');
+                }
+                if (elements[1] === 'PR' && subscriber) {
+                    subscriber.payer = true;
+                    if (!elements[3] || !elements[9]) fail(index, 'payer name and ID are required');
+                }
+                break;
+            case 'REF':
+                if (elements[1] === 'EI' && !/^\d{9}$/.test(elements[2] || '')) fail(index, 'employer ID number must be 9 digits');
+                break;
+            case 'N4':
+                if (elements[2] && !/^[A-Z]{2}$/.test(elements[2])) fail(index, 'state must be a 2 letter code');
+                if (elements[3] && !/^(\d{5}|\d{9})$/.test(elements[3])) fail(index, 'ZIP code must be 5 or 9 digits');
+                break;
+            case 'DMG':
+                if (elements[1] !== 'D8' || !isValidDate(elements[2] || '')) fail(index, 'date of birth must be a valid D8 date');
+                if (!['F', 'M', 'U'].includes(elements[3])) fail(index, 'gender must be F, M or U');
+                break;
+            case 'HL': {
+                closeClaim();
+                const number = parseInt(elements[1]);
+                const level = elements[3];
+                if (number !== transaction.lastHl + 1) fail(index, `HL ${elements[1]} is out of sequence`);
+                if (!HL_LEVELS[level]) fail(index, `unknown hierarchical level ${level}`);
+                if (level === '20' && elements[2]) fail(index, 'billing provider HL cannot have a parent');
+                if (level !== '20' && !transaction.hls[elements[2]]) fail(index, `parent HL ${elements[2]} does not exist`);
+                if (level === '22' && transaction.hls[elements[2]] !== '20') fail(index, 'subscriber HL must be under a billing provider HL');
+                if (subscriber && !subscriber.claims) fail(subscriber.index, `subscriber HL ${subscriber.id} has no claim`);
+                transaction.hls[elements[1]] = level;
+                transaction.lastHl = number;
+                subscriber = level === '20' ? null : { id: elements[1], index, name: false, payer: false, sbr: false, claims: 0 };
+                break;
+            }
+            case 'SBR':
+                if (!subscriber) fail(index, 'SBR outside a subscriber HL');
+                else subscriber.sbr = true;
+                break;
+            case 'CLM': {
+                closeClaim();
+                if (!subscriber) {
+                    fail(index, 'CLM outside a subscriber HL');
+                } else {
+                    subscriber.claims++;
+                    if (!subscriber.sbr || !subscriber.name || !subscriber.payer) {
+                        fail(index, 'claim must follow SBR, subscriber NM1*IL and payer NM1*PR');
+                    }
+                }
+                if (!elements[1] || elements[1].length > 20) fail(index, 'patient control number must be 1-20 characters');
+                const total = parseFloat(elements[2]);
+                if (isNaN(total)) fail(index, 'claim charge must be a number');
+                const facility = (elements[5] || '').split(componentSeparator);
+                if (!/^\d{2}$/.test(facility[0] || '') || facility[1] !== 'B') fail(index, 'CLM05 must be place of service:B:frequency');
+                claim = { id: elements[1], index, total: total || 0, lineTotal: 0, lines: 0, diagnoses: 0, pointers: [], lastLx: 0 };
+                break;
+            }
+            case 'HI':
+                if (!claim) {
+                    fail(index, 'HI outside a claim');
+                    break;
+                }
+                elements.slice(1).forEach((composite, position) => {
+                    const [qualifier, code] = composite.split(componentSeparator);
+                    const expected = position === 0 ? 'ABK' : 'ABF';
+                    if (qualifier !== expected) fail(index, `diagnosis ${position + 1} must use the ${expected} qualifier`);
+                    if (!/^[A-Z][0-9A-Z]{2,6}$/.test(code || '')) fail(index, `invalid ICD-10 code "${code || ''}" (codes are sent without the dot)`);
+                });
+                claim.diagnoses = elements.length - 1;
+                if (claim.diagnoses > MAX_DIAGNOSES_PER_CLAIM) fail(index, `a claim can have at most ${MAX_DIAGNOSES_PER_CLAIM} diagnoses`);
+                break;
+            case 'LX':
+                closeLine();
+                if (!claim) {
+                    fail(index, 'LX outside a claim');
+                    break;
+                }
+                if (parseInt(elements[1]) !== claim.lastLx + 1) fail(index, `LX ${elements[1]} is out of sequence`);
+                claim.lastLx = parseInt(elements[1]) || claim.lastLx + 1;
+                claim.lines++;
+                line = { index, number: elements[1], hasServiceDate: false, service: false };
+                break;
+            case 'SV1': {
+                if (!line) {
+                    fail(index, 'SV1 without an LX service line');
+                    break;
+                }
+                line.service = true;
+                const procedure = (elements[1] || '').split(componentSeparator);
+                if (procedure[0] !== 'HC' || !/^[A-Z]\d{4}$/.test(procedure[1] || '')) fail(index, 'procedure must be an HC qualified HCPCS code');
+                if (procedure.length > 6) fail(index, 'a service line can have at most 4 modifiers');
+                procedure.slice(2).forEach(modifier => {
+                    if (!/^[A-Z0-9]{2}$/.test(modifier)) fail(index, `invalid modifier "${modifier}"`);
+                });
+                const charge = parseFloat(elements[2]);
+                if (isNaN(charge) || charge < 0) fail(index, 'line charge must be a number');
+                if (elements[3] !== 'UN') fail(index, 'units must be reported with the UN qualifier');
+                if (!(parseFloat(elements[4]) > 0)) fail(index, 'unit count must be positive');
+                const pointers = (elements[7] || '').split(componentSeparator).filter(Boolean);
+                if (pointers.length === 0 || pointers.length > 4) fail(index, 'a service line needs 1-4 diagnosis pointers');
+                pointers.forEach(pointer => claim.pointers.push({ index, pointer: parseInt(pointer) || 99 }));
+                claim.lineTotal += charge || 0;
+                summary.lines++;
+                break;
+            }
+            case 'DTP':
+                if (elements[1] === '472') {
+                    if (!line) {
+                        fail(index, 'service date outside a service line');
+                        break;
+                    }
+                    line.hasServiceDate = true;
+                    const dates = (elements[3] || '').split('-');
+                    const validFormat = elements[2] === 'D8' ? dates.length === 1 : elements[2] === 'RD8' && dates.length === 2;
+                    if (!validFormat || !dates.every(isValidDate)) fail(index, 'invalid service date');
+                    else if (dates.length === 2 && dates[0] > dates[1]) fail(index, 'service date range ends before it starts');
+                }
+                break;
+            case 'SE':
+                closeClaim();
+                if (subscriber && !subscriber.claims) fail(subscriber.index, `subscriber HL ${subscriber.id} has no claim`);
+                subscriber = null;
+                if (!transaction.submitter) fail(index, 'missing submitter (NM1*41)');
+                if (!transaction.receiver) fail(index, 'missing receiver (NM1*40)');
+                if (!transaction.provider) fail(index, 'missing billing provider (NM1*85)');
+                if (parseInt(elements[1]) !== transaction.segments) {
+                    fail(index, `segment count ${elements[1]} does not match the ${transaction.segments} segments in the transaction set`);
+                }
+                if (elements[2] !== transaction.control) fail(index, `control number ${elements[2]} does not match ST ${transaction.control}`);
+                transaction = null;
+                break;
+            case 'GE':
+                if (!group) {
+                    fail(index, 'GE without GS');
+                    break;
+                }
+                if (parseInt(elements[1]) !== group.transactions) fail(index, `transaction count ${elements[1]} does not match ${group.transactions}`);
+                if (elements[2] !== group.control) fail(index, `control number ${elements[2]} does not match GS ${group.control}`);
+                group = null;
+                break;
+            case 'IEA':
+                if (transaction) fail(index, 'IEA before the transaction set was closed');
+                if (group) fail(index, 'IEA before the functional group was closed');
+                if (parseInt(elements[1]) !== groupCount) fail(index, `group count ${elements[1]} does not match ${groupCount}`);
+                if (elements[2] !== segments[0][13]) fail(index, `control number ${elements[2]} does not match ISA ${segments[0][13]}`);
+                if (index !== segments.length - 1) fail(index, 'segments found after IEA');
+                break;
+        }
+    });
+
+    if (segments[segments.length - 1][0] !== 'IEA') {
+        errors.push('Interchange is not closed with IEA');
+    }
+
+    summary.totalCharge = formatAmount(summary.totalCharge);
+    return { valid: errors.length === 0, errors, summary };
+}
+
+module.exports = { VERSION, buildInterchange, validate837P, isValidNpi, splitName };
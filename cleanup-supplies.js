@@ -7,30 +7,32 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+// Retires AR codes 700-714. Retired supplies disappear from new tracking but keep their
+// tracking history, so past reports, exports and claims are unchanged.
 async function cleanupSupplies() {
   const client = await pool.connect();
   
   try {
-    console.log('🔄 Starting supply cleanup - Removing ONLY AR codes 700-714...');
+    console.log('🔄 Starting supply cleanup - Retiring ONLY AR codes 700-714...');
     console.log('📋 This will PRESERVE all 600-692 wound care supplies');
     
     await client.query('BEGIN');
 
-    // First, check what supplies exist in the 700-714 range
+    // First, check what active supplies exist in the 700-714 range
     const existingSupplies = await client.query(`
       SELECT code, description, id 
       FROM supplies 
-      WHERE code >= 700 AND code <= 714 
+      WHERE code >= 700 AND code <= 714 AND retired_on IS NULL
       ORDER BY code
     `);
 
     if (existingSupplies.rows.length === 0) {
-      console.log('✅ No supplies found in range 700-714. Nothing to clean up.');
+      console.log('✅ No active supplies found in range 700-714. Nothing to clean up.');
       await client.query('ROLLBACK');
       return;
     }
 
-    console.log(`📋 Found ${existingSupplies.rows.length} supplies to remove (700-714 ONLY):`);
+    console.log(`📋 Found ${existingSupplies.rows.length} supplies to retire (700-714 ONLY):`);
     existingSupplies.rows.forEach(supply => {
       console.log(`   - ${supply.code}: ${supply.description}`);
     });
@@ -44,7 +46,7 @@ async function cleanupSupplies() {
 
     console.log(`\n✅ Preserving ${preservedSupplies.rows[0].count} wound care supplies (600-692)`);
 
-    // Check for any tracking data that uses the 700-714 supplies
+    // Tracking data for the 700-714 supplies stays in place
     const trackingData = await client.query(`
       SELECT COUNT(*) as count, s.code, s.description
       FROM tracking t
@@ -55,36 +57,20 @@ async function cleanupSupplies() {
     `);
 
     if (trackingData.rows.length > 0) {
-      console.log('\n⚠️  WARNING: Found tracking data for supplies 700-714:');
+      console.log('\n📋 Keeping tracking history for supplies 700-714:');
       trackingData.rows.forEach(row => {
         console.log(`   - ${row.code}: ${row.description} (${row.count} tracking records)`);
       });
-      console.log('\n🔄 Removing tracking data for 700-714 supplies...');
-      
-      // Remove tracking data for supplies 700-714 ONLY
-      const deletedTracking = await client.query(`
-        DELETE FROM tracking 
-        WHERE supply_id IN (
-          SELECT id FROM supplies WHERE code >= 700 AND code <= 714
-        )
-      `);
-      
-      console.log(`✅ Removed ${deletedTracking.rowCount} tracking records from 700-714 supplies`);
     }
 
-    // Now remove ONLY the 700-714 supplies
-    const deletedSupplies = await client.query(`
-      DELETE FROM supplies 
-      WHERE code >= 700 AND code <= 714
+    // Retire ONLY the 700-714 supplies, from today on
+    const retiredSupplies = await client.query(`
+      UPDATE supplies 
+      SET retired_on = CURRENT_DATE, updated_at = CURRENT_TIMESTAMP
+      WHERE code >= 700 AND code <= 714 AND retired_on IS NULL
     `);
 
-    console.log(`✅ Removed ${deletedSupplies.rowCount} supply records (700-714 ONLY)`);
-
-    // Update any patient records to current timestamp (for cache invalidation)
-    await client.query(`
-      UPDATE patients 
-      SET updated_at = CURRENT_TIMESTAMP
-    `);
+    console.log(`✅ Retired ${retiredSupplies.rowCount} supply records (700-714 ONLY)`);
 
     await client.query('COMMIT');
 
@@ -94,28 +80,28 @@ async function cleanupSupplies() {
         (SELECT COUNT(*) FROM supplies WHERE code >= 600 AND code <= 692) as wound_care_600_692,
         (SELECT COUNT(*) FROM supplies WHERE code >= 400 AND code <= 414) as respiratory_400_414,
         (SELECT COUNT(*) FROM supplies WHERE code = 272) as med_surgical_272,
-        (SELECT COUNT(*) FROM supplies WHERE code >= 700 AND code <= 714) as removed_700_714,
-        (SELECT COUNT(*) FROM supplies) as total_supplies
+        (SELECT COUNT(*) FROM supplies WHERE code >= 700 AND code <= 714 AND retired_on IS NULL) as active_700_714,
+        (SELECT COUNT(*) FROM supplies WHERE retired_on IS NULL) as active_supplies
     `);
 
     const counts = finalCounts.rows[0];
 
     console.log('\n🎉 Cleanup completed successfully!');
     console.log('📋 Summary:');
-    console.log(`   - Supplies removed (700-714): ${deletedSupplies.rowCount}`);
-    console.log(`   - Tracking records removed: ${trackingData.rows.length > 0 ? trackingData.rows.reduce((sum, row) => sum + parseInt(row.count), 0) : 0}`);
+    console.log(`   - Supplies retired (700-714): ${retiredSupplies.rowCount}`);
+    console.log(`   - Tracking records kept: ${trackingData.rows.reduce((sum, row) => sum + parseInt(row.count), 0)}`);
     
     console.log('\n📊 Remaining supplies:');
     console.log(`   - Wound Care (600-692): ${counts.wound_care_600_692} supplies ✅ PRESERVED`);
     console.log(`   - Respiratory (400-414): ${counts.respiratory_400_414} supplies ✅ PRESERVED`);
     console.log(`   - Med-Surgical (272): ${counts.med_surgical_272} supply ✅ PRESERVED`);
-    console.log(`   - Removed (700-714): ${counts.removed_700_714} supplies (should be 0)`);
-    console.log(`   - Total supplies remaining: ${counts.total_supplies}`);
+    console.log(`   - Still active (700-714): ${counts.active_700_714} supplies (should be 0)`);
+    console.log(`   - Total active supplies: ${counts.active_supplies}`);
 
-    if (counts.removed_700_714 > 0) {
-      console.log('\n⚠️  WARNING: Some 700-714 supplies may still exist!');
+    if (counts.active_700_714 > 0) {
+      console.log('\n⚠️  WARNING: Some 700-714 supplies may still be active!');
     } else {
-      console.log('\n✅ All 700-714 supplies successfully removed!');
+      console.log('\n✅ All 700-714 supplies successfully retired!');
     }
     
   } catch (error) {
@@ -132,26 +132,35 @@ async function initializeDatabase() {
             console.log('ℹ️ Supplies already exist, skipping...');
         }
 
+        // The seeded admin must pick a new password at first sign-in
+        await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false');
+
         // Check if admin user exists
         const adminCheck = await client.query('SELECT COUNT(*) FROM users WHERE email = $1', ['admin@system.com']);
         
         if (parseInt(adminCheck.rows[0].count) === 0) {
+            const initialPassword = process.env.ADMIN_INITIAL_PASSWORD ||
+                (process.env.NODE_ENV === 'production' ? null : 'admin123');
+            if (!initialPassword) {
+                throw new Error('ADMIN_INITIAL_PASSWORD must be set to create the first admin account in production');
+            }
+
             console.log('📄 Creating default admin user...');
             const bcrypt = require('bcryptjs');
-            const hashedPassword = await bcrypt.hash('admin123', 10);
+            const hashedPassword = await bcrypt.hash(initialPassword, 10);
             
             await client.query(
-                'INSERT INTO users (name, email, password, role, is_approved) VALUES ($1, $2, $3, $4, $5)',
-                ['System Administrator', 'admin@system.com', hashedPassword, 'admin', true]
+                'INSERT INTO users (name, email, password, role, is_approved, must_change_password) VALUES ($1, $2, $3, $4, $5, $6)',
+                ['System Administrator', 'admin@system.com', hashedPassword, 'admin', true, true]
             );
-            console.log('✅ Default admin user created (admin@system.com / admin123)');
+            console.log('✅ Default admin user created (admin@system.com)');
         } else {
             console.log('ℹ️ Admin user already exists');
         }
 
         console.log('🎉 Database initialization completed successfully!');
         console.log('📊 You can now use your Wound Care RT Supply Tracker');
-        console.log('👤 Login with: admin@system.com / admin123');
+        console.log('👤 Sign in as admin@system.com with ADMIN_INITIAL_PASSWORD (admin123 outside production) and choose a new password');
 
     } catch (error) {
         console.error('❌ Database initialization failed:', error);
@@ -0,0 +1,58 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing mail. EMAIL_TRANSPORT picks the transport:
+//   smtp    - EMAIL_SERVICE (gmail, sendgrid, ...) or EMAIL_HOST/EMAIL_PORT/EMAIL_SECURE,
+//             with optional EMAIL_USER/EMAIL_PASS. Point EMAIL_HOST at a local
+//             catcher (e.g. MailHog on port 1025) to test without sending real mail.
+//   console - messages are written to the server log instead of being sent.
+// When EMAIL_TRANSPORT is unset, smtp is used if EMAIL_SERVICE or EMAIL_HOST is set.
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER || 'noreply@localhost';
+
+function resolveTransportName() {
+    if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT.toLowerCase();
+    return (process.env.EMAIL_SERVICE || process.env.EMAIL_HOST) ? 'smtp' : 'console';
+}
+
+function createTransport() {
+    const transportName = resolveTransportName();
+
+    if (transportName === 'console') {
+        return {
+            name: 'console',
+            sendMail: async (message) => {
+                console.log(`📧 [console mailer] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+                return { messageId: 'console-' + Date.now() };
+            }
+        };
+    }
+
+    if (transportName !== 'smtp') {
+        throw new Error(`Unknown EMAIL_TRANSPORT "${transportName}" (expected "smtp" or "console")`);
+    }
+
+    const options = process.env.EMAIL_SERVICE ?
+        { service: process.env.EMAIL_SERVICE } :
+        {
+            host: process.env.EMAIL_HOST || 'localhost',
+            port: parseInt(process.env.EMAIL_PORT) || 587,
+            secure: process.env.EMAIL_SECURE === 'true'
+        };
+
+    if (process.env.EMAIL_USER) {
+        options.auth = { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS };
+    }
+
+    const transporter = nodemailer.createTransport(options);
+    return {
+        name: 'smtp',
+        sendMail: (message) => transporter.sendMail(message)
+    };
+}
+
+const transport = createTransport();
+
+async function sendMail({ to, subject, text }) {
+    return transport.sendMail({ from: EMAIL_FROM, to, subject, text });
+}
+
+module.exports = { sendMail, transportName: transport.name };
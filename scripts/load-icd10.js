@@ -0,0 +1,139 @@
+require('dotenv').config();
+const fs = require('fs');
+const { Pool } = require('pg');
+
+// Loads the ICD-10-CM code list used to validate wound diagnoses.
+//
+// Usage: node scripts/load-icd10.js <file> [--replace]
+//
+// Accepted files (download the yearly release from https://www.cms.gov/medicare/coding-billing/icd-10-codes):
+//   icd10cm_codes_YYYY.txt  - "L89623  Pressure ulcer of right heel, stage 3"
+//   icd10cm_order_YYYY.txt  - fixed width order file; only billable codes are loaded
+//   CSV                     - "code,description" with an optional header row
+// --replace removes codes that are not in the file (use when moving to a new release).
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const BATCH_SIZE = 1000;
+const CSV_LINE = /^\s*"?([A-Za-z0-9.]+)"?\s*,\s*(.*)$/;
+
+// L89623 -> L89.623; codes already containing a dot are kept as they are
+function formatCode(raw) {
+  const code = raw.trim().toUpperCase();
+  if (code.includes('.') || code.length <= 3) return code;
+  return code.slice(0, 3) + '.' + code.slice(3);
+}
+
+// "code,description" - the description may be quoted and contain commas
+function parseCsvLine(line) {
+  const match = line.match(CSV_LINE);
+  if (!match) return null;
+  return { code: match[1], description: match[2].replace(/^"|"$/g, '').replace(/""/g, '"') };
+}
+
+// "L89623  Pressure ulcer of right heel, stage 3"
+function parseCodesLine(line) {
+  const match = line.match(/^(\S+)\s+(.+)$/);
+  return match ? { code: match[1], description: match[2] } : null;
+}
+
+function parseLine(line) {
+  if (!line.trim()) return null;
+
+  // Order file: 5-digit order number, code, billable flag, short and long descriptions
+  const order = line.match(/^\d{5} (\S+)\s+([01]) (.{60}) ?(.*)$/);
+  if (order) {
+    if (order[2] !== '1') return null;
+    return { code: order[1], description: (order[4] || order[3]).trim() };
+  }
+
+  const entry = CSV_LINE.test(line) ? parseCsvLine(line) : parseCodesLine(line);
+  if (!entry) return null;
+
+  const code = formatCode(entry.code);
+  if (!/^[A-TV-Z][0-9][0-9A-Z](\.[0-9A-Z]{1,4})?$/.test(code)) return null; // header rows and junk
+  return { code, description: entry.description.trim() };
+}
+
+async function loadIcd10Codes(file, { replace = false } = {}) {
+  const entries = new Map();
+  let skipped = 0;
+
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+    const entry = parseLine(line);
+    if (!entry) {
+      if (line.trim()) skipped++;
+      return;
+    }
+    entries.set(formatCode(entry.code), entry.description);
+  });
+
+  if (entries.size === 0) {
+    throw new Error(`No ICD-10 codes found in ${file}`);
+  }
+
+  console.log(`📋 Read ${entries.size} codes from ${file} (${skipped} lines skipped)`);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS icd10_codes (
+        code VARCHAR(10) PRIMARY KEY,
+        description TEXT NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const rows = [...entries.entries()];
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      const batch = rows.slice(i, i + BATCH_SIZE);
+      await client.query(
+        `INSERT INTO icd10_codes (code, description)
+         SELECT * FROM UNNEST($1::varchar[], $2::text[])
+         ON CONFLICT (code) DO UPDATE SET description = EXCLUDED.description, updated_at = CURRENT_TIMESTAMP`,
+        [batch.map(row => row[0]), batch.map(row => row[1])]
+      );
+    }
+
+    let removed = 0;
+    if (replace) {
+      const result = await client.query('DELETE FROM icd10_codes WHERE code != ALL($1::varchar[])', [[...entries.keys()]]);
+      removed = result.rowCount;
+    }
+
+    await client.query('COMMIT');
+
+    const total = await client.query('SELECT COUNT(*) as count FROM icd10_codes');
+    console.log(`✅ Loaded ${entries.size} ICD-10 codes${replace ? `, removed ${removed}` : ''}. ${total.rows[0].count} codes in the database.`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+
+  if (!file) {
+    console.error('Usage: node scripts/load-icd10.js <file> [--replace]');
+    process.exit(1);
+  }
+
+  loadIcd10Codes(file, { replace: args.includes('--replace') })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ ICD-10 load failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadIcd10Codes };
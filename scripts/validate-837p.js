@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { validate837P } = require('../billing/x12-837p');
+
+// Checks the structure of 837P claim files before they go to the clearinghouse.
+//
+// Usage: node scripts/validate-837p.js <file> [<file> ...]
+//        node scripts/validate-837p.js --fixtures
+//
+// --fixtures validates the sample files in billing/fixtures: files named valid-*
+// must pass and files named invalid-* must fail. Run it after changing the generator
+// or the validator.
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'billing', 'fixtures');
+
+function validateFile(file) {
+  const result = validate837P(fs.readFileSync(file, 'utf8'));
+  const { claims, lines, totalCharge } = result.summary;
+
+  if (result.valid) {
+    console.log(`✅ ${file}: ${claims} claims, ${lines} service lines, $${totalCharge}`);
+  } else {
+    console.log(`❌ ${file}: ${result.errors.length} error${result.errors.length === 1 ? '' : 's'}`);
+    result.errors.forEach(error => console.log(`   - ${error}`));
+  }
+  return result;
+}
+
+function checkFixtures() {
+  const files = fs.readdirSync(FIXTURES_DIR).filter(file => /^(valid|invalid)-/.test(file)).sort();
+  let failures = 0;
+
+  files.forEach(file => {
+    const expectValid = file.startsWith('valid-');
+    const result = validateFile(path.join(FIXTURES_DIR, file));
+    if (result.valid !== expectValid) {
+      failures++;
+      console.log(`   ⚠️  expected ${file} to be ${expectValid ? 'valid' : 'invalid'}`);
+    }
+  });
+
+  console.log(failures === 0 ? `\n🎉 All ${files.length} fixtures behaved as expected` : `\n❌ ${failures} of ${files.length} fixtures did not`);
+  return failures === 0;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--fixtures')) {
+    process.exit(checkFixtures() ? 0 : 1);
+  }
+
+  if (args.length === 0) {
+    console.error('Usage: node scripts/validate-837p.js <file> [<file> ...] | --fixtures');
+    process.exit(1);
+  }
+
+  const results = args.map(validateFile);
+  process.exit(results.every(result => result.valid) ? 0 : 1);
+}
+
+module.exports = { checkFixtures };
@@ -3,16 +3,41 @@ const express = require('express');
 const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const cors = require('cors');
 const path = require('path');
 const multer = require('multer');
 const XLSX = require('xlsx');
+const { sendMail, transportName: mailTransportName } = require('./mailer');
+const totp = require('./totp');
+const supplyRules = require('./supply-rules');
+const x12 = require('./billing/x12-837p');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+const DEFAULT_JWT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+const DEFAULT_ADMIN_EMAIL = 'admin@system.com';
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
+const EMAIL_VERIFICATION_EXPIRY = '24h';
+const PASSWORD_RESET_EXPIRY_MINUTES = 60;
+const ACCESS_TOKEN_EXPIRY = '15m';
+const REFRESH_TOKEN_EXPIRY_DAYS = 7;
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const PASSWORD_RESET_MAX_PER_EMAIL = parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 3;
+const PASSWORD_RESET_MAX_PER_IP = parseInt(process.env.PASSWORD_RESET_MAX_PER_IP) || 10;
+const PASSWORD_RESET_WINDOW_MINUTES = 60;
+const MFA_PREAUTH_EXPIRY = '5m';
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Wound Care RT Supply Tracker';
+const MFA_RECOVERY_CODE_COUNT = 10;
+// Roles that must enroll in two-factor authentication before they can sign in
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES ?? 'admin').split(',').map(role => role.trim()).filter(Boolean);
 
 // MIDDLEWARE
+// Number of proxy hops (e.g. Heroku's router) whose X-Forwarded-For is trusted for req.ip
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : '0')));
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
@@ -39,11 +64,11 @@ const pool = new Pool({
     connectionTimeoutMillis: 2000,
 });
 
-// Database helper function
-async function safeQuery(query, params = []) {
+// Database helper function. Pass the client from withTransaction to run inside its transaction.
+async function safeQuery(query, params = [], client = pool) {
     try {
         console.log('Executing query:', query.substring(0, 100) + '...');
-        const result = await pool.query(query, params);
+        const result = await client.query(query, params);
         console.log('Query successful, returned', result.rows.length, 'rows');
         return result;
     } catch (error) {
@@ -52,6 +77,22 @@ async function safeQuery(query, params = []) {
     }
 }
 
+// Runs fn(client) between BEGIN and COMMIT on one connection; rolls back if it throws
+async function withTransaction(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 // Enhanced month format conversion
 function convertMonthFormat(monthInput) {
     if (!monthInput) return null;
@@ -111,6 +152,429 @@ async function checkMRNDuplicate(mrn, month, facility_id, excludePatientId = nul
     return result.rows.length > 0 ? result.rows[0] : false;
 }
 
+// Returns the active closure for a facility-month, or null when it is open
+async function getMonthClosure(facilityId, month) {
+    if (!facilityId || !month) return null;
+
+    const result = await safeQuery(
+        `SELECT mc.*, f.name as facility_name
+         FROM month_closures mc
+         JOIN facilities f ON mc.facility_id = f.id
+         WHERE mc.facility_id = $1 AND mc.month = $2 AND mc.reopened_at IS NULL`,
+        [facilityId, month]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+// First month (YYYY-MM) non-admin users may view and edit for a facility
+async function getEditableStartMonth(facilityId) {
+    const result = await safeQuery('SELECT editable_start_month($1) as start_month', [facilityId]);
+    return result.rows[0].start_month;
+}
+
+function formatMonthLabel(month) {
+    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+    const [year, monthNum] = month.split('-');
+    return `${monthNames[parseInt(monthNum) - 1]} ${year}`;
+}
+
+function monthClosedMessage(closure) {
+    return `${closure.month} is closed for billing at ${closure.facility_name}. An admin must reopen it before changes can be made.`;
+}
+
+// Record who changed what in the audit log. Errors are logged instead of thrown
+// so a failed audit write never reports an already-saved change as failed.
+// System events (e.g. lockouts) have no req.user and are logged without an actor.
+async function recordAudit(req, { entityType, entityId, action, before = null, after = null, patient = null }) {
+    const snapshot = (row) => {
+        if (!row) return null;
+        const { password, totp_secret, ...rest } = row;
+        return JSON.stringify(rest);
+    };
+
+    try {
+        await safeQuery(
+            `INSERT INTO audit_log (user_id, user_email, entity_type, entity_id, action, patient_id, profile_id, before_data, after_data)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [
+                req.user ? req.user.id : null,
+                req.user ? req.user.email : null,
+                entityType,
+                entityId,
+                action,
+                patient ? patient.id : null,
+                patient ? patient.profile_id : null,
+                snapshot(before),
+                snapshot(after)
+            ]
+        );
+    } catch (error) {
+        console.error(`Failed to record audit entry for ${entityType} ${entityId}:`, error);
+    }
+}
+
+// Record that the requesting user was shown PHI for the given patients. Unlike
+// recordAudit this throws, so a read that cannot be logged is not served.
+// Who the patients were is copied into the entry, so it still reads after they are deleted.
+async function logPhiAccess(req, patientIds) {
+    const ids = [...new Set(patientIds.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+
+    await safeQuery(
+        `INSERT INTO phi_access_log (user_id, user_email, method, route, query, patient_ids, patients, ip_address)
+         SELECT $1, $2, $3, $4, $5, $6, COALESCE((
+             SELECT jsonb_agg(jsonb_build_object(
+                 'id', p.id, 'profile_id', p.profile_id, 'name', p.name, 'mrn', p.mrn,
+                 'month', p.month, 'facility_name', f.name
+             ))
+             FROM patients p
+             LEFT JOIN facilities f ON p.facility_id = f.id
+             WHERE p.id = ANY($6::int[])
+         ), '[]'::jsonb), $7`,
+        [req.user.id, req.user.email, req.method, req.route ? req.route.path : req.path, JSON.stringify(req.query || {}), ids, req.ip]
+    );
+}
+
+// Base URL for links in outgoing email. Only APP_URL is trusted: the Host header of a
+// request is chosen by the client, so a link built from it could point anywhere.
+function appUrl() {
+    if (!process.env.APP_URL) {
+        throw Object.assign(new Error('Emails with links are not available: APP_URL is not configured'), { status: 503 });
+    }
+    return process.env.APP_URL.replace(/\/$/, '');
+}
+
+async function sendVerificationEmail(req, user) {
+    const token = jwt.sign(
+        { purpose: 'verify-email', id: user.id, email: user.email },
+        JWT_SECRET,
+        { expiresIn: EMAIL_VERIFICATION_EXPIRY }
+    );
+    const link = `${appUrl()}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your Wound Care RT Supply Tracker account',
+        text: `Hello ${user.name},\n\n` +
+            `Please verify your email address by opening this link within 24 hours:\n\n${link}\n\n` +
+            'After verification an administrator will review and approve your account.'
+    });
+}
+
+// Let every approved admin, and the managers of the requested facility, know an
+// account is waiting for approval. Mail failures are logged so they never undo
+// the verification that triggered them.
+async function notifyAdminsOfPendingUser(req, user) {
+    try {
+        const admins = await safeQuery(
+            `SELECT email FROM users
+             WHERE is_approved = true AND (role = 'admin' OR (role = 'facility_manager' AND facility_id = $1))`,
+            [user.facility_id]
+        );
+        if (admins.rows.length === 0) return;
+
+        await sendMail({
+            to: admins.rows.map(admin => admin.email).join(', '),
+            subject: `Account pending approval: ${user.name}`,
+            text: `${user.name} (${user.email}) has verified their email address and is waiting for approval` +
+                (user.facility_name ? ` for ${user.facility_name}` : '') + '.\n\n' +
+                `Review pending accounts in the Admin Panel: ${appUrl()}/`
+        });
+    } catch (error) {
+        console.error('Failed to notify admins of pending user:', error);
+    }
+}
+
+// Claim demographics from a patient request body. Returns { error } or { billing }.
+function parsePatientBilling(body) {
+    const dateOfBirth = body.date_of_birth || null;
+    const gender = body.gender ? body.gender.toString().trim().toUpperCase() : null;
+    const memberId = body.member_id && body.member_id.toString().trim() ? body.member_id.toString().trim() : null;
+
+    if (dateOfBirth && (!/^\d{4}-\d{2}-\d{2}$/.test(dateOfBirth) || isNaN(Date.parse(dateOfBirth)) ||
+        dateOfBirth > new Date().toISOString().slice(0, 10))) {
+        return { error: 'Date of birth must be a past date (YYYY-MM-DD)' };
+    }
+    if (gender && !['F', 'M', 'U'].includes(gender)) {
+        return { error: 'Gender must be F, M or U' };
+    }
+    if (memberId && memberId.length > 50) {
+        return { error: 'Member ID must be 50 characters or fewer' };
+    }
+
+    return { billing: { dateOfBirth, gender, memberId } };
+}
+
+// Find or create the patient profile a monthly patient row belongs to.
+// Profiles are keyed by MRN and facility; patients without an MRN get their
+// own profile unless an explicit profileId is passed. A matching MRN under a
+// different name is rejected; renaming is done by editing the patient.
+async function resolvePatientProfile({ profileId, name, mrn, facilityId, admitDate, dischargeDate, billing = {} }) {
+    const cleanMrn = mrn && mrn.trim() ? mrn.trim() : null;
+
+    if (profileId) {
+        const existing = await safeQuery('SELECT * FROM patient_profiles WHERE id = $1', [profileId]);
+        if (existing.rows.length === 0) {
+            throw Object.assign(new Error('Patient profile not found'), { status: 404 });
+        }
+        if (existing.rows[0].facility_id != facilityId) {
+            throw Object.assign(new Error('Patient profile belongs to a different facility'), { status: 400 });
+        }
+        return existing.rows[0];
+    }
+
+    if (cleanMrn) {
+        const existing = await safeQuery(
+            'SELECT * FROM patient_profiles WHERE TRIM(mrn) = $1 AND facility_id = $2',
+            [cleanMrn, facilityId]
+        );
+        if (existing.rows.length > 0) {
+            const profile = existing.rows[0];
+            if (profile.name.trim().toLowerCase() !== String(name).trim().toLowerCase()) {
+                throw Object.assign(
+                    new Error(`MRN "${cleanMrn}" already belongs to patient "${profile.name}"`),
+                    { status: 400 }
+                );
+            }
+
+            const updated = await safeQuery(
+                `UPDATE patient_profiles
+                 SET admit_date = COALESCE($1, admit_date),
+                     discharge_date = COALESCE($2, discharge_date),
+                     date_of_birth = COALESCE($3, date_of_birth),
+                     gender = COALESCE($4, gender),
+                     member_id = COALESCE($5, member_id),
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $6 RETURNING *`,
+                [admitDate || null, dischargeDate || null, billing.dateOfBirth, billing.gender, billing.memberId, profile.id]
+            );
+            return updated.rows[0];
+        }
+    }
+
+    const created = await safeQuery(
+        `INSERT INTO patient_profiles (name, mrn, facility_id, admit_date, discharge_date, date_of_birth, gender, member_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [name, cleanMrn, facilityId, admitDate || null, dischargeDate || null, billing.dateOfBirth, billing.gender, billing.memberId]
+    );
+    return created.rows[0];
+}
+
+// One-time merge of legacy per-month patient rows into profiles. Rows that
+// share an MRN within a facility become episodes of a single profile; rows
+// without an MRN each get their own profile. Safe to run on every startup.
+async function mergePatientEpisodes() {
+    const merged = await safeQuery(`
+        INSERT INTO patient_profiles (name, mrn, facility_id)
+        SELECT DISTINCT ON (facility_id, TRIM(mrn)) name, TRIM(mrn), facility_id
+        FROM patients
+        WHERE profile_id IS NULL AND mrn IS NOT NULL AND TRIM(mrn) != ''
+        ORDER BY facility_id, TRIM(mrn), month DESC
+        ON CONFLICT DO NOTHING
+    `);
+
+    await safeQuery(`
+        UPDATE patients p
+        SET profile_id = pp.id
+        FROM patient_profiles pp
+        WHERE p.profile_id IS NULL
+          AND p.mrn IS NOT NULL AND TRIM(p.mrn) != ''
+          AND pp.facility_id = p.facility_id
+          AND TRIM(pp.mrn) = TRIM(p.mrn)
+    `);
+
+    const orphans = await safeQuery('SELECT id, name, facility_id FROM patients WHERE profile_id IS NULL');
+    for (const patient of orphans.rows) {
+        const profile = await safeQuery(
+            'INSERT INTO patient_profiles (name, facility_id) VALUES ($1, $2) RETURNING id',
+            [patient.name, patient.facility_id]
+        );
+        await safeQuery('UPDATE patients SET profile_id = $1 WHERE id = $2', [profile.rows[0].id, patient.id]);
+    }
+
+    if (merged.rowCount > 0 || orphans.rows.length > 0) {
+        console.log(`Patient profiles: ${merged.rowCount} merged by MRN, ${orphans.rows.length} created for patients without MRN`);
+    }
+}
+
+const WOUND_STATUSES = ['active', 'healed', 'closed'];
+const ICD10_PATTERN = /^[A-TV-Z][0-9][0-9A-Z](\.[0-9A-Z]{1,4})?$/;
+
+// Upper-cases and adds the dot after the category when it was left out (l89623 -> L89.623)
+function normalizeIcd10(code) {
+    const clean = code ? code.toString().trim().toUpperCase() : '';
+    if (/^[A-Z][0-9][0-9A-Z][0-9A-Z]{1,4}$/.test(clean)) {
+        return clean.slice(0, 3) + '.' + clean.slice(3);
+    }
+    return clean;
+}
+
+async function icd10CodesLoaded() {
+    const result = await safeQuery('SELECT EXISTS (SELECT 1 FROM icd10_codes) as loaded');
+    return result.rows[0].loaded;
+}
+
+// Checks a wound diagnosis against the ICD-10 code list. Until a code list has
+// been loaded only the format is checked. Returns { code } or { error }.
+async function validateIcd10Code(value) {
+    const code = normalizeIcd10(value);
+    if (!ICD10_PATTERN.test(code)) {
+        return { error: `"${value}" is not a valid ICD-10 code` };
+    }
+
+    if (await icd10CodesLoaded()) {
+        const known = await safeQuery('SELECT code FROM icd10_codes WHERE code = $1', [code]);
+        if (known.rows.length === 0) {
+            return { error: `ICD-10 code "${code}" was not found in the code list` };
+        }
+    }
+
+    return { code };
+}
+
+// Turn free-text wound_dx values on tracking rows that are not linked to a
+// wound into wounds on the patient's profile, one per distinct value. Values
+// that look like ICD-10 codes become the wound's code; the original text is
+// kept in notes. Runs once, when the wounds table is created.
+async function migrateLegacyWoundDx() {
+    const legacy = await safeQuery(`
+        SELECT DISTINCT p.profile_id, TRIM(t.wound_dx) as wound_dx
+        FROM tracking t
+        JOIN patients p ON t.patient_id = p.id
+        WHERE t.wound_id IS NULL AND t.wound_dx IS NOT NULL AND TRIM(t.wound_dx) != '' AND p.profile_id IS NOT NULL
+    `);
+
+    for (const row of legacy.rows) {
+        let wound = await safeQuery(
+            `SELECT id FROM wounds WHERE profile_id = $1 AND notes = $2 ORDER BY id LIMIT 1`,
+            [row.profile_id, row.wound_dx]
+        );
+        if (wound.rows.length === 0) {
+            const code = normalizeIcd10(row.wound_dx);
+            wound = await safeQuery(
+                `INSERT INTO wounds (profile_id, location, icd10_code, notes)
+                 VALUES ($1, 'Unspecified', $2, $3) RETURNING id`,
+                [row.profile_id, ICD10_PATTERN.test(code) ? code : null, row.wound_dx]
+            );
+        }
+
+        await safeQuery(
+            `UPDATE tracking t SET wound_id = $1
+             FROM patients p
+             WHERE t.patient_id = p.id AND p.profile_id = $2
+               AND t.wound_id IS NULL AND TRIM(t.wound_dx) = $3`,
+            [wound.rows[0].id, row.profile_id, row.wound_dx]
+        );
+    }
+
+    if (legacy.rows.length > 0) {
+        console.log(`Wound registry: linked ${legacy.rows.length} legacy wound DX value(s) to wounds`);
+    }
+}
+
+// Validates and normalizes wound fields from a request body. Returns { error } or { values }.
+async function parseWoundInput(body) {
+    const location = (body.location || '').trim();
+    if (!location) {
+        return { error: 'Wound location is required' };
+    }
+
+    let icd10Code = null;
+    if (body.icd10Code && body.icd10Code.toString().trim()) {
+        const validated = await validateIcd10Code(body.icd10Code);
+        if (validated.error) {
+            return { error: validated.error };
+        }
+        icd10Code = validated.code;
+    }
+
+    const status = body.status || 'active';
+    if (!WOUND_STATUSES.includes(status)) {
+        return { error: 'Status must be one of: ' + WOUND_STATUSES.join(', ') };
+    }
+
+    return {
+        values: {
+            location,
+            woundType: (body.woundType || '').trim() || null,
+            icd10Code: icd10Code || null,
+            onsetDate: body.onsetDate || null,
+            stage: (body.stage || '').trim() || null,
+            status,
+            notes: (body.notes || '').trim() || null
+        }
+    };
+}
+
+const EXUDATE_LEVELS = ['none', 'scant', 'small', 'moderate', 'large'];
+
+function parseMeasurement(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) || number < 0 ? NaN : Math.round(number * 100) / 100;
+}
+
+// Validates and normalizes assessment fields from a request body. Returns { error } or { values }.
+function parseAssessmentInput(body) {
+    if (!body.assessedOn || !/^\d{4}-\d{2}-\d{2}$/.test(body.assessedOn)) {
+        return { error: 'Assessment date is required (YYYY-MM-DD)' };
+    }
+
+    const length = parseMeasurement(body.lengthCm);
+    const width = parseMeasurement(body.widthCm);
+    const depth = parseMeasurement(body.depthCm);
+    if (length === null || width === null) {
+        return { error: 'Length and width are required' };
+    }
+    if ([length, width, depth].some(value => Number.isNaN(value))) {
+        return { error: 'Measurements must be non-negative numbers of centimetres' };
+    }
+
+    const exudate = (body.exudate || '').toLowerCase() || null;
+    if (exudate && !EXUDATE_LEVELS.includes(exudate)) {
+        return { error: 'Exudate must be one of: ' + EXUDATE_LEVELS.join(', ') };
+    }
+
+    return {
+        values: {
+            assessedOn: body.assessedOn,
+            length,
+            width,
+            depth,
+            tissueType: (body.tissueType || '').trim() || null,
+            exudate,
+            stage: (body.stage || '').trim() || null,
+            notes: (body.notes || '').trim() || null
+        }
+    };
+}
+
+function percentChange(from, to) {
+    if (!from) return null;
+    return Math.round((to - from) / from * 1000) / 10;
+}
+
+// Adds area change against the first (baseline) and the previous assessment of
+// the same wound. Expects rows ordered by wound and date; negative means shrinking.
+function withHealingTrend(assessments) {
+    const baselines = {};
+    const previous = {};
+
+    return assessments.map(row => {
+        const area = parseFloat(row.area_cm2);
+        const baseline = baselines[row.wound_id];
+        const last = previous[row.wound_id];
+
+        if (baseline === undefined) baselines[row.wound_id] = area;
+        previous[row.wound_id] = area;
+
+        return Object.assign({}, row, {
+            area_cm2: area,
+            change_from_baseline: baseline === undefined ? null : percentChange(baseline, area),
+            change_from_previous: last === undefined ? null : percentChange(last, area)
+        });
+    });
+}
+
 // Database initialization
 async function initializeDatabase() {
     try {
@@ -147,7 +611,7 @@ async function initializeDatabase() {
                 name VARCHAR(255) NOT NULL,
                 email VARCHAR(255) NOT NULL UNIQUE,
                 password VARCHAR(255) NOT NULL,
-                role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('admin', 'user')),
+                role VARCHAR(30) DEFAULT 'user' CHECK (role IN ('admin', 'facility_manager', 'billing', 'auditor', 'user', 'wound_nurse', 'respiratory_therapist')),
                 facility_id INTEGER REFERENCES facilities(id) ON DELETE SET NULL,
                 is_approved BOOLEAN DEFAULT false,
                 email_verified BOOLEAN DEFAULT true,
@@ -156,6 +620,146 @@ async function initializeDatabase() {
             )
         `);
 
+        // Widen the role check on databases created before the extra roles existed
+        await safeQuery('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+        await safeQuery('ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(30)');
+        await safeQuery(`
+            ALTER TABLE users ADD CONSTRAINT users_role_check
+            CHECK (role IN ('admin', 'facility_manager', 'billing', 'auditor', 'user', 'wound_nurse', 'respiratory_therapist'))
+        `);
+
+        // Create user facilities table - every facility a user works in. users.facility_id
+        // remains the home facility and is always one of the memberships.
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS user_facilities (
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, facility_id)
+            )
+        `);
+
+        await safeQuery('CREATE INDEX IF NOT EXISTS user_facilities_facility_idx ON user_facilities(facility_id)');
+        await safeQuery(`
+            INSERT INTO user_facilities (user_id, facility_id)
+            SELECT id, facility_id FROM users WHERE facility_id IS NOT NULL
+            ON CONFLICT DO NOTHING
+        `);
+
+        // Failed sign-in tracking for account lockout
+        await safeQuery('ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0');
+        await safeQuery('ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE');
+
+        // Two-factor authentication. totp_secret is set at enrollment and only takes effect
+        // once confirmed with a code (totp_enabled); totp_last_step blocks code replay.
+        await safeQuery('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)');
+        await safeQuery('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false');
+        await safeQuery('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT');
+
+        // Set for seeded and admin-assigned passwords; the API stays locked until the user picks their own
+        await safeQuery('ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false');
+
+        // Create recovery codes table - single-use fallback codes for a lost authenticator, stored hashed
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS user_recovery_codes (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                code_hash VARCHAR(64) NOT NULL,
+                used_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery('CREATE INDEX IF NOT EXISTS user_recovery_codes_user_idx ON user_recovery_codes(user_id)');
+
+        // Create login attempts table - every sign-in attempt, used for per-IP throttling
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                id BIGSERIAL PRIMARY KEY,
+                email VARCHAR(255),
+                ip_address VARCHAR(100),
+                success BOOLEAN NOT NULL,
+                reason VARCHAR(50),
+                attempted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery('CREATE INDEX IF NOT EXISTS login_attempts_ip_idx ON login_attempts(ip_address, attempted_at)');
+
+        // Create password reset requests table - every forgot-password request, used to
+        // throttle reset emails per IP and per address
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS password_reset_requests (
+                id BIGSERIAL PRIMARY KEY,
+                email VARCHAR(255),
+                ip_address VARCHAR(100),
+                requested_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery('CREATE INDEX IF NOT EXISTS password_reset_requests_ip_idx ON password_reset_requests(ip_address, requested_at)');
+        await safeQuery('CREATE INDEX IF NOT EXISTS password_reset_requests_email_idx ON password_reset_requests(email, requested_at)');
+
+        // Create user sessions table - one row per sign-in. The refresh token is
+        // rotated on every use; only hashes of the current and previous token are kept
+        // so a replayed old token can be detected and the session revoked.
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS user_sessions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+                previous_token_hash VARCHAR(64),
+                ip_address VARCHAR(100),
+                user_agent TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                revoked_at TIMESTAMP WITH TIME ZONE,
+                revoked_reason VARCHAR(100)
+            )
+        `);
+
+        await safeQuery('CREATE INDEX IF NOT EXISTS user_sessions_user_idx ON user_sessions(user_id)');
+        await safeQuery('CREATE INDEX IF NOT EXISTS user_sessions_previous_token_idx ON user_sessions(previous_token_hash)');
+
+        // Create password reset tokens table - only a SHA-256 hash of each token is stored
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                used_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create patient profiles table - the durable patient identity that
+        // monthly patient rows (episodes) hang off
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS patient_profiles (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                mrn VARCHAR(50),
+                facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+                admit_date DATE,
+                discharge_date DATE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery(`
+            CREATE UNIQUE INDEX IF NOT EXISTS patient_profiles_mrn_facility_unique
+            ON patient_profiles(TRIM(mrn), facility_id)
+            WHERE mrn IS NOT NULL AND TRIM(mrn) != ''
+        `).catch(e => console.log('Profile MRN facility index already exists'));
+
+        // Demographics needed on insurance claims
+        await safeQuery('ALTER TABLE patient_profiles ADD COLUMN IF NOT EXISTS date_of_birth DATE');
+        await safeQuery(`ALTER TABLE patient_profiles ADD COLUMN IF NOT EXISTS gender VARCHAR(1) CHECK (gender IN ('F', 'M', 'U'))`);
+        await safeQuery('ALTER TABLE patient_profiles ADD COLUMN IF NOT EXISTS member_id VARCHAR(50)');
+
         // Create patients table with proper MRN constraints
         await safeQuery(`
             CREATE TABLE IF NOT EXISTS patients (
@@ -180,6 +784,17 @@ async function initializeDatabase() {
             WHERE mrn IS NOT NULL AND TRIM(mrn) != ''
         `).catch(e => console.log('MRN month facility index already exists'));
 
+        // Link each monthly patient row to its profile
+        await safeQuery(`
+            ALTER TABLE patients ADD COLUMN IF NOT EXISTS profile_id INTEGER REFERENCES patient_profiles(id) ON DELETE CASCADE
+        `);
+
+        await safeQuery(`
+            CREATE UNIQUE INDEX IF NOT EXISTS patients_profile_month_unique
+            ON patients(profile_id, month)
+            WHERE profile_id IS NOT NULL
+        `).catch(e => console.log('Profile month index already exists'));
+
         // Create tracking table
         await safeQuery(`
             CREATE TABLE IF NOT EXISTS tracking (
@@ -195,414 +810,5977 @@ async function initializeDatabase() {
             )
         `);
 
-        await initializeDefaultData();
-        console.log('Database initialization completed successfully');
-        
-    } catch (error) {
-        console.error('Database initialization failed:', error);
-        throw error;
-    }
-}
-
-async function initializeDefaultData() {
-    try {
-        // Check if admin exists
-        const adminCheck = await safeQuery('SELECT COUNT(*) FROM users WHERE role = $1', ['admin']);
-        
-        if (parseInt(adminCheck.rows[0].count) === 0) {
-            console.log('Creating default data...');
-            
-            // Create default facilities
-            const facilitiesCheck = await safeQuery('SELECT COUNT(*) FROM facilities');
-            if (parseInt(facilitiesCheck.rows[0].count) === 0) {
-                await safeQuery(`
-                    INSERT INTO facilities (name) VALUES 
-                    ('General Hospital'),
-                    ('Memorial Medical Center'), 
-                    ('St. Mary''s Hospital'),
-                    ('University Medical Center')
-                `);
-                console.log('Default facilities created');
-            }
-            
-            // Create admin user
-            const hashedPassword = await bcrypt.hash('admin123', 12);
-            await safeQuery(
-                'INSERT INTO users (name, email, password, role, is_approved, email_verified) VALUES ($1, $2, $3, $4, $5, $6)',
-                ['System Administrator', 'admin@system.com', hashedPassword, 'admin', true, true]
-            );
-            console.log('Admin user created: admin@system.com / admin123');
-        }
+        // Create wound registry - wounds belong to the patient profile so they
+        // carry over from month to month
+        const woundsTableCheck = await safeQuery(`SELECT to_regclass('wounds') as existing`);
 
-        // Add default supplies
-        const suppliesCheck = await safeQuery('SELECT COUNT(*) FROM supplies');
-        if (parseInt(suppliesCheck.rows[0].count) === 0) {
-            console.log('Adding AR supplies...');
-            const supplies = [
-                { code: 272, description: 'Med/Surgical Supplies', hcpcs: 'B4149', cost: 0.00 },
-                { code: 400, description: 'HME filter holder for trach or vent', hcpcs: 'A7507', cost: 3.49 },
-                { code: 600, description: 'Sterile Gauze sponge 2x2 up to 4x4', hcpcs: 'A6251', cost: 2.78 },
-                { code: 634, description: 'Foam non bordered dressing medium 6x6', hcpcs: 'A6210', cost: 27.84 },
-                { code: 640, description: 'Hydrocolloid dressing pad 16 sq inches', hcpcs: 'A6234', cost: 9.15 }
-            ];
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS wounds (
+                id SERIAL PRIMARY KEY,
+                profile_id INTEGER NOT NULL REFERENCES patient_profiles(id) ON DELETE CASCADE,
+                location VARCHAR(100) NOT NULL,
+                wound_type VARCHAR(50),
+                icd10_code VARCHAR(10),
+                onset_date DATE,
+                stage VARCHAR(30),
+                status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'healed', 'closed')),
+                notes TEXT,
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
 
-            for (const supply of supplies) {
-                await safeQuery(
-                    'INSERT INTO supplies (code, description, hcpcs, cost, is_custom) VALUES ($1, $2, $3, $4, $5)',
-                    [supply.code, supply.description, supply.hcpcs, supply.cost, false]
-                );
-            }
-            console.log('Default supplies added');
-        }
-        
-    } catch (error) {
-        console.error('Failed to initialize default data:', error);
-        throw error;
-    }
-}
+        await safeQuery('CREATE INDEX IF NOT EXISTS wounds_profile_idx ON wounds(profile_id)');
 
-// AUTHENTICATION MIDDLEWARE
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+        // Create ICD-10-CM code list, loaded from the CMS release with scripts/load-icd10.js.
+        // Codes are stored with the dot (L89.623).
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS icd10_codes (
+                code VARCHAR(10) PRIMARY KEY,
+                description TEXT NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
 
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
+        // Create wound assessments - measurements in centimetres, area is length x width
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS wound_assessments (
+                id SERIAL PRIMARY KEY,
+                wound_id INTEGER NOT NULL REFERENCES wounds(id) ON DELETE CASCADE,
+                assessed_on DATE NOT NULL,
+                length_cm NUMERIC(6,2) NOT NULL CHECK (length_cm >= 0),
+                width_cm NUMERIC(6,2) NOT NULL CHECK (width_cm >= 0),
+                depth_cm NUMERIC(6,2) CHECK (depth_cm >= 0),
+                area_cm2 NUMERIC(10,2) GENERATED ALWAYS AS (length_cm * width_cm) STORED,
+                tissue_type VARCHAR(50),
+                exudate VARCHAR(20),
+                stage VARCHAR(30),
+                notes TEXT,
+                assessed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery('CREATE INDEX IF NOT EXISTS wound_assessments_wound_idx ON wound_assessments(wound_id, assessed_on)');
+
+        // Tracking entries are recorded per wound; entries without a wound keep wound_id NULL
+        await safeQuery(`
+            ALTER TABLE tracking ADD COLUMN IF NOT EXISTS wound_id INTEGER REFERENCES wounds(id) ON DELETE SET NULL
+        `);
+
+        await safeQuery('ALTER TABLE tracking DROP CONSTRAINT IF EXISTS tracking_patient_id_supply_id_day_of_month_key');
+        await safeQuery(`
+            CREATE UNIQUE INDEX IF NOT EXISTS tracking_entry_wound_unique
+            ON tracking(patient_id, supply_id, day_of_month, (COALESCE(wound_id, 0)))
+        `);
+
+        // Create supply categories - sections of the AR catalog by code range. Supplies are
+        // assigned to the category whose range contains their code (see assignSupplyCategories).
+        const categoriesTableCheck = await safeQuery(`SELECT to_regclass('supply_categories') as existing`);
+
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS supply_categories (
+                id SERIAL PRIMARY KEY,
+                key VARCHAR(30) NOT NULL UNIQUE,
+                name VARCHAR(100) NOT NULL,
+                code_start INTEGER NOT NULL,
+                code_end INTEGER NOT NULL,
+                sort_order INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CHECK (code_end >= code_start)
+            )
+        `);
+
+        if (!categoriesTableCheck.rows[0].existing) {
+            await safeQuery(`
+                INSERT INTO supply_categories (key, name, code_start, code_end, sort_order) VALUES
+                ('wound_care', 'Wound Care', 600, 692, 1),
+                ('respiratory', 'Respiratory', 400, 414, 2),
+                ('med_surg', 'Med/Surgical', 272, 272, 3)
+            `);
+        }
+
+        await safeQuery(`
+            ALTER TABLE supplies ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES supply_categories(id) ON DELETE SET NULL
+        `);
+
+        // Retired supplies stay in the catalog so their history keeps reporting; from
+        // retired_on on they can no longer be tracked and replacement_supply_id is offered instead
+        await safeQuery('ALTER TABLE supplies ADD COLUMN IF NOT EXISTS retired_on DATE');
+        await safeQuery(`
+            ALTER TABLE supplies ADD COLUMN IF NOT EXISTS replacement_supply_id INTEGER REFERENCES supplies(id) ON DELETE SET NULL
+        `);
+
+        // Deleting a supply must never take its tracking history with it
+        await safeQuery('ALTER TABLE tracking DROP CONSTRAINT IF EXISTS tracking_supply_id_fkey');
+        await safeQuery(`
+            ALTER TABLE tracking ADD CONSTRAINT tracking_supply_id_fkey
+            FOREIGN KEY (supply_id) REFERENCES supplies(id) ON DELETE RESTRICT
+        `);
+
+        // Supply price history. A price takes effect on the first day of a month and applies to
+        // every patient-month from then on; supplies.cost keeps the price in effect today.
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS supply_prices (
+                id SERIAL PRIMARY KEY,
+                supply_id INTEGER NOT NULL REFERENCES supplies(id) ON DELETE CASCADE,
+                cost DECIMAL(10,2) NOT NULL CHECK (cost >= 0),
+                effective_from DATE NOT NULL CHECK (EXTRACT(DAY FROM effective_from) = 1),
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(supply_id, effective_from)
+            )
+        `);
+
+        // Facility contract prices live in the same history. A facility row overrides the catalog
+        // price from its month on; a row without a cost ends the override and goes back to the catalog.
+        await safeQuery('ALTER TABLE supply_prices ADD COLUMN IF NOT EXISTS facility_id INTEGER REFERENCES facilities(id) ON DELETE CASCADE');
+        await safeQuery('ALTER TABLE supply_prices ALTER COLUMN cost DROP NOT NULL');
+        await safeQuery('ALTER TABLE supply_prices DROP CONSTRAINT IF EXISTS supply_prices_supply_id_effective_from_key');
+        await safeQuery('ALTER TABLE supply_prices DROP CONSTRAINT IF EXISTS supply_prices_catalog_cost_check');
+        await safeQuery('ALTER TABLE supply_prices ADD CONSTRAINT supply_prices_catalog_cost_check CHECK (facility_id IS NOT NULL OR cost IS NOT NULL)');
+        await safeQuery(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_supply_prices_unique
+            ON supply_prices (supply_id, (COALESCE(facility_id, 0)), effective_from)
+        `);
+
+        // Catalog price of a supply for a patient-month (YYYY-MM); supplies without a history use their cost
+        await safeQuery(`
+            CREATE OR REPLACE FUNCTION supply_cost(sid INTEGER, for_month VARCHAR) RETURNS NUMERIC AS $$
+                SELECT COALESCE(
+                    (SELECT sp.cost FROM supply_prices sp
+                     WHERE sp.supply_id = sid AND sp.facility_id IS NULL
+                       AND sp.effective_from <= to_date(for_month || '-01', 'YYYY-MM-DD')
+                     ORDER BY sp.effective_from DESC
+                     LIMIT 1),
+                    (SELECT s.cost FROM supplies s WHERE s.id = sid),
+                    0
+                )
+            $$ LANGUAGE sql STABLE
+        `);
+
+        // Price a facility pays for a patient-month: its override in effect, else the catalog price
+        await safeQuery(`
+            CREATE OR REPLACE FUNCTION supply_cost(sid INTEGER, fid INTEGER, for_month VARCHAR) RETURNS NUMERIC AS $$
+                SELECT COALESCE(
+                    (SELECT sp.cost FROM supply_prices sp
+                     WHERE sp.supply_id = sid AND sp.facility_id = fid
+                       AND sp.effective_from <= to_date(for_month || '-01', 'YYYY-MM-DD')
+                     ORDER BY sp.effective_from DESC
+                     LIMIT 1),
+                    supply_cost(sid, for_month)
+                )
+            $$ LANGUAGE sql STABLE
+        `);
+
+        // Facility formularies. A facility with entries only stocks those supplies; a facility
+        // without any keeps the whole catalog.
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS facility_supplies (
+                facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+                supply_id INTEGER NOT NULL REFERENCES supplies(id) ON DELETE CASCADE,
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (facility_id, supply_id)
+            )
+        `);
+
+        // Inventory ledger. Every change to a facility's stock of a supply is a row; on-hand stock
+        // is the sum of quantity. Usage rows come from tracking, counts record the units on the
+        // shelf in counted and the difference to the previous balance in quantity.
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS inventory_transactions (
+                id SERIAL PRIMARY KEY,
+                facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+                supply_id INTEGER NOT NULL REFERENCES supplies(id) ON DELETE RESTRICT,
+                type VARCHAR(20) NOT NULL CHECK (type IN ('receipt', 'count', 'adjustment', 'usage')),
+                quantity INTEGER NOT NULL,
+                counted INTEGER CHECK (counted >= 0),
+                patient_id INTEGER REFERENCES patients(id) ON DELETE SET NULL,
+                notes TEXT,
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await safeQuery('CREATE INDEX IF NOT EXISTS idx_inventory_transactions_item ON inventory_transactions(facility_id, supply_id)');
+
+        // Par level (stock to order up to) and reorder point (stock at which to reorder) per facility and supply
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS inventory_levels (
+                facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+                supply_id INTEGER NOT NULL REFERENCES supplies(id) ON DELETE RESTRICT,
+                par_level INTEGER NOT NULL DEFAULT 0 CHECK (par_level >= 0),
+                reorder_point INTEGER NOT NULL DEFAULT 0 CHECK (reorder_point >= 0),
+                updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (facility_id, supply_id),
+                CHECK (reorder_point <= par_level)
+            )
+        `);
+
+        // Deleting a supply must never take its inventory ledger or par levels with it
+        for (const table of ['inventory_transactions', 'inventory_levels']) {
+            await safeQuery(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_supply_id_fkey`);
+            await safeQuery(`
+                ALTER TABLE ${table} ADD CONSTRAINT ${table}_supply_id_fkey
+                FOREIGN KEY (supply_id) REFERENCES supplies(id) ON DELETE RESTRICT
+            `);
+        }
+
+        // Vendors and their catalog numbers for our supplies. pack_size is the number of units
+        // the vendor sells together; order quantities are rounded up to whole packs.
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS vendors (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(255) UNIQUE NOT NULL,
+                account_number VARCHAR(50),
+                contact_name VARCHAR(255),
+                email VARCHAR(255),
+                phone VARCHAR(30),
+                is_active BOOLEAN NOT NULL DEFAULT true,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS vendor_items (
+                id SERIAL PRIMARY KEY,
+                vendor_id INTEGER NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+                supply_id INTEGER NOT NULL REFERENCES supplies(id) ON DELETE CASCADE,
+                catalog_number VARCHAR(50) NOT NULL,
+                unit_cost DECIMAL(10,2) CHECK (unit_cost >= 0),
+                pack_size INTEGER NOT NULL DEFAULT 1 CHECK (pack_size > 0),
+                is_preferred BOOLEAN NOT NULL DEFAULT false,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(vendor_id, supply_id)
+            )
+        `);
+        // A supply has at most one preferred vendor
+        await safeQuery('CREATE UNIQUE INDEX IF NOT EXISTS idx_vendor_items_preferred ON vendor_items(supply_id) WHERE is_preferred');
+
+        // Purchase orders for one facility from one vendor. Drafts can be edited; submitted
+        // orders are received line by line into the facility's inventory.
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS purchase_orders (
+                id SERIAL PRIMARY KEY,
+                po_number VARCHAR(20) UNIQUE,
+                facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+                vendor_id INTEGER NOT NULL REFERENCES vendors(id),
+                status VARCHAR(20) NOT NULL DEFAULT 'draft'
+                    CHECK (status IN ('draft', 'submitted', 'partial', 'received', 'cancelled')),
+                notes TEXT,
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                submitted_at TIMESTAMP WITH TIME ZONE,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS purchase_order_lines (
+                id SERIAL PRIMARY KEY,
+                purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+                supply_id INTEGER NOT NULL REFERENCES supplies(id) ON DELETE RESTRICT,
+                catalog_number VARCHAR(50),
+                quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+                quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+                unit_cost DECIMAL(10,2),
+                UNIQUE(purchase_order_id, supply_id)
+            )
+        `);
+
+        // Receipts against a purchase order point back to it
+        await safeQuery('ALTER TABLE inventory_transactions ADD COLUMN IF NOT EXISTS purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL');
+
+        // Create supply utilization rules (see supply-rules.js). On first creation the table
+        // is seeded with warn-only change frequencies from the Medicare surgical dressings policy.
+        const rulesTableCheck = await safeQuery(`SELECT to_regclass('supply_rules') as existing`);
+
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS supply_rules (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                hcpcs_start VARCHAR(10) NOT NULL,
+                hcpcs_end VARCHAR(10),
+                period VARCHAR(10) NOT NULL CHECK (period IN ('day', 'week', 'month')),
+                max_units INTEGER NOT NULL CHECK (max_units >= 0),
+                action VARCHAR(10) NOT NULL DEFAULT 'warn' CHECK (action IN ('warn', 'block')),
+                is_active BOOLEAN NOT NULL DEFAULT true,
+                notes TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        if (!rulesTableCheck.rows[0].existing) {
+            await safeQuery(`
+                INSERT INTO supply_rules (name, hcpcs_start, hcpcs_end, period, max_units) VALUES
+                ('Alginate / fiber gelling dressing', 'A6196', 'A6199', 'day', 1),
+                ('Composite dressing', 'A6203', 'A6205', 'week', 3),
+                ('Contact layer', 'A6206', 'A6208', 'week', 1),
+                ('Foam dressing', 'A6209', 'A6214', 'week', 3),
+                ('Gauze, non-impregnated, without border', 'A6216', 'A6218', 'day', 3),
+                ('Gauze, non-impregnated, with border', 'A6219', 'A6221', 'day', 1),
+                ('Hydrocolloid dressing', 'A6234', 'A6239', 'week', 3),
+                ('Hydrogel dressing, without border', 'A6242', 'A6244', 'day', 1),
+                ('Hydrogel dressing, with border', 'A6245', 'A6247', 'week', 3),
+                ('Specialty absorptive dressing, without border', 'A6251', 'A6253', 'day', 1),
+                ('Specialty absorptive dressing, with border', 'A6254', 'A6256', 'week', 4),
+                ('Transparent film', 'A6257', 'A6259', 'week', 3)
+            `);
+        }
+
+        // Create month closures table - a facility-month is locked for billing
+        // while it has a closure row that has not been reopened
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS month_closures (
+                id SERIAL PRIMARY KEY,
+                facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+                month VARCHAR(7) NOT NULL,
+                closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                closed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                reopened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                reopened_at TIMESTAMP WITH TIME ZONE,
+                reopen_reason TEXT
+            )
+        `);
+
+        await safeQuery(`
+            CREATE UNIQUE INDEX IF NOT EXISTS month_closures_open_unique
+            ON month_closures(facility_id, month)
+            WHERE reopened_at IS NULL
+        `).catch(e => console.log('Month closure index already exists'));
+
+        // Create claim lines - billable lines generated from a patient-month's tracking,
+        // one per HCPCS code and wound, reviewed by billing before export
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS claim_lines (
+                id SERIAL PRIMARY KEY,
+                patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+                wound_id INTEGER REFERENCES wounds(id) ON DELETE SET NULL,
+                hcpcs VARCHAR(10) NOT NULL,
+                modifiers TEXT[] NOT NULL DEFAULT '{}',
+                description TEXT,
+                icd10_code VARCHAR(10),
+                wound_location VARCHAR(100),
+                service_from DATE NOT NULL,
+                service_to DATE NOT NULL,
+                days_used INTEGER NOT NULL DEFAULT 0,
+                units INTEGER NOT NULL CHECK (units > 0),
+                charge NUMERIC(12,2) NOT NULL DEFAULT 0,
+                flags TEXT,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+                review_notes TEXT,
+                reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                reviewed_at TIMESTAMP WITH TIME ZONE,
+                generated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery('CREATE INDEX IF NOT EXISTS claim_lines_patient_idx ON claim_lines(patient_id)');
+
+        // Lines sent in an 837P file carry its interchange control number and are left out of later files
+        await safeQuery('ALTER TABLE claim_lines ADD COLUMN IF NOT EXISTS interchange_control_number INTEGER');
+        await safeQuery('ALTER TABLE claim_lines ADD COLUMN IF NOT EXISTS exported_at TIMESTAMP WITH TIME ZONE');
+        await safeQuery('ALTER TABLE claim_lines ADD COLUMN IF NOT EXISTS exported_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+
+        // Create facility billing identifiers used as the billing provider on 837P claim files
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS facility_billing (
+                facility_id INTEGER PRIMARY KEY REFERENCES facilities(id) ON DELETE CASCADE,
+                billing_name VARCHAR(60),
+                npi VARCHAR(10),
+                tax_id VARCHAR(9),
+                taxonomy_code VARCHAR(10),
+                address VARCHAR(55),
+                city VARCHAR(30),
+                state VARCHAR(2),
+                zip VARCHAR(9),
+                payer_name VARCHAR(60),
+                payer_id VARCHAR(80),
+                claim_filing_code VARCHAR(2) NOT NULL DEFAULT 'MB',
+                place_of_service VARCHAR(2) NOT NULL DEFAULT '31',
+                updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery('CREATE SEQUENCE IF NOT EXISTS x12_interchange_control_seq MAXVALUE 999999999 CYCLE');
+
+        // Create per-facility editable window policies. Non-admin users can only
+        // see and edit months from the policy's start month onwards.
+        const policyTableCheck = await safeQuery(`SELECT to_regclass('facility_edit_policies') as existing`);
+
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS facility_edit_policies (
+                facility_id INTEGER PRIMARY KEY REFERENCES facilities(id) ON DELETE CASCADE,
+                mode VARCHAR(20) NOT NULL DEFAULT 'rolling' CHECK (mode IN ('rolling', 'fixed')),
+                months_back INTEGER NOT NULL DEFAULT 1 CHECK (months_back >= 0),
+                start_month VARCHAR(7),
+                updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CHECK (mode = 'rolling' OR start_month IS NOT NULL)
+            )
+        `);
+
+        if (!policyTableCheck.rows[0].existing) {
+            // Facilities that predate the policy table keep the original September 2025 cutoff
+            await safeQuery(`
+                INSERT INTO facility_edit_policies (facility_id, mode, start_month)
+                SELECT id, 'fixed', '2025-09' FROM facilities
+                ON CONFLICT DO NOTHING
+            `);
+        }
+
+        // Facilities without a policy default to the current month plus one previous month
+        await safeQuery(`
+            CREATE OR REPLACE FUNCTION editable_start_month(fid INTEGER) RETURNS VARCHAR AS $$
+                SELECT COALESCE(
+                    (SELECT CASE
+                                WHEN p.mode = 'fixed' THEN p.start_month
+                                ELSE to_char(date_trunc('month', CURRENT_DATE) - make_interval(months => p.months_back), 'YYYY-MM')
+                            END
+                     FROM facility_edit_policies p
+                     WHERE p.facility_id = fid),
+                    to_char(date_trunc('month', CURRENT_DATE) - INTERVAL '1 month', 'YYYY-MM')
+                )
+            $$ LANGUAGE sql STABLE
+        `);
+
+        // Create audit log - patient references are kept without foreign keys so
+        // the history survives deletion of the patient it describes
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                user_email VARCHAR(255),
+                entity_type VARCHAR(50) NOT NULL,
+                entity_id INTEGER,
+                action VARCHAR(20) NOT NULL,
+                patient_id INTEGER,
+                profile_id INTEGER,
+                before_data JSONB,
+                after_data JSONB,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery('CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log(created_at)');
+        await safeQuery('CREATE INDEX IF NOT EXISTS audit_log_profile_idx ON audit_log(profile_id)');
+        await safeQuery('CREATE INDEX IF NOT EXISTS audit_log_user_idx ON audit_log(user_id)');
+
+        // Create PHI access log - append-only, so there are no foreign keys that
+        // could cascade into updates and a trigger rejects UPDATE/DELETE/TRUNCATE
+        await safeQuery(`
+            CREATE TABLE IF NOT EXISTS phi_access_log (
+                id BIGSERIAL PRIMARY KEY,
+                user_id INTEGER,
+                user_email VARCHAR(255),
+                method VARCHAR(10) NOT NULL,
+                route VARCHAR(255) NOT NULL,
+                query JSONB,
+                patient_ids INTEGER[] NOT NULL DEFAULT '{}',
+                ip_address VARCHAR(100),
+                accessed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await safeQuery(`ALTER TABLE phi_access_log ADD COLUMN IF NOT EXISTS patients JSONB NOT NULL DEFAULT '[]'`);
+        await safeQuery('CREATE INDEX IF NOT EXISTS phi_access_log_user_idx ON phi_access_log(user_id, accessed_at)');
+
+        await safeQuery(`
+            CREATE OR REPLACE FUNCTION phi_access_log_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'phi_access_log is append-only';
+            END;
+            $$ LANGUAGE plpgsql
+        `);
+
+        await safeQuery('DROP TRIGGER IF EXISTS phi_access_log_no_modify ON phi_access_log');
+        await safeQuery(`
+            CREATE TRIGGER phi_access_log_no_modify
+            BEFORE UPDATE OR DELETE ON phi_access_log
+            FOR EACH ROW EXECUTE FUNCTION phi_access_log_append_only()
+        `);
+
+        await safeQuery('DROP TRIGGER IF EXISTS phi_access_log_no_truncate ON phi_access_log');
+        await safeQuery(`
+            CREATE TRIGGER phi_access_log_no_truncate
+            BEFORE TRUNCATE ON phi_access_log
+            FOR EACH STATEMENT EXECUTE FUNCTION phi_access_log_append_only()
+        `);
+
+        await mergePatientEpisodes();
+        // Legacy wound DX text is moved onto wounds once, when the registry is first created;
+        // after that, unlinked wound_dx values are validated codes saved on purpose
+        if (!woundsTableCheck.rows[0].existing) {
+            await migrateLegacyWoundDx();
+        }
+        await initializeDefaultData();
+        console.log('Database initialization completed successfully');
+        
+    } catch (error) {
+        console.error('Database initialization failed:', error);
+        throw error;
+    }
+}
+
+async function initializeDefaultData() {
+    try {
+        // Check if admin exists
+        const adminCheck = await safeQuery('SELECT COUNT(*) FROM users WHERE role = $1', ['admin']);
+        
+        if (parseInt(adminCheck.rows[0].count) === 0) {
+            console.log('Creating default data...');
+            
+            // Create default facilities
+            const facilitiesCheck = await safeQuery('SELECT COUNT(*) FROM facilities');
+            if (parseInt(facilitiesCheck.rows[0].count) === 0) {
+                await safeQuery(`
+                    INSERT INTO facilities (name) VALUES 
+                    ('General Hospital'),
+                    ('Memorial Medical Center'), 
+                    ('St. Mary''s Hospital'),
+                    ('University Medical Center')
+                `);
+                console.log('Default facilities created');
+            }
+            
+            // Create admin user. Production must supply its own initial password;
+            // either way it has to be changed at first sign-in.
+            const initialPassword = process.env.ADMIN_INITIAL_PASSWORD ||
+                (process.env.NODE_ENV === 'production' ? null : DEFAULT_ADMIN_PASSWORD);
+            if (!initialPassword) {
+                throw new Error('ADMIN_INITIAL_PASSWORD must be set to create the first admin account in production');
+            }
+
+            const hashedPassword = await bcrypt.hash(initialPassword, 12);
+            await safeQuery(
+                'INSERT INTO users (name, email, password, role, is_approved, email_verified, must_change_password) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                ['System Administrator', DEFAULT_ADMIN_EMAIL, hashedPassword, 'admin', true, true, true]
+            );
+            console.log(`Admin user created: ${DEFAULT_ADMIN_EMAIL} (password must be changed at first sign-in)`);
+        }
+
+        // Databases seeded before must_change_password existed: force rotation of the default password
+        const seedAdmin = await safeQuery('SELECT id, password, must_change_password FROM users WHERE email = $1', [DEFAULT_ADMIN_EMAIL]);
+        if (seedAdmin.rows.length > 0 && !seedAdmin.rows[0].must_change_password &&
+            await bcrypt.compare(DEFAULT_ADMIN_PASSWORD, seedAdmin.rows[0].password)) {
+            await safeQuery('UPDATE users SET must_change_password = true WHERE id = $1', [seedAdmin.rows[0].id]);
+        }
+
+        // Add default supplies
+        const suppliesCheck = await safeQuery('SELECT COUNT(*) FROM supplies');
+        if (parseInt(suppliesCheck.rows[0].count) === 0) {
+            console.log('Adding AR supplies...');
+            const supplies = [
+                { code: 272, description: 'Med/Surgical Supplies', hcpcs: 'B4149', cost: 0.00 },
+                { code: 400, description: 'HME filter holder for trach or vent', hcpcs: 'A7507', cost: 3.49 },
+                { code: 600, description: 'Sterile Gauze sponge 2x2 up to 4x4', hcpcs: 'A6251', cost: 2.78 },
+                { code: 634, description: 'Foam non bordered dressing medium 6x6', hcpcs: 'A6210', cost: 27.84 },
+                { code: 640, description: 'Hydrocolloid dressing pad 16 sq inches', hcpcs: 'A6234', cost: 9.15 }
+            ];
+
+            for (const supply of supplies) {
+                await safeQuery(
+                    'INSERT INTO supplies (code, description, hcpcs, cost, is_custom) VALUES ($1, $2, $3, $4, $5)',
+                    [supply.code, supply.description, supply.hcpcs, supply.cost, false]
+                );
+            }
+            console.log('Default supplies added');
+        }
+
+        await assignSupplyCategories();
+
+        // Supplies without a price history (seeded, or added before it existed) start one from their cost
+        await safeQuery(
+            `INSERT INTO supply_prices (supply_id, cost, effective_from)
+             SELECT s.id, COALESCE(s.cost, 0), $1 FROM supplies s
+             WHERE NOT EXISTS (SELECT 1 FROM supply_prices sp WHERE sp.supply_id = s.id AND sp.facility_id IS NULL)`,
+            [PRICE_HISTORY_START]
+        );
+        
+    } catch (error) {
+        console.error('Failed to initialize default data:', error);
+        throw error;
+    }
+}
+
+// SECURITY SELF-CHECK
+// Configuration problems to report to administrators. Fatal ones stop a production
+// server from starting; the rest are logged at startup and shown on /health.
+async function getSecurityWarnings() {
+    const warnings = [];
+    const production = process.env.NODE_ENV === 'production';
+
+    // The built-in default and the .env.example placeholder both start with this prefix
+    if (!process.env.JWT_SECRET || process.env.JWT_SECRET.startsWith(DEFAULT_JWT_SECRET.slice(0, 25))) {
+        warnings.push({ fatal: true, message: 'JWT_SECRET is missing or still the example placeholder, so anyone can forge sign-in tokens' });
+    } else if (process.env.JWT_SECRET.length < 32) {
+        warnings.push({ fatal: false, message: 'JWT_SECRET is shorter than 32 characters' });
+    }
+
+    const seedAdmin = await safeQuery('SELECT password FROM users WHERE email = $1', [DEFAULT_ADMIN_EMAIL]);
+    if (seedAdmin.rows.length > 0 && await bcrypt.compare(DEFAULT_ADMIN_PASSWORD, seedAdmin.rows[0].password)) {
+        warnings.push({ fatal: true, message: `${DEFAULT_ADMIN_EMAIL} still uses the default password` });
+    }
+
+    const pendingAdmins = await safeQuery(
+        "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND must_change_password = true"
+    );
+    const pendingCount = parseInt(pendingAdmins.rows[0].count);
+    if (pendingCount > 0) {
+        warnings.push({ fatal: false, message: `${pendingCount} admin account(s) have not yet replaced their initial password` });
+    }
+
+    if (!MFA_REQUIRED_ROLES.includes('admin')) {
+        warnings.push({ fatal: false, message: 'Two-factor authentication is not required for admins (MFA_REQUIRED_ROLES)' });
+    }
+
+    if (production && mailTransportName === 'console') {
+        warnings.push({ fatal: false, message: 'Email is only written to the server log (EMAIL_TRANSPORT=console); verification and reset emails are not delivered' });
+    }
+
+    if (production && !process.env.APP_URL) {
+        warnings.push({ fatal: true, message: 'APP_URL is not set, so verification and password reset emails cannot be sent' });
+    }
+
+    return warnings;
+}
+
+// AUTHENTICATION MIDDLEWARE
+// Resolves the bearer token on a request to its user and session.
+// Returns { user } or { status, error } describing why it was rejected.
+async function resolveSession(req) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return { status: 401, error: 'Access token required' };
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return { status: 401, error: 'Access token expired' };
+        }
+        return { status: 403, error: 'Invalid token' };
+    }
+
+    // Purpose-scoped tokens (e.g. email verification links) are not sessions
+    if (claims.purpose || !claims.sid) {
+        return { status: 403, error: 'Invalid token' };
+    }
+
+    // Role and facility come from the database, not the token, so admin
+    // changes apply immediately; revoked sessions stop working at once
+    const result = await safeQuery(
+        `SELECT u.id, u.email, u.role, u.facility_id, u.is_approved, u.must_change_password,
+                ARRAY(SELECT uf.facility_id FROM user_facilities uf WHERE uf.user_id = u.id) as facility_ids
+         FROM user_sessions s
+         JOIN users u ON s.user_id = u.id
+         WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+        [claims.sid, claims.id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].is_approved) {
+        return { status: 401, error: 'Session expired, please sign in again' };
+    }
+
+    const user = result.rows[0];
+    return {
+        user: {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            facilityId: user.facility_id,
+            facilityIds: user.facility_ids,
+            mustChangePassword: user.must_change_password,
+            sessionId: claims.sid
+        }
+    };
+}
+
+// Routes still usable while a password change is pending
+const PASSWORD_CHANGE_ALLOWED_PATHS = ['/api/auth/change-password', '/api/auth/logout'];
+
+const authenticateToken = async (req, res, next) => {
+    try {
+        const session = await resolveSession(req);
+        if (!session.user) {
+            return res.status(session.status).json({ error: session.error });
+        }
+
+        if (session.user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(req.path)) {
+            return res.status(403).json({
+                error: 'You must change your password before continuing',
+                code: 'PASSWORD_CHANGE_REQUIRED'
+            });
+        }
+
+        req.user = session.user;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to verify session' });
+    }
+};
+
+async function recordLoginAttempt(req, email, success, reason = null) {
+    await safeQuery(
+        'INSERT INTO login_attempts (email, ip_address, success, reason) VALUES (LOWER(TRIM($1)), $2, $3, $4)',
+        [email, req.ip, success, reason]
+    );
+}
+
+// Failed attempts grow the response delay: 0.5s, 1s, 2s, ... capped at 8s
+function loginFailureDelay(failures) {
+    const delay = Math.min(500 * Math.pow(2, Math.max(failures - 1, 0)), 8000);
+    return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+function minutesUntil(timestamp) {
+    return Math.max(Math.ceil((new Date(timestamp) - Date.now()) / 60000), 1);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token.toString()).digest('hex');
+}
+
+function issueAccessToken(user, sessionId, facilities) {
+    return jwt.sign(
+        {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            facilityIds: facilities.map(facility => facility.id),
+            sid: sessionId
+        },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRY }
+    );
+}
+
+// Start a server-side session and return its id with the raw refresh token
+async function createSession(req, userId) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const result = await safeQuery(
+        `INSERT INTO user_sessions (user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+         RETURNING id`,
+        [userId, hashToken(refreshToken), req.ip, req.get('user-agent') || null, REFRESH_TOKEN_EXPIRY_DAYS]
+    );
+    return { sessionId: result.rows[0].id, refreshToken };
+}
+
+// Facilities a user works in, home facility first
+async function getUserFacilities(userId) {
+    const result = await safeQuery(
+        `SELECT f.id, f.name
+         FROM user_facilities uf
+         JOIN facilities f ON uf.facility_id = f.id
+         JOIN users u ON uf.user_id = u.id
+         WHERE uf.user_id = $1
+         ORDER BY (f.id = u.facility_id) DESC NULLS LAST, f.name ASC`,
+        [userId]
+    );
+    return result.rows;
+}
+
+// Replace a user's facility memberships. The first id becomes the home facility.
+async function setUserFacilities(userId, facilityIds) {
+    await safeQuery('DELETE FROM user_facilities WHERE user_id = $1 AND NOT (facility_id = ANY($2::int[]))', [userId, facilityIds]);
+    await safeQuery(
+        `INSERT INTO user_facilities (user_id, facility_id)
+         SELECT $1, unnest($2::int[])
+         ON CONFLICT DO NOTHING`,
+        [userId, facilityIds]
+    );
+    await safeQuery('UPDATE users SET facility_id = $2 WHERE id = $1', [userId, facilityIds[0] || null]);
+}
+
+// Accepts facility_ids (array) or the older single facility_id; returns unique integer ids
+function parseFacilityIds(body) {
+    const raw = Array.isArray(body.facility_ids) ? body.facility_ids : [body.facility_id];
+    return [...new Set(raw.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+}
+
+async function revokeUserSessions(userId, reason) {
+    await safeQuery(
+        'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId, reason]
+    );
+}
+
+async function loadUserForLogin(userId) {
+    const result = await safeQuery(
+        `SELECT u.*, f.name as facility_name
+         FROM users u
+         LEFT JOIN facilities f ON u.facility_id = f.id
+         WHERE u.id = $1`,
+        [userId]
+    );
+    return result.rows[0] || null;
+}
+
+function sessionUserPayload(user, facilities) {
+    return {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: ROLE_PERMISSIONS[user.role] || [],
+        facility_id: user.facility_id,
+        facility_name: user.facility_name,
+        facilities,
+        must_change_password: user.must_change_password
+    };
+}
+
+// Count a failed sign-in (bad password or bad second-factor code) and lock the
+// account once the limit is reached. The count restarts so the next window gets
+// a fresh allowance. Returns the updated failure count and lock expiry.
+async function registerLoginFailure(req, user) {
+    const failed = await safeQuery(
+        `UPDATE users SET
+            locked_until = CASE WHEN failed_login_count + 1 >= $2
+                                THEN CURRENT_TIMESTAMP + make_interval(mins => $3)
+                                ELSE NULL END,
+            failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END
+         WHERE id = $1
+         RETURNING failed_login_count, locked_until`,
+        [user.id, LOGIN_MAX_FAILURES, LOGIN_LOCKOUT_MINUTES]
+    );
+
+    if (failed.rows[0].locked_until) {
+        console.log(`🔒 Account locked after ${LOGIN_MAX_FAILURES} failed sign-ins: ${user.email}`);
+        await recordAudit(req, {
+            entityType: 'user',
+            entityId: user.id,
+            action: 'lockout',
+            after: { email: user.email, ip_address: req.ip, locked_until: failed.rows[0].locked_until }
+        });
+    }
+
+    return failed.rows[0];
+}
+
+// Final step of every sign-in path: clear failure counters and open a session
+async function completeLogin(req, res, user, extra = {}) {
+    await safeQuery('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1', [user.id]);
+    await recordLoginAttempt(req, user.email, true);
+
+    const session = await createSession(req, user.id);
+    const userFacilities = await getUserFacilities(user.id);
+
+    res.json({
+        success: true,
+        token: issueAccessToken(user, session.sessionId, userFacilities),
+        refreshToken: session.refreshToken,
+        user: sessionUserPayload(user, userFacilities),
+        ...extra
+    });
+}
+
+function mfaRequiredForRole(role) {
+    return MFA_REQUIRED_ROLES.includes(role);
+}
+
+// Short-lived token proving the password step passed. purpose is 'mfa' (enter a code)
+// or 'mfa-enroll' (set up an authenticator first); it is never accepted as a session.
+function issuePreAuthToken(user, purpose) {
+    return jwt.sign({ purpose, id: user.id }, JWT_SECRET, { expiresIn: MFA_PREAUTH_EXPIRY });
+}
+
+function verifyPreAuthToken(token, purpose) {
+    try {
+        const claims = jwt.verify(token || '', JWT_SECRET);
+        return claims.purpose === purpose ? claims : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Replace a user's recovery codes and return the new plaintext codes (shown once)
+async function generateRecoveryCodes(userId) {
+    const codes = [];
+    for (let i = 0; i < MFA_RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    await safeQuery('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    await safeQuery(
+        'INSERT INTO user_recovery_codes (user_id, code_hash) SELECT $1, unnest($2::text[])',
+        [userId, codes.map(code => hashToken(normalizeRecoveryCode(code)))]
+    );
+    return codes;
+}
+
+function normalizeRecoveryCode(code) {
+    return (code || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Checks a TOTP code against the user's confirmed secret and records the step used
+async function consumeTotpCode(user, code) {
+    if (!user.totp_secret) return false;
+    const lastStep = user.totp_last_step === null ? null : parseInt(user.totp_last_step);
+    const step = totp.verifyCode(user.totp_secret, code, lastStep);
+    if (step === null) return false;
+
+    await safeQuery('UPDATE users SET totp_last_step = $2 WHERE id = $1', [user.id, step]);
+    return true;
+}
+
+async function consumeRecoveryCode(user, code) {
+    const result = await safeQuery(
+        `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE id = (SELECT id FROM user_recovery_codes
+                     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+                     LIMIT 1)
+         RETURNING id`,
+        [user.id, hashToken(normalizeRecoveryCode(code))]
+    );
+    return result.rows.length > 0;
+}
+
+// PERMISSIONS
+// What each role may do. Roles without facilities:all only see the facilities they are assigned to,
+// and roles without history:view only see months inside the facility's editable window.
+const ROLE_PERMISSIONS = {
+    admin: [
+        'patients:read', 'patients:write', 'patients:import', 'tracking:read', 'tracking:write',
+        'costs:view', 'reports:export', 'history:view', 'history:edit', 'facilities:all',
+        'facilities:manage', 'supplies:manage', 'users:manage', 'users:approve',
+        'months:close', 'months:reopen', 'edit_window:manage', 'audit:read',
+        'claims:read', 'claims:review', 'inventory:view', 'inventory:manage'
+    ],
+    facility_manager: [
+        'patients:read', 'patients:write', 'patients:import', 'tracking:read', 'tracking:write',
+        'costs:view', 'reports:export', 'history:view', 'users:approve', 'months:close',
+        'inventory:view', 'inventory:manage'
+    ],
+    billing: [
+        'patients:read', 'tracking:read', 'costs:view', 'reports:export', 'history:view',
+        'claims:read', 'claims:review'
+    ],
+    auditor: [
+        'patients:read', 'tracking:read', 'costs:view', 'reports:export', 'history:view',
+        'facilities:all', 'audit:read', 'claims:read', 'inventory:view'
+    ],
+    user: [
+        'patients:read', 'patients:write', 'tracking:read', 'tracking:write'
+    ],
+    wound_nurse: [
+        'patients:read', 'patients:write', 'tracking:read', 'tracking:write'
+    ],
+    respiratory_therapist: [
+        'patients:read', 'patients:write', 'tracking:read', 'tracking:write'
+    ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that work in one section of the catalog only see supplies in these categories (by key)
+const ROLE_SUPPLY_CATEGORIES = {
+    wound_nurse: ['wound_care'],
+    respiratory_therapist: ['respiratory']
+};
+
+function can(user, permission) {
+    return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+function canAccessFacility(user, facilityId) {
+    if (can(user, 'facilities:all')) return true;
+    return (user.facilityIds || []).some(id => id == facilityId);
+}
+
+// WHERE fragments limiting patient rows (alias p) to what the user may see.
+// Returns null when the user has no facility to see at all.
+function patientScopeConditions(user, params) {
+    const conditions = [];
+
+    if (!can(user, 'facilities:all')) {
+        if (!user.facilityIds || user.facilityIds.length === 0) return null;
+        conditions.push('p.facility_id = ANY($' + (params.length + 1) + '::int[])');
+        params.push(user.facilityIds);
+    }
+
+    if (!can(user, 'history:view')) {
+        conditions.push('p.month >= editable_start_month(p.facility_id)');
+    }
+
+    return conditions;
+}
+
+// SQL condition limiting supplies (alias s) to the user's catalog section, or null for every supply
+function supplyCategoryCondition(user, params) {
+    const keys = ROLE_SUPPLY_CATEGORIES[user.role];
+    if (!keys) return null;
+
+    params.push(keys);
+    return `s.category_id IN (SELECT id FROM supply_categories WHERE key = ANY($${params.length}))`;
+}
+
+// Passes when the user holds any of the listed permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!permissions.some(permission => can(req.user, permission))) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+};
+
+// BASIC ROUTES
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+app.get('/health', async (req, res) => {
+    try {
+        await safeQuery('SELECT 1');
+        const health = { status: 'healthy', timestamp: new Date().toISOString() };
+
+        // Signed-in administrators also see configuration warnings
+        if (req.headers['authorization']) {
+            const session = await resolveSession(req);
+            if (session.user && can(session.user, 'users:manage')) {
+                health.warnings = (await getSecurityWarnings()).map(warning => warning.message);
+            }
+        }
+
+        res.json(health);
+    } catch (error) {
+        res.status(500).json({ status: 'unhealthy', error: error.message });
+    }
+});
+
+// DASHBOARD
+app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+    try {
+        let patientQuery, trackingQuery, totalQuery;
+        const params = [];
+        const conditions = patientScopeConditions(req.user, params);
+
+        if (req.query.facility_id && conditions) {
+            if (!canAccessFacility(req.user, req.query.facility_id)) {
+                return res.status(403).json({ success: false, error: 'No access to this facility' });
+            }
+            conditions.push('p.facility_id = $' + (params.length + 1));
+            params.push(req.query.facility_id);
+        }
+
+        // Users who can see costs get a dollar total, everyone else a unit count
+        const totalExpression = can(req.user, 'costs:view') ?
+            'COALESCE(SUM(t.quantity * supply_cost(s.id, p.facility_id, p.month)), 0)' :
+            'COALESCE(SUM(t.quantity), 0)';
+
+        if (conditions) {
+            const where = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+            patientQuery = `SELECT COUNT(*) as count FROM patients p ${where}`;
+            trackingQuery = `SELECT COUNT(*) as count FROM tracking t JOIN patients p ON t.patient_id = p.id ${where}`;
+            totalQuery = `
+                SELECT ${totalExpression} as total
+                FROM tracking t
+                JOIN patients p ON t.patient_id = p.id
+                JOIN supplies s ON t.supply_id = s.id
+                WHERE t.quantity > 0 ${conditions.length > 0 ? 'AND ' + conditions.join(' AND ') : ''}
+            `;
+        } else {
+            patientQuery = 'SELECT 0 as count';
+            trackingQuery = 'SELECT 0 as count';
+            totalQuery = 'SELECT 0 as total';
+        }
+
+        const [patientsResult, suppliesResult, trackingResult, totalResult] = await Promise.all([
+            safeQuery(patientQuery, conditions ? params : []),
+            safeQuery('SELECT COUNT(*) as count FROM supplies'),
+            safeQuery(trackingQuery, conditions ? params : []),
+            safeQuery(totalQuery, conditions ? params : [])
+        ]);
+
+        const totalValue = parseFloat(totalResult.rows[0].total) || 0;
+        const lowStock = can(req.user, 'inventory:view') ? await getLowStock(req.user, req.query.facility_id) : [];
+
+        res.json({
+            success: true,
+            stats: {
+                totalPatients: parseInt(patientsResult.rows[0].count) || 0,
+                totalSupplies: parseInt(suppliesResult.rows[0].count) || 0,
+                monthlyTracking: parseInt(trackingResult.rows[0].count) || 0,
+                totalCost: totalValue
+            },
+            lowStock
+        });
+
+    } catch (error) {
+        console.error('Dashboard stats error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to load dashboard statistics',
+            stats: { totalPatients: 0, totalSupplies: 0, monthlyTracking: 0, totalCost: 0 }
+        });
+    }
+});
+
+// AUTHENTICATION
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ success: false, message: 'Email and password required' });
+        }
+
+        // Differences in case or surrounding spaces are the same account and count against the same lockout
+        const result = await safeQuery(
+            `SELECT u.*, f.name as facility_name 
+             FROM users u 
+             LEFT JOIN facilities f ON u.facility_id = f.id 
+             WHERE LOWER(TRIM(u.email)) = LOWER(TRIM($1))`,
+            [email.toString()]
+        );
+
+        const ipFailures = await safeQuery(
+            `SELECT COUNT(*) as count FROM login_attempts
+             WHERE ip_address = $1 AND success = false
+               AND attempted_at > CURRENT_TIMESTAMP - make_interval(mins => $2)`,
+            [req.ip, LOGIN_LOCKOUT_MINUTES]
+        );
+        const ipFailureCount = parseInt(ipFailures.rows[0].count);
+
+        if (ipFailureCount >= LOGIN_MAX_FAILURES_PER_IP) {
+            return res.status(429).json({
+                success: false,
+                message: `Too many failed sign-in attempts from this network. Try again in ${LOGIN_LOCKOUT_MINUTES} minutes.`
+            });
+        }
+
+        if (result.rows.length === 0) {
+            await recordLoginAttempt(req, email, false, 'unknown email');
+            await loginFailureDelay(ipFailureCount + 1);
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+
+        const user = result.rows[0];
+
+        // A locked account answers like an unknown one so lockouts do not reveal which emails exist
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            await recordLoginAttempt(req, email, false, 'locked');
+            await loginFailureDelay(ipFailureCount + 1);
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+
+        if (!(await bcrypt.compare(password, user.password))) {
+            await recordLoginAttempt(req, email, false, 'bad password');
+
+            const failed = await registerLoginFailure(req, user);
+            await loginFailureDelay(failed.locked_until ? ipFailureCount + 1 : failed.failed_login_count);
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+
+        if (!user.email_verified) {
+            return res.status(403).json({ success: false, message: 'Please verify your email address before signing in' });
+        }
+
+        if (!user.is_approved) {
+            return res.status(403).json({ success: false, message: 'Account pending approval' });
+        }
+
+        // Password accepted; failure counters are only cleared once the second factor passes too
+        if (user.totp_enabled) {
+            return res.json({ success: true, mfaRequired: true, preAuthToken: issuePreAuthToken(user, 'mfa') });
+        }
+
+        if (mfaRequiredForRole(user.role)) {
+            return res.json({ success: true, mfaEnrollmentRequired: true, preAuthToken: issuePreAuthToken(user, 'mfa-enroll') });
+        }
+
+        await completeLogin(req, res, user);
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, message: 'Server error during login' });
+    }
+});
+
+// Exchange a refresh token for a new access token. The refresh token is rotated;
+// presenting an already-rotated token revokes the whole session.
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ success: false, error: 'Refresh token is required' });
+        }
+
+        const oldHash = hashToken(refreshToken);
+        const newRefreshToken = crypto.randomBytes(32).toString('hex');
+
+        const rotated = await safeQuery(
+            `UPDATE user_sessions
+             SET previous_token_hash = refresh_token_hash,
+                 refresh_token_hash = $2,
+                 last_used_at = CURRENT_TIMESTAMP,
+                 expires_at = CURRENT_TIMESTAMP + make_interval(days => $3)
+             WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+             RETURNING id, user_id`,
+            [oldHash, hashToken(newRefreshToken), REFRESH_TOKEN_EXPIRY_DAYS]
+        );
+
+        if (rotated.rows.length === 0) {
+            await safeQuery(
+                `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh token reuse'
+                 WHERE previous_token_hash = $1 AND revoked_at IS NULL`,
+                [oldHash]
+            );
+            return res.status(401).json({ success: false, error: 'Session expired, please sign in again' });
+        }
+
+        const session = rotated.rows[0];
+        const user = await loadUserForLogin(session.user_id);
+
+        if (!user || !user.is_approved) {
+            await revokeUserSessions(session.user_id, 'account disabled');
+            return res.status(401).json({ success: false, error: 'Session expired, please sign in again' });
+        }
+
+        const userFacilities = await getUserFacilities(user.id);
+
+        res.json({
+            success: true,
+            token: issueAccessToken(user, session.id, userFacilities),
+            refreshToken: newRefreshToken,
+            user: sessionUserPayload(user, userFacilities)
+        });
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ success: false, error: 'Failed to refresh session' });
+    }
+});
+
+// TWO-FACTOR AUTHENTICATION
+// Second sign-in step: a code from the authenticator app or an unused recovery code
+app.post('/api/auth/mfa/verify', async (req, res) => {
+    try {
+        const { preAuthToken, code, recoveryCode } = req.body;
+
+        const claims = verifyPreAuthToken(preAuthToken, 'mfa');
+        if (!claims) {
+            return res.status(401).json({ success: false, message: 'Sign-in expired, please enter your password again' });
+        }
+
+        const user = await loadUserForLogin(claims.id);
+        if (!user || !user.is_approved || !user.totp_enabled) {
+            return res.status(401).json({ success: false, message: 'Sign-in expired, please enter your password again' });
+        }
+
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            await recordLoginAttempt(req, user.email, false, 'locked');
+            return res.status(429).json({
+                success: false,
+                message: `Account temporarily locked after too many failed sign-in attempts. Try again in ${minutesUntil(user.locked_until)} minutes or ask an administrator to unlock it.`
+            });
+        }
+
+        const accepted = recoveryCode ?
+            await consumeRecoveryCode(user, recoveryCode) :
+            await consumeTotpCode(user, code);
+
+        if (!accepted) {
+            await recordLoginAttempt(req, user.email, false, recoveryCode ? 'bad recovery code' : 'bad mfa code');
+
+            const failed = await registerLoginFailure(req, user);
+            if (failed.locked_until) {
+                return res.status(429).json({
+                    success: false,
+                    message: `Account temporarily locked after too many failed sign-in attempts. Try again in ${LOGIN_LOCKOUT_MINUTES} minutes or ask an administrator to unlock it.`
+                });
+            }
+
+            await loginFailureDelay(failed.failed_login_count);
+            return res.status(401).json({ success: false, message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
+        }
+
+        if (recoveryCode) {
+            await recordAudit({ user: { id: user.id, email: user.email } }, {
+                entityType: 'user',
+                entityId: user.id,
+                action: 'mfa_recovery_used'
+            });
+        }
+
+        await completeLogin(req, res, user);
+
+    } catch (error) {
+        console.error('MFA verification error:', error);
+        res.status(500).json({ success: false, message: 'Server error during sign-in' });
+    }
+});
+
+// Enrollment is reachable either from a signed-in session or, for roles that must
+// use two-factor, with the 'mfa-enroll' pre-auth token handed out at sign-in
+const authenticateMfaEnrollment = async (req, res, next) => {
+    if (!req.body.preAuthToken) {
+        return authenticateToken(req, res, next);
+    }
+
+    const claims = verifyPreAuthToken(req.body.preAuthToken, 'mfa-enroll');
+    if (!claims) {
+        return res.status(401).json({ success: false, error: 'Sign-in expired, please enter your password again' });
+    }
+
+    try {
+        const user = await loadUserForLogin(claims.id);
+        if (!user || !user.is_approved) {
+            return res.status(401).json({ success: false, error: 'Sign-in expired, please enter your password again' });
+        }
+        req.user = { id: user.id, email: user.email, role: user.role, facilityId: user.facility_id, preAuth: true };
+        next();
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to verify session' });
+    }
+};
+
+app.get('/api/auth/mfa', authenticateToken, async (req, res) => {
+    try {
+        const result = await safeQuery(
+            `SELECT u.totp_enabled,
+                    (SELECT COUNT(*) FROM user_recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL) as recovery_codes_remaining
+             FROM users u WHERE u.id = $1`,
+            [req.user.id]
+        );
+
+        res.json({
+            success: true,
+            enabled: result.rows[0].totp_enabled,
+            required: mfaRequiredForRole(req.user.role),
+            recoveryCodesRemaining: parseInt(result.rows[0].recovery_codes_remaining)
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to load two-factor status' });
+    }
+});
+
+// Start enrollment: a new secret is stored unconfirmed until /enable sees a valid code
+app.post('/api/auth/mfa/setup', authenticateMfaEnrollment, async (req, res) => {
+    try {
+        const current = await safeQuery('SELECT totp_enabled FROM users WHERE id = $1', [req.user.id]);
+        if (current.rows[0].totp_enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = totp.generateSecret();
+        await safeQuery('UPDATE users SET totp_secret = $2, totp_last_step = NULL WHERE id = $1', [req.user.id, secret]);
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUri: totp.provisioningUri({ secret, account: req.user.email, issuer: MFA_ISSUER })
+        });
+    } catch (error) {
+        console.error('MFA setup error:', error);
+        res.status(500).json({ success: false, error: 'Failed to start two-factor setup' });
+    }
+});
+
+app.post('/api/auth/mfa/enable', authenticateMfaEnrollment, async (req, res) => {
+    try {
+        const user = await loadUserForLogin(req.user.id);
+
+        if (user.totp_enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!user.totp_secret) {
+            return res.status(400).json({ success: false, error: 'Start two-factor setup first' });
+        }
+
+        if (!(await consumeTotpCode(user, req.body.code))) {
+            return res.status(400).json({ success: false, error: 'Invalid authentication code. Check the time on your device and try again.' });
+        }
+
+        await safeQuery('UPDATE users SET totp_enabled = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+        const recoveryCodes = await generateRecoveryCodes(user.id);
+
+        await recordAudit(req, { entityType: 'user', entityId: user.id, action: 'mfa_enabled' });
+
+        // Enrollment during sign-in finishes the sign-in as well
+        if (req.user.preAuth) {
+            return completeLogin(req, res, user, { recoveryCodes });
+        }
+
+        res.json({ success: true, recoveryCodes });
+
+    } catch (error) {
+        console.error('MFA enable error:', error);
+        res.status(500).json({ success: false, error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+app.post('/api/auth/mfa/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        const user = await loadUserForLogin(req.user.id);
+
+        if (!user.totp_enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!(await consumeTotpCode(user, req.body.code))) {
+            return res.status(400).json({ success: false, error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await generateRecoveryCodes(user.id);
+        await recordAudit(req, { entityType: 'user', entityId: user.id, action: 'mfa_codes_renewed' });
+
+        res.json({ success: true, recoveryCodes });
+
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to regenerate recovery codes' });
+    }
+});
+
+app.post('/api/auth/mfa/disable', authenticateToken, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (mfaRequiredForRole(req.user.role)) {
+            return res.status(403).json({ success: false, error: 'Two-factor authentication is required for your role' });
+        }
+
+        const user = await loadUserForLogin(req.user.id);
+
+        if (!user.totp_enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!password || !(await bcrypt.compare(password, user.password)) || !(await consumeTotpCode(user, code))) {
+            return res.status(400).json({ success: false, error: 'Password or authentication code is incorrect' });
+        }
+
+        await safeQuery(
+            'UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [user.id]
+        );
+        await safeQuery('DELETE FROM user_recovery_codes WHERE user_id = $1', [user.id]);
+        await recordAudit(req, { entityType: 'user', entityId: user.id, action: 'mfa_disabled' });
+
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// Signed-in password change; also clears a pending forced change. Other sessions are signed out.
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!newPassword || newPassword.length < 8) {
+            return res.status(400).json({ success: false, error: 'Password must be at least 8 characters long' });
+        }
+
+        const user = await loadUserForLogin(req.user.id);
+
+        if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+            return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+        }
+
+        if (newPassword === currentPassword || newPassword === DEFAULT_ADMIN_PASSWORD) {
+            return res.status(400).json({ success: false, error: 'Choose a new password you have not used here before' });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 12);
+        await safeQuery(
+            'UPDATE users SET password = $1, must_change_password = false, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [hashedPassword, user.id]
+        );
+        await safeQuery(
+            `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'password changed'
+             WHERE user_id = $1 AND id != $2 AND revoked_at IS NULL`,
+            [user.id, req.user.sessionId]
+        );
+
+        await recordAudit(req, { entityType: 'user', entityId: user.id, action: 'change_password' });
+
+        res.json({ success: true, message: 'Password changed' });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ success: false, error: 'Failed to change password' });
+    }
+});
+
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+    try {
+        await safeQuery(
+            `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'logout'
+             WHERE id = $1 AND revoked_at IS NULL`,
+            [req.user.sessionId]
+        );
+        res.json({ success: true, message: 'Signed out' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to sign out' });
+    }
+});
+
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { name, email, password, facility_id } = req.body;
+        const cleanEmail = (email || '').toString().trim().toLowerCase();
+
+        if (!name || !cleanEmail || !password || !facility_id) {
+            return res.status(400).json({ success: false, error: 'Name, email, password, and facility are required' });
+        }
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleanEmail)) {
+            return res.status(400).json({ success: false, error: 'Please enter a valid email address' });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({ success: false, error: 'Password must be at least 8 characters long' });
+        }
+
+        const facility = await safeQuery('SELECT id FROM facilities WHERE id = $1', [facility_id]);
+        if (facility.rows.length === 0) {
+            return res.status(400).json({ success: false, error: 'Facility not found' });
+        }
+
+        const existingUser = await safeQuery('SELECT id FROM users WHERE LOWER(email) = $1', [cleanEmail]);
+        if (existingUser.rows.length > 0) {
+            return res.status(400).json({ success: false, error: 'Email already exists' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+
+        const result = await safeQuery(
+            'INSERT INTO users (name, email, password, role, facility_id, is_approved, email_verified) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, name, email',
+            [name.trim(), cleanEmail, hashedPassword, 'user', facility_id, false, false]
+        );
+        await setUserFacilities(result.rows[0].id, [parseInt(facility_id)]);
+
+        let emailSent = true;
+        try {
+            await sendVerificationEmail(req, result.rows[0]);
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError);
+            emailSent = false;
+        }
+
+        res.json({
+            success: true,
+            emailSent,
+            message: emailSent ?
+                'Account created. Check your email for a verification link; an administrator will approve your account after you verify.' :
+                'Account created, but the verification email could not be sent. Use "Resend verification email" or contact your administrator.'
+        });
+
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({ success: false, error: 'Email already exists' });
+        }
+        console.error('Registration error:', error);
+        res.status(500).json({ success: false, error: 'Server error during registration' });
+    }
+});
+
+// Target of the emailed verification link - redirects back to the app with the outcome
+app.get('/api/auth/verify-email', async (req, res) => {
+    let payload;
+    try {
+        payload = jwt.verify(req.query.token || '', JWT_SECRET);
+    } catch (error) {
+        return res.redirect('/?verified=' + (error.name === 'TokenExpiredError' ? 'expired' : 'invalid'));
+    }
+
+    try {
+        if (payload.purpose !== 'verify-email') {
+            return res.redirect('/?verified=invalid');
+        }
+
+        const result = await safeQuery(
+            `SELECT u.id, u.name, u.email, u.facility_id, u.is_approved, u.email_verified, f.name as facility_name
+             FROM users u
+             LEFT JOIN facilities f ON u.facility_id = f.id
+             WHERE u.id = $1 AND u.email = $2`,
+            [payload.id, payload.email]
+        );
+
+        if (result.rows.length === 0) {
+            return res.redirect('/?verified=invalid');
+        }
+
+        const user = result.rows[0];
+        if (!user.email_verified) {
+            await safeQuery('UPDATE users SET email_verified = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+            if (!user.is_approved) {
+                await notifyAdminsOfPendingUser(req, user);
+            }
+        }
+
+        res.redirect('/?verified=success');
+
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.redirect('/?verified=error');
+    }
+});
+
+// Always answers the same way so it cannot be used to discover registered emails
+app.post('/api/auth/resend-verification', async (req, res) => {
+    try {
+        const cleanEmail = (req.body.email || '').toString().trim().toLowerCase();
+
+        if (!cleanEmail) {
+            return res.status(400).json({ success: false, error: 'Email is required' });
+        }
+
+        // Fails the same way for every address, registered or not, when links cannot be built
+        appUrl();
+
+        const result = await safeQuery(
+            'SELECT id, name, email FROM users WHERE LOWER(email) = $1 AND email_verified = false',
+            [cleanEmail]
+        );
+
+        if (result.rows.length > 0) {
+            await sendVerificationEmail(req, result.rows[0]).catch(mailError => {
+                console.error('Failed to resend verification email:', mailError);
+            });
+        }
+
+        res.json({ success: true, message: 'If that address has an unverified account, a new verification link has been sent.' });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        res.status(500).json({ success: false, error: 'Failed to resend verification email' });
+    }
+});
+
+// Always answers the same way so it cannot be used to discover registered emails
+app.post('/api/auth/forgot-password', async (req, res) => {
+    try {
+        const cleanEmail = (req.body.email || '').toString().trim().toLowerCase();
+
+        if (!cleanEmail) {
+            return res.status(400).json({ success: false, error: 'Email is required' });
+        }
+
+        // Fails the same way for every address, registered or not, when links cannot be built
+        const baseUrl = appUrl();
+
+        const recent = await safeQuery(
+            `SELECT COUNT(*) FILTER (WHERE ip_address = $1) as ip_count,
+                    COUNT(*) FILTER (WHERE email = $2) as email_count
+             FROM password_reset_requests
+             WHERE (ip_address = $1 OR email = $2)
+               AND requested_at > CURRENT_TIMESTAMP - make_interval(mins => $3)`,
+            [req.ip, cleanEmail, PASSWORD_RESET_WINDOW_MINUTES]
+        );
+        if (parseInt(recent.rows[0].ip_count) >= PASSWORD_RESET_MAX_PER_IP) {
+            return res.status(429).json({
+                success: false,
+                error: `Too many password reset requests from this network. Try again in ${PASSWORD_RESET_WINDOW_MINUTES} minutes.`
+            });
+        }
+        await safeQuery('INSERT INTO password_reset_requests (email, ip_address) VALUES ($1, $2)', [cleanEmail, req.ip]);
+
+        // An address over its limit gets the usual answer but no further emails
+        const emailLimited = parseInt(recent.rows[0].email_count) >= PASSWORD_RESET_MAX_PER_EMAIL;
+        const result = emailLimited ?
+            { rows: [] } :
+            await safeQuery('SELECT id, name, email FROM users WHERE LOWER(email) = $1', [cleanEmail]);
+
+        if (result.rows.length > 0) {
+            const user = result.rows[0];
+            const token = crypto.randomBytes(32).toString('hex');
+            const tokenHash = hashToken(token);
+
+            // Only the most recent link works
+            await safeQuery('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+            await safeQuery(
+                `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+                 VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+                [user.id, tokenHash, PASSWORD_RESET_EXPIRY_MINUTES]
+            );
+
+            const link = `${baseUrl}/?reset_token=${token}`;
+            await sendMail({
+                to: user.email,
+                subject: 'Reset your Wound Care RT Supply Tracker password',
+                text: `Hello ${user.name},\n\n` +
+                    `Use this link within ${PASSWORD_RESET_EXPIRY_MINUTES} minutes to choose a new password:\n\n${link}\n\n` +
+                    'The link can only be used once. If you did not request a reset, you can ignore this email.'
+            }).catch(mailError => {
+                console.error('Failed to send password reset email:', mailError);
+            });
+        }
+
+        res.json({ success: true, message: 'If that address has an account, a password reset link has been sent.' });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Forgot password error:', error);
+        res.status(500).json({ success: false, error: 'Failed to start password reset' });
+    }
+});
+
+app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ success: false, error: 'Reset token and new password are required' });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({ success: false, error: 'Password must be at least 8 characters long' });
+        }
+
+        const tokenHash = hashToken(token);
+
+        // Claiming the token and checking it in one statement keeps it single-use under concurrent requests
+        const claimed = await safeQuery(
+            `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+             WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+             RETURNING user_id`,
+            [tokenHash]
+        );
+
+        if (claimed.rows.length === 0) {
+            return res.status(400).json({ success: false, error: 'This reset link is invalid, expired, or has already been used' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+        // A successful reset proves control of the account, so it also lifts any sign-in lockout
+        await safeQuery(
+            `UPDATE users SET password = $1, must_change_password = false, failed_login_count = 0, locked_until = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [hashedPassword, claimed.rows[0].user_id]
+        );
+        await revokeUserSessions(claimed.rows[0].user_id, 'password reset');
+
+        res.json({ success: true, message: 'Password updated. Please sign in with your new password.' });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ success: false, error: 'Failed to reset password' });
+    }
+});
+
+// FACILITIES
+app.get('/api/facilities', async (req, res) => {
+    try {
+        const result = await safeQuery('SELECT * FROM facilities ORDER BY name ASC');
+        res.json({ success: true, facilities: result.rows });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch facilities' });
+    }
+});
+
+app.post('/api/facilities', authenticateToken, requirePermission('facilities:manage'), async (req, res) => {
+    try {
+        const { name } = req.body;
+        
+        if (!name) {
+            return res.status(400).json({ success: false, error: 'Facility name is required' });
+        }
+
+        const result = await safeQuery(
+            'INSERT INTO facilities (name) VALUES ($1) RETURNING *',
+            [name]
+        );
+
+        await recordAudit(req, { entityType: 'facility', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+
+        res.json({ success: true, facility: result.rows[0] });
+
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({ success: false, error: 'Facility name already exists' });
+        }
+        res.status(500).json({ success: false, error: 'Failed to create facility' });
+    }
+});
+
+app.put('/api/facilities/:id', authenticateToken, requirePermission('facilities:manage'), async (req, res) => {
+    try {
+        const facilityId = req.params.id;
+        const { name } = req.body;
+        
+        if (!name) {
+            return res.status(400).json({ success: false, error: 'Facility name is required' });
+        }
+
+        const before = await safeQuery('SELECT * FROM facilities WHERE id = $1', [facilityId]);
+
+        const result = await safeQuery(
+            'UPDATE facilities SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+            [name, facilityId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'Facility not found' });
+        }
+
+        await recordAudit(req, { entityType: 'facility', entityId: result.rows[0].id, action: 'update', before: before.rows[0], after: result.rows[0] });
+
+        res.json({ success: true, facility: result.rows[0] });
+
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({ success: false, error: 'Facility name already exists' });
+        }
+        res.status(500).json({ success: false, error: 'Failed to update facility' });
+    }
+});
+
+app.delete('/api/facilities/:id', authenticateToken, requirePermission('facilities:manage'), async (req, res) => {
+    try {
+        const facilityId = req.params.id;
+        
+        const result = await safeQuery('DELETE FROM facilities WHERE id = $1 RETURNING *', [facilityId]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'Facility not found' });
+        }
+
+        await recordAudit(req, { entityType: 'facility', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
+
+        res.json({ success: true, message: 'Facility deleted successfully' });
+
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to delete facility' });
+    }
+});
+
+// SUPPLIES
+// Prices recorded before the price history existed apply to every earlier month
+const PRICE_HISTORY_START = '2000-01-01';
+
+// Accepts a month (YYYY-MM), the first day of a month (YYYY-MM-DD) or an Excel date serial.
+// Returns { error } or { effectiveFrom } as YYYY-MM-01 (null when no value was given).
+function parseEffectiveFrom(value) {
+    if (value === undefined || value === null || value === '') return { effectiveFrom: null };
+
+    let text = value.toString().trim();
+    if (typeof value === 'number') {
+        const date = XLSX.SSF.parse_date_code(value);
+        if (!date) return { error: 'Invalid effective date' };
+        text = `${date.y}-${String(date.m).padStart(2, '0')}-${String(date.d).padStart(2, '0')}`;
+    }
+
+    const match = text.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+    if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12) {
+        return { error: 'Effective date must be a month (YYYY-MM)' };
+    }
+    if (match[3] && match[3] !== '01') {
+        return { error: 'Price changes take effect on the first day of a month' };
+    }
+    return { effectiveFrom: `${match[1]}-${match[2]}-01` };
+}
+
+// A price reprices every month from its effective month on, so it may not start in a month
+// that is outside a facility's editable window, closed for billing or already claimed.
+// A facility override is checked against that facility; a catalog price against all of them.
+// Returns { error } or {}.
+async function checkPriceMonth(supplyId, facilityId, effectiveFrom, client = pool) {
+    const month = (await safeQuery(
+        `SELECT TO_CHAR(COALESCE($1::date, CURRENT_DATE), 'YYYY-MM') as month`,
+        [effectiveFrom],
+        client
+    )).rows[0].month;
+
+    const outside = await safeQuery(
+        `SELECT f.name, editable_start_month(f.id) as start_month FROM facilities f
+         WHERE ($1::int IS NULL OR f.id = $1) AND editable_start_month(f.id) > $2
+         ORDER BY f.name LIMIT 1`,
+        [facilityId || null, month],
+        client
+    );
+    if (outside.rows.length > 0) {
+        return { error: `Prices cannot change from ${month}: ${outside.rows[0].name} can only be edited from ${outside.rows[0].start_month}` };
+    }
+
+    const closed = await safeQuery(
+        `SELECT mc.month, f.name FROM month_closures mc
+         JOIN facilities f ON mc.facility_id = f.id
+         WHERE mc.reopened_at IS NULL AND mc.month >= $2 AND ($1::int IS NULL OR mc.facility_id = $1)
+         ORDER BY mc.month LIMIT 1`,
+        [facilityId || null, month],
+        client
+    );
+    if (closed.rows.length > 0) {
+        return { error: `Prices cannot change from ${month}: ${closed.rows[0].month} is closed for billing at ${closed.rows[0].name}` };
+    }
+
+    const claimed = await safeQuery(
+        `SELECT p.month, f.name FROM claim_lines cl
+         JOIN patients p ON cl.patient_id = p.id
+         JOIN facilities f ON p.facility_id = f.id
+         WHERE (cl.status = 'approved' OR cl.interchange_control_number IS NOT NULL)
+           AND p.month >= $3 AND ($2::int IS NULL OR p.facility_id = $2)
+           AND EXISTS (SELECT 1 FROM tracking t WHERE t.patient_id = p.id AND t.supply_id = $1)
+         ORDER BY p.month LIMIT 1`,
+        [supplyId, facilityId || null, month],
+        client
+    );
+    if (claimed.rows.length > 0) {
+        return { error: `Prices cannot change from ${month}: ${claimed.rows[0].month} claims for this supply are already approved or exported at ${claimed.rows[0].name}` };
+    }
+
+    return {};
+}
+
+function parseCost(value) {
+    const cost = parseFloat(value);
+    return isNaN(cost) || cost < 0 ? null : Math.round(cost * 100) / 100;
+}
+
+// Records a price effective from a month (default: the current month) and refreshes
+// supplies.cost. A supply without a history first keeps its old cost for earlier months.
+async function setSupplyPrice(supplyId, cost, effectiveFrom, userId) {
+    await safeQuery(
+        `INSERT INTO supply_prices (supply_id, cost, effective_from)
+         SELECT id, COALESCE(cost, 0), $2 FROM supplies
+         WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM supply_prices WHERE supply_id = $1 AND facility_id IS NULL)`,
+        [supplyId, PRICE_HISTORY_START]
+    );
+
+    const price = await safeQuery(
+        `INSERT INTO supply_prices (supply_id, cost, effective_from, created_by)
+         VALUES ($1, $2, COALESCE($3::date, date_trunc('month', CURRENT_DATE)::date), $4)
+         ON CONFLICT (supply_id, (COALESCE(facility_id, 0)), effective_from) DO UPDATE SET
+            cost = EXCLUDED.cost, created_by = EXCLUDED.created_by, created_at = CURRENT_TIMESTAMP
+         RETURNING *, TO_CHAR(effective_from, 'YYYY-MM-DD') as effective_from`,
+        [supplyId, cost, effectiveFrom, userId]
+    );
+
+    await refreshSupplyCost(supplyId);
+    return price.rows[0];
+}
+
+// Records a facility's contract price from a month on; a null cost ends its override
+async function setFacilitySupplyPrice(facilityId, supplyId, cost, effectiveFrom, userId, client = pool) {
+    const price = await safeQuery(
+        `INSERT INTO supply_prices (supply_id, facility_id, cost, effective_from, created_by)
+         VALUES ($1, $2, $3, COALESCE($4::date, date_trunc('month', CURRENT_DATE)::date), $5)
+         ON CONFLICT (supply_id, (COALESCE(facility_id, 0)), effective_from) DO UPDATE SET
+            cost = EXCLUDED.cost, created_by = EXCLUDED.created_by, created_at = CURRENT_TIMESTAMP
+         RETURNING *, TO_CHAR(effective_from, 'YYYY-MM-DD') as effective_from`,
+        [supplyId, facilityId, cost, effectiveFrom, userId],
+        client
+    );
+    return price.rows[0];
+}
+
+// SQL condition limiting supplies (alias s) to a facility's formulary. Facilities without a
+// formulary stock the whole catalog.
+function formularyCondition(facilityParam) {
+    return `(NOT EXISTS (SELECT 1 FROM facility_supplies fs WHERE fs.facility_id = ${facilityParam})
+             OR EXISTS (SELECT 1 FROM facility_supplies fs WHERE fs.facility_id = ${facilityParam} AND fs.supply_id = s.id))`;
+}
+
+async function refreshSupplyCost(supplyId) {
+    await safeQuery(
+        `UPDATE supplies SET cost = supply_cost(id, TO_CHAR(CURRENT_DATE, 'YYYY-MM')), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [supplyId]
+    );
+}
+
+// Status of a supply (alias s) with its replacement (alias r): 'active', 'retiring' before
+// its retirement date and 'retired' from then on
+const SUPPLY_STATUS_COLUMNS = `
+    CASE
+        WHEN s.retired_on IS NULL THEN 'active'
+        WHEN s.retired_on > CURRENT_DATE THEN 'retiring'
+        ELSE 'retired'
+    END as status,
+    TO_CHAR(s.retired_on, 'YYYY-MM-DD') as retired_on,
+    r.code as replacement_code, r.description as replacement_description`;
+
+function retiredSupplyMessage(supply) {
+    return `Supply ${supply.code} was retired on ${supply.retired_on}` +
+        (supply.replacement_code ? `; use ${supply.replacement_code} instead` : '');
+}
+
+app.get('/api/supplies', authenticateToken, async (req, res) => {
+    try {
+        const params = [];
+        const conditions = [];
+
+        const scope = supplyCategoryCondition(req.user, params);
+        if (scope) conditions.push(scope);
+
+        // ?category= takes a category id or key, or 'uncategorized'
+        if (req.query.category === 'uncategorized') {
+            conditions.push('s.category_id IS NULL');
+        } else if (req.query.category && req.query.category !== 'all') {
+            params.push(req.query.category.toString());
+            conditions.push(`(c.key = $${params.length} OR c.id::text = $${params.length})`);
+        }
+
+        // ?status=active includes supplies with a retirement date still to come
+        if (req.query.status === 'active') {
+            conditions.push('(s.retired_on IS NULL OR s.retired_on > CURRENT_DATE)');
+        } else if (req.query.status === 'retired') {
+            conditions.push('s.retired_on <= CURRENT_DATE');
+        }
+
+        // ?facility_id= (or the facility of ?patient_id=) limits the list to that facility's
+        // formulary and prices it at the facility's contract price
+        let facilityId = req.query.facility_id ? parseInt(req.query.facility_id) : null;
+        if (req.query.patient_id) {
+            const patient = await safeQuery('SELECT facility_id FROM patients WHERE id = $1', [req.query.patient_id]);
+            if (patient.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'Patient not found' });
+            }
+            facilityId = patient.rows[0].facility_id;
+        }
+        if (facilityId !== null) {
+            if (isNaN(facilityId)) {
+                return res.status(400).json({ success: false, error: 'Invalid facility' });
+            }
+            if (!canAccessFacility(req.user, facilityId)) {
+                return res.status(403).json({ success: false, error: 'Access denied to this facility' });
+            }
+            params.push(facilityId);
+            conditions.push(formularyCondition('$' + params.length));
+        }
+        const facilityParam = facilityId !== null ? '$' + params.length : 'NULL::integer';
+
+        // cost is the price in effect this month; next_cost is the earliest scheduled change
+        const result = await safeQuery(`
+            SELECT s.*, c.key as category_key, c.name as category_name,
+                   supply_cost(s.id, ${facilityParam}, TO_CHAR(CURRENT_DATE, 'YYYY-MM')) as cost,
+                   CASE WHEN np.effective_from IS NOT NULL
+                        THEN supply_cost(s.id, ${facilityParam}, TO_CHAR(np.effective_from, 'YYYY-MM')) END as next_cost,
+                   TO_CHAR(np.effective_from, 'YYYY-MM-DD') as next_cost_from,
+                   ${SUPPLY_STATUS_COLUMNS}
+            FROM supplies s
+            LEFT JOIN supply_categories c ON s.category_id = c.id
+            LEFT JOIN supplies r ON s.replacement_supply_id = r.id
+            LEFT JOIN LATERAL (
+                SELECT sp.effective_from FROM supply_prices sp
+                WHERE sp.supply_id = s.id AND sp.effective_from > CURRENT_DATE
+                  AND (sp.facility_id IS NULL OR sp.facility_id = ${facilityParam})
+                ORDER BY sp.effective_from ASC
+                LIMIT 1
+            ) np ON true
+            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY s.code ASC
+        `, params);
+
+        // Prices stay on the server for users who cannot see costs
+        const supplies = can(req.user, 'costs:view') ? result.rows :
+            result.rows.map(({ cost, next_cost, next_cost_from, ...supply }) => supply);
+
+        res.json({ success: true, supplies });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch supplies' });
+    }
+});
+
+app.post('/api/supplies', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const { code, description, hcpcs, cost } = req.body;
+        
+        if (!code || !description) {
+            return res.status(400).json({ success: false, error: 'Code and description are required' });
+        }
+
+        const result = await safeQuery(
+            'INSERT INTO supplies (code, description, hcpcs, cost, is_custom) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+            [code, description, hcpcs || null, parseCost(cost) || 0, true]
+        );
+
+        // A new supply's price covers every month it could be tracked in
+        await setSupplyPrice(result.rows[0].id, result.rows[0].cost, PRICE_HISTORY_START, req.user.id);
+        await assignSupplyCategories();
+
+        await recordAudit(req, { entityType: 'supply', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+
+        res.json({ success: true, supply: result.rows[0] });
+
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({ success: false, error: 'Supply code already exists' });
+        }
+        res.status(500).json({ success: false, error: 'Failed to create supply' });
+    }
+});
+
+app.put('/api/supplies/:id', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const supplyId = req.params.id;
+        const { code, description, hcpcs, cost } = req.body;
+        
+        if (!code || !description) {
+            return res.status(400).json({ success: false, error: 'Code and description are required' });
+        }
+
+        // A changed cost becomes a new price from the current month (or effective_from)
+        // so months already tracked keep the price they were recorded at
+        const newCost = cost === undefined || cost === '' ? null : parseCost(cost);
+        if (cost !== undefined && cost !== '' && newCost === null) {
+            return res.status(400).json({ success: false, error: 'Cost must be a non-negative number' });
+        }
+        const { error: effectiveError, effectiveFrom } = parseEffectiveFrom(req.body.effective_from);
+        if (effectiveError) {
+            return res.status(400).json({ success: false, error: effectiveError });
+        }
+
+        let repriced = false;
+        if (newCost !== null) {
+            const current = await safeQuery(
+                `SELECT supply_cost($1, TO_CHAR(COALESCE($2::date, CURRENT_DATE), 'YYYY-MM')) as cost`,
+                [supplyId, effectiveFrom]
+            );
+            repriced = parseFloat(current.rows[0].cost) !== newCost;
+        }
+        if (repriced) {
+            const { error: monthError } = await checkPriceMonth(supplyId, null, effectiveFrom);
+            if (monthError) {
+                return res.status(400).json({ success: false, error: monthError });
+            }
+        }
+
+        const before = await safeQuery('SELECT * FROM supplies WHERE id = $1', [supplyId]);
+
+        const result = await safeQuery(
+            'UPDATE supplies SET code = $1, description = $2, hcpcs = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
+            [code, description, hcpcs || null, supplyId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'Supply not found' });
+        }
+
+        await assignSupplyCategories();
+
+        let price = null;
+        if (repriced) {
+            price = await setSupplyPrice(supplyId, newCost, effectiveFrom, req.user.id);
+        }
+
+        const supply = await safeQuery('SELECT * FROM supplies WHERE id = $1', [supplyId]);
+
+        await recordAudit(req, { entityType: 'supply', entityId: result.rows[0].id, action: 'update', before: before.rows[0], after: supply.rows[0] });
+        if (price) {
+            await recordAudit(req, { entityType: 'supply_price', entityId: price.id, action: 'create', after: price });
+        }
+
+        res.json({ success: true, supply: supply.rows[0], price });
+
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({ success: false, error: 'Supply code already exists' });
+        }
+        res.status(500).json({ success: false, error: 'Failed to update supply' });
+    }
+});
+
+app.delete('/api/supplies/:id', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const supplyId = req.params.id;
+        
+        const supply = await safeQuery('SELECT is_custom FROM supplies WHERE id = $1', [supplyId]);
+        if (supply.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Supply not found' });
+        }
+        
+        if (!supply.rows[0].is_custom) {
+            return res.status(400).json({ success: false, error: 'Cannot delete AR standard supplies' });
+        }
+
+        const history = await safeQuery('SELECT COUNT(*) as count FROM tracking WHERE supply_id = $1', [supplyId]);
+        if (parseInt(history.rows[0].count) > 0) {
+            return res.status(400).json({ success: false, error: 'This supply has tracking history; retire it instead' });
+        }
+
+        const ledger = await safeQuery('SELECT COUNT(*) as count FROM inventory_transactions WHERE supply_id = $1', [supplyId]);
+        if (parseInt(ledger.rows[0].count) > 0) {
+            return res.status(400).json({ success: false, error: 'This supply has inventory history; retire it instead' });
+        }
+
+        const ordered = await safeQuery('SELECT COUNT(*) as count FROM purchase_order_lines WHERE supply_id = $1', [supplyId]);
+        if (parseInt(ordered.rows[0].count) > 0) {
+            return res.status(400).json({ success: false, error: 'This supply is on purchase orders; retire it instead' });
+        }
+
+        // Par levels are settings rather than history and go with the supply
+        await safeQuery('DELETE FROM inventory_levels WHERE supply_id = $1', [supplyId]);
+        
+        const result = await safeQuery('DELETE FROM supplies WHERE id = $1 RETURNING *', [supplyId]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'Supply not found' });
+        }
+
+        await recordAudit(req, { entityType: 'supply', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
+
+        res.json({ success: true, message: 'Supply deleted successfully' });
+
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to delete supply' });
+    }
+});
+
+// Retires a supply from a date on (default today), optionally naming the code that replaces it
+app.post('/api/supplies/:id/retire', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const supplyId = req.params.id;
+        const retiredOn = req.body.retired_on || new Date().toISOString().slice(0, 10);
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(retiredOn) || isNaN(Date.parse(retiredOn))) {
+            return res.status(400).json({ success: false, error: 'Retirement date must be a date (YYYY-MM-DD)' });
+        }
+
+        const before = await safeQuery('SELECT * FROM supplies WHERE id = $1', [supplyId]);
+        if (before.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Supply not found' });
+        }
+
+        let replacementId = null;
+        if (req.body.replacement_code) {
+            const replacement = await safeQuery(
+                'SELECT id, retired_on FROM supplies WHERE code = $1',
+                [parseInt(req.body.replacement_code) || 0]
+            );
+            if (replacement.rows.length === 0) {
+                return res.status(400).json({ success: false, error: 'Replacement code not found' });
+            }
+            if (replacement.rows[0].id == supplyId) {
+                return res.status(400).json({ success: false, error: 'A supply cannot replace itself' });
+            }
+            if (replacement.rows[0].retired_on) {
+                return res.status(400).json({ success: false, error: 'The replacement supply is retired too' });
+            }
+            replacementId = replacement.rows[0].id;
+        }
+
+        const result = await safeQuery(
+            `UPDATE supplies SET retired_on = $1, replacement_supply_id = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3 RETURNING *`,
+            [retiredOn, replacementId, supplyId]
+        );
+
+        await recordAudit(req, { entityType: 'supply', entityId: result.rows[0].id, action: 'retire', before: before.rows[0], after: result.rows[0] });
+
+        res.json({ success: true, supply: result.rows[0] });
+    } catch (error) {
+        console.error('Error retiring supply:', error);
+        res.status(500).json({ success: false, error: 'Failed to retire supply' });
+    }
+});
+
+app.post('/api/supplies/:id/reactivate', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const before = await safeQuery('SELECT * FROM supplies WHERE id = $1', [req.params.id]);
+        if (before.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Supply not found' });
+        }
+
+        const result = await safeQuery(
+            `UPDATE supplies SET retired_on = NULL, replacement_supply_id = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [req.params.id]
+        );
+
+        await recordAudit(req, { entityType: 'supply', entityId: result.rows[0].id, action: 'reactivate', before: before.rows[0], after: result.rows[0] });
+
+        res.json({ success: true, supply: result.rows[0] });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to reactivate supply' });
+    }
+});
+
+// SUPPLY PRICES
+app.get('/api/supplies/:id/prices', authenticateToken, requirePermission('costs:view'), async (req, res) => {
+    try {
+        const result = await safeQuery(
+            `SELECT sp.id, sp.supply_id, sp.cost, TO_CHAR(sp.effective_from, 'YYYY-MM-DD') as effective_from,
+                    sp.created_at, u.name as created_by_name,
+                    CASE
+                        WHEN sp.effective_from > CURRENT_DATE THEN 'scheduled'
+                        WHEN sp.effective_from = MAX(sp.effective_from) FILTER (WHERE sp.effective_from <= CURRENT_DATE) OVER () THEN 'current'
+                        ELSE 'past'
+                    END as status
+             FROM supply_prices sp
+             LEFT JOIN users u ON sp.created_by = u.id
+             WHERE sp.supply_id = $1 AND sp.facility_id IS NULL
+             ORDER BY sp.effective_from DESC`,
+            [req.params.id]
+        );
+        res.json({ success: true, prices: result.rows, historyStart: PRICE_HISTORY_START });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch supply prices' });
+    }
+});
+
+app.post('/api/supplies/:id/prices', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const cost = parseCost(req.body.cost);
+        if (cost === null) {
+            return res.status(400).json({ success: false, error: 'Cost must be a non-negative number' });
+        }
+        const { error, effectiveFrom } = parseEffectiveFrom(req.body.effective_from);
+        if (error || !effectiveFrom) {
+            return res.status(400).json({ success: false, error: error || 'Effective month is required' });
+        }
+
+        const supply = await safeQuery('SELECT id FROM supplies WHERE id = $1', [req.params.id]);
+        if (supply.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Supply not found' });
+        }
+
+        const { error: monthError } = await checkPriceMonth(req.params.id, null, effectiveFrom);
+        if (monthError) {
+            return res.status(400).json({ success: false, error: monthError });
+        }
+
+        const before = await safeQuery(
+            `SELECT *, TO_CHAR(effective_from, 'YYYY-MM-DD') as effective_from FROM supply_prices
+             WHERE supply_id = $1 AND facility_id IS NULL AND effective_from = $2`,
+            [req.params.id, effectiveFrom]
+        );
+        const price = await setSupplyPrice(req.params.id, cost, effectiveFrom, req.user.id);
+
+        await recordAudit(req, {
+            entityType: 'supply_price',
+            entityId: price.id,
+            action: before.rows.length > 0 ? 'update' : 'create',
+            before: before.rows[0],
+            after: price
+        });
+
+        res.json({ success: true, price });
+    } catch (error) {
+        console.error('Error saving supply price:', error);
+        res.status(500).json({ success: false, error: 'Failed to save supply price' });
+    }
+});
+
+app.delete('/api/supplies/:id/prices/:priceId', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const price = await safeQuery(
+            `SELECT *, TO_CHAR(effective_from, 'YYYY-MM-DD') as effective_from,
+                    effective_from = (SELECT MIN(effective_from) FROM supply_prices WHERE supply_id = $1 AND facility_id IS NULL) as is_first
+             FROM supply_prices WHERE id = $2 AND supply_id = $1 AND facility_id IS NULL`,
+            [req.params.id, req.params.priceId]
+        );
+        if (price.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Price not found' });
+        }
+        if (price.rows[0].is_first) {
+            return res.status(400).json({ success: false, error: 'The earliest price cannot be removed; change its cost instead' });
+        }
+
+        const { error: monthError } = await checkPriceMonth(req.params.id, null, price.rows[0].effective_from);
+        if (monthError) {
+            return res.status(400).json({ success: false, error: monthError });
+        }
+
+        await safeQuery('DELETE FROM supply_prices WHERE id = $1', [req.params.priceId]);
+        await refreshSupplyCost(req.params.id);
+
+        delete price.rows[0].is_first;
+        await recordAudit(req, { entityType: 'supply_price', entityId: price.rows[0].id, action: 'delete', before: price.rows[0] });
+
+        res.json({ success: true, message: 'Price removed' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to remove supply price' });
+    }
+});
+
+// SUPPLY IMPORT
+app.post('/api/supplies/import', authenticateToken, requirePermission('supplies:manage'), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No Excel file uploaded' });
+        }
+
+        let data;
+        try {
+            const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
+            const sheetName = workbook.SheetNames[0];
+            const sheet = workbook.Sheets[sheetName];
+            data = XLSX.utils.sheet_to_json(sheet);
+        } catch (parseError) {
+            return res.status(400).json({ success: false, error: 'Invalid Excel file format' });
+        }
+
+        if (data.length === 0) {
+            return res.status(400).json({ success: false, error: 'No data found in Excel file' });
+        }
+
+        let imported = 0;
+        let scheduled = 0;
+        let errors = [];
+
+        for (const row of data) {
+            try {
+                const code = parseInt(row.Code || row.code);
+                const description = (row.Description || row.description || '').toString().trim();
+                const hcpcs = (row.HCPCS || row.hcpcs || '').toString().trim();
+                const costCell = row.Cost ?? row.cost;
+                const cost = parseCost(costCell || 0);
+                // An optional "Effective From" month schedules the cost instead of applying it this month
+                const { error: effectiveError, effectiveFrom } = parseEffectiveFrom(
+                    row['Effective From'] ?? row['Effective Date'] ?? row.effective_from
+                );
+
+                if (!code || !description) {
+                    errors.push({ row: row, error: 'Missing code or description' });
+                    continue;
+                }
+                if (cost === null) {
+                    errors.push({ row: row, error: 'Cost must be a non-negative number' });
+                    continue;
+                }
+                if (effectiveError) {
+                    errors.push({ row: row, error: effectiveError });
+                    continue;
+                }
+
+                const before = await safeQuery('SELECT * FROM supplies WHERE code = $1', [code]);
+
+                // A changed cost on an existing supply becomes a new price; its month is checked
+                // before anything on the row is saved
+                const hasCost = costCell !== undefined && costCell !== '';
+                let repriced = false;
+                if (before.rows.length > 0 && hasCost) {
+                    const current = await safeQuery(
+                        `SELECT supply_cost($1, TO_CHAR(COALESCE($2::date, CURRENT_DATE), 'YYYY-MM')) as cost`,
+                        [before.rows[0].id, effectiveFrom]
+                    );
+                    repriced = parseFloat(current.rows[0].cost) !== cost;
+                }
+                if (repriced) {
+                    const { error: monthError } = await checkPriceMonth(before.rows[0].id, null, effectiveFrom);
+                    if (monthError) {
+                        errors.push({ row: row, error: monthError });
+                        continue;
+                    }
+                }
+
+                const saved = await safeQuery(
+                    'INSERT INTO supplies (code, description, hcpcs, cost, is_custom) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (code) DO UPDATE SET description = EXCLUDED.description, hcpcs = EXCLUDED.hcpcs RETURNING *',
+                    [code, description, hcpcs || null, cost, true]
+                );
+                const supplyId = saved.rows[0].id;
+
+                let price = null;
+                if (before.rows.length === 0) {
+                    price = await setSupplyPrice(supplyId, cost, PRICE_HISTORY_START, req.user.id);
+                }
+                if (repriced) {
+                    price = await setSupplyPrice(supplyId, cost, effectiveFrom, req.user.id);
+                    if (effectiveFrom && effectiveFrom > new Date().toISOString().slice(0, 10)) scheduled++;
+                }
+
+                const after = await safeQuery('SELECT * FROM supplies WHERE id = $1', [supplyId]);
+
+                await recordAudit(req, {
+                    entityType: 'supply',
+                    entityId: supplyId,
+                    action: before.rows.length > 0 ? 'update' : 'create',
+                    before: before.rows[0],
+                    after: after.rows[0]
+                });
+                if (price) {
+                    await recordAudit(req, { entityType: 'supply_price', entityId: price.id, action: 'create', after: price });
+                }
+
+                imported++;
+
+            } catch (error) {
+                errors.push({ row: row, error: error.message });
+            }
+        }
+
+        await assignSupplyCategories();
+
+        res.json({
+            success: true,
+            message: `Successfully imported ${imported} supplies` +
+                (scheduled > 0 ? `, ${scheduled} with scheduled price changes` : '') + `. ${errors.length} errors.`,
+            imported: imported,
+            scheduled: scheduled,
+            errors: errors.slice(0, 10)
+        });
+
+    } catch (error) {
+        console.error('Supply import error:', error);
+        res.status(500).json({ success: false, error: 'Server error during import' });
+    }
+});
+
+// SUPPLY CATEGORIES
+// Puts every supply in the category whose code range contains its code (the narrowest
+// range wins); supplies outside every range are left uncategorized
+async function assignSupplyCategories() {
+    await safeQuery(`
+        UPDATE supplies s SET category_id = matched.category_id
+        FROM (
+            SELECT s2.id,
+                   (SELECT c.id FROM supply_categories c
+                    WHERE s2.code BETWEEN c.code_start AND c.code_end
+                    ORDER BY c.code_end - c.code_start, c.id
+                    LIMIT 1) as category_id
+            FROM supplies s2
+        ) matched
+        WHERE matched.id = s.id AND s.category_id IS DISTINCT FROM matched.category_id
+    `);
+}
+
+// Validates and normalizes category fields from a request body. Returns { error } or { values }.
+function parseSupplyCategoryInput(body) {
+    const key = (body.key || '').toString().trim().toLowerCase();
+    const name = (body.name || '').toString().trim();
+    const codeStart = parseInt(body.codeStart);
+    const codeEnd = body.codeEnd === undefined || body.codeEnd === '' ? codeStart : parseInt(body.codeEnd);
+    const sortOrder = parseInt(body.sortOrder) || 0;
+
+    if (!/^[a-z][a-z0-9_]{1,29}$/.test(key)) {
+        return { error: 'Key must be 2-30 lowercase letters, digits or underscores' };
+    }
+    if (!name) {
+        return { error: 'Name is required' };
+    }
+    if (isNaN(codeStart) || isNaN(codeEnd) || codeStart <= 0 || codeEnd < codeStart) {
+        return { error: 'Code range must be positive codes with the end not before the start' };
+    }
+    return { values: { key, name, codeStart, codeEnd, sortOrder } };
+}
+
+// A category key used by ROLE_SUPPLY_CATEGORIES, with the role that depends on it
+function roleForCategoryKey(key) {
+    return Object.keys(ROLE_SUPPLY_CATEGORIES).find(role => ROLE_SUPPLY_CATEGORIES[role].includes(key));
+}
+
+async function overlappingCategory(values, excludeId) {
+    const result = await safeQuery(
+        `SELECT name FROM supply_categories
+         WHERE code_start <= $2 AND code_end >= $1 AND id <> COALESCE($3, 0)
+         LIMIT 1`,
+        [values.codeStart, values.codeEnd, excludeId || null]
+    );
+    return result.rows[0] || null;
+}
+
+app.get('/api/supply-categories', authenticateToken, async (req, res) => {
+    try {
+        // Roles limited to a section only get their own categories
+        const keys = ROLE_SUPPLY_CATEGORIES[req.user.role];
+        const result = await safeQuery(
+            `SELECT c.*, COUNT(s.id) as supply_count
+             FROM supply_categories c
+             LEFT JOIN supplies s ON s.category_id = c.id
+             ${keys ? 'WHERE c.key = ANY($1)' : ''}
+             GROUP BY c.id
+             ORDER BY c.sort_order ASC, c.code_start ASC`,
+            keys ? [keys] : []
+        );
+        res.json({
+            success: true,
+            categories: result.rows.map(row => Object.assign(row, { supply_count: parseInt(row.supply_count) || 0 })),
+            restricted: !!keys
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch supply categories' });
+    }
+});
+
+app.post('/api/supply-categories', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const { error, values } = parseSupplyCategoryInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const overlap = await overlappingCategory(values);
+        if (overlap) {
+            return res.status(400).json({ success: false, error: `Code range overlaps ${overlap.name}` });
+        }
+
+        const result = await safeQuery(
+            `INSERT INTO supply_categories (key, name, code_start, code_end, sort_order)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [values.key, values.name, values.codeStart, values.codeEnd, values.sortOrder]
+        );
+        await assignSupplyCategories();
+
+        await recordAudit(req, { entityType: 'supply_category', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+
+        res.json({ success: true, category: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({ success: false, error: 'Category key already exists' });
+        }
+        console.error('Error creating supply category:', error);
+        res.status(500).json({ success: false, error: 'Failed to create supply category' });
+    }
+});
+
+app.put('/api/supply-categories/:id', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const { error, values } = parseSupplyCategoryInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const before = await safeQuery('SELECT * FROM supply_categories WHERE id = $1', [req.params.id]);
+        if (before.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Category not found' });
+        }
+
+        const role = roleForCategoryKey(before.rows[0].key);
+        if (role && values.key !== before.rows[0].key) {
+            return res.status(400).json({ success: false, error: `The key of ${before.rows[0].name} cannot change; the ${role} role uses it` });
+        }
+
+        const overlap = await overlappingCategory(values, req.params.id);
+        if (overlap) {
+            return res.status(400).json({ success: false, error: `Code range overlaps ${overlap.name}` });
+        }
+
+        const result = await safeQuery(
+            `UPDATE supply_categories SET key = $1, name = $2, code_start = $3, code_end = $4, sort_order = $5,
+                    updated_at = CURRENT_TIMESTAMP
+             WHERE id = $6 RETURNING *`,
+            [values.key, values.name, values.codeStart, values.codeEnd, values.sortOrder, req.params.id]
+        );
+        await assignSupplyCategories();
+
+        await recordAudit(req, { entityType: 'supply_category', entityId: result.rows[0].id, action: 'update', before: before.rows[0], after: result.rows[0] });
+
+        res.json({ success: true, category: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({ success: false, error: 'Category key already exists' });
+        }
+        console.error('Error updating supply category:', error);
+        res.status(500).json({ success: false, error: 'Failed to update supply category' });
+    }
+});
+
+app.delete('/api/supply-categories/:id', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const before = await safeQuery('SELECT * FROM supply_categories WHERE id = $1', [req.params.id]);
+        if (before.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Category not found' });
+        }
+
+        const role = roleForCategoryKey(before.rows[0].key);
+        if (role) {
+            return res.status(400).json({ success: false, error: `${before.rows[0].name} cannot be deleted; the ${role} role uses it` });
+        }
+
+        await safeQuery('DELETE FROM supply_categories WHERE id = $1', [req.params.id]);
+        await assignSupplyCategories();
+
+        await recordAudit(req, { entityType: 'supply_category', entityId: before.rows[0].id, action: 'delete', before: before.rows[0] });
+
+        res.json({ success: true, message: 'Category deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to delete supply category' });
+    }
+});
+
+// SUPPLY RULES
+async function getActiveSupplyRules() {
+    const result = await safeQuery('SELECT * FROM supply_rules WHERE is_active = true ORDER BY hcpcs_start, id');
+    return result.rows;
+}
+
+// Tracking entries of one patient-month in the shape supplyRules.evaluateRules expects
+async function getRuleEntries(patientId) {
+    const result = await safeQuery(
+        `SELECT t.supply_id, t.wound_id, t.day_of_month, t.quantity, s.hcpcs
+         FROM tracking t
+         JOIN supplies s ON t.supply_id = s.id
+         WHERE t.patient_id = $1`,
+        [patientId]
+    );
+    return result.rows;
+}
+
+// Rule violations for a set of patient-months, keyed by patient id
+async function getRuleViolationsByPatient(patientIds) {
+    const [rules, entries] = await Promise.all([
+        getActiveSupplyRules(),
+        safeQuery(
+            `SELECT t.patient_id, t.wound_id, t.day_of_month, t.quantity, s.hcpcs
+             FROM tracking t
+             JOIN supplies s ON t.supply_id = s.id
+             WHERE t.patient_id = ANY($1::int[])`,
+            [[...new Set(patientIds)]]
+        )
+    ]);
+
+    const entriesByPatient = new Map();
+    entries.rows.forEach(entry => {
+        if (!entriesByPatient.has(entry.patient_id)) entriesByPatient.set(entry.patient_id, []);
+        entriesByPatient.get(entry.patient_id).push(entry);
+    });
+
+    const violations = new Map();
+    entriesByPatient.forEach((patientEntries, patientId) => {
+        violations.set(patientId, supplyRules.evaluateRules(rules, patientEntries));
+    });
+    return violations;
+}
+
+function formatRuleFlags(violations) {
+    return violations.map(violation => `${violation.action.toUpperCase()}: ${violation.message}`).join('; ');
+}
+
+// Validates and normalizes rule fields from a request body. Returns { error } or { values }.
+function parseSupplyRuleInput(body) {
+    const name = (body.name || '').trim();
+    const hcpcsStart = supplyRules.normalizeHcpcs(body.hcpcsStart);
+    const hcpcsEnd = supplyRules.normalizeHcpcs(body.hcpcsEnd) || null;
+    const maxUnits = parseInt(body.maxUnits);
+
+    if (!name || !hcpcsStart) {
+        return { error: 'Name and HCPCS code are required' };
+    }
+    if (hcpcsEnd && (hcpcsEnd.length !== hcpcsStart.length || hcpcsEnd < hcpcsStart)) {
+        return { error: 'The end of the HCPCS range must come after its start' };
+    }
+    if (!supplyRules.PERIODS.includes(body.period)) {
+        return { error: 'Period must be one of: ' + supplyRules.PERIODS.join(', ') };
+    }
+    if (isNaN(maxUnits) || maxUnits < 0) {
+        return { error: 'Maximum units must be zero or more' };
+    }
+    if (!supplyRules.ACTIONS.includes(body.action)) {
+        return { error: 'Action must be one of: ' + supplyRules.ACTIONS.join(', ') };
+    }
+
+    return {
+        values: {
+            name,
+            hcpcsStart,
+            hcpcsEnd,
+            period: body.period,
+            maxUnits,
+            action: body.action,
+            isActive: body.isActive !== false,
+            notes: (body.notes || '').trim() || null
+        }
+    };
+}
+
+app.get('/api/supply-rules', authenticateToken, async (req, res) => {
+    try {
+        const result = await safeQuery('SELECT * FROM supply_rules ORDER BY hcpcs_start, id');
+        res.json({ success: true, rules: result.rows });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch supply rules' });
+    }
+});
+
+app.post('/api/supply-rules', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const { error, values } = parseSupplyRuleInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const result = await safeQuery(
+            `INSERT INTO supply_rules (name, hcpcs_start, hcpcs_end, period, max_units, action, is_active, notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+            [values.name, values.hcpcsStart, values.hcpcsEnd, values.period, values.maxUnits,
+             values.action, values.isActive, values.notes]
+        );
+
+        await recordAudit(req, { entityType: 'supply_rule', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+
+        res.json({ success: true, rule: result.rows[0] });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to create supply rule' });
+    }
+});
+
+app.put('/api/supply-rules/:id', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const { error, values } = parseSupplyRuleInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const before = await safeQuery('SELECT * FROM supply_rules WHERE id = $1', [req.params.id]);
+
+        const result = await safeQuery(
+            `UPDATE supply_rules
+             SET name = $1, hcpcs_start = $2, hcpcs_end = $3, period = $4, max_units = $5, action = $6,
+                 is_active = $7, notes = $8, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $9 RETURNING *`,
+            [values.name, values.hcpcsStart, values.hcpcsEnd, values.period, values.maxUnits,
+             values.action, values.isActive, values.notes, req.params.id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'Supply rule not found' });
+        }
+
+        await recordAudit(req, { entityType: 'supply_rule', entityId: result.rows[0].id, action: 'update', before: before.rows[0], after: result.rows[0] });
+
+        res.json({ success: true, rule: result.rows[0] });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to update supply rule' });
+    }
+});
+
+app.delete('/api/supply-rules/:id', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const result = await safeQuery('DELETE FROM supply_rules WHERE id = $1 RETURNING *', [req.params.id]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'Supply rule not found' });
+        }
+
+        await recordAudit(req, { entityType: 'supply_rule', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
+
+        res.json({ success: true, message: 'Supply rule deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to delete supply rule' });
+    }
+});
+
+// PATIENTS
+app.get('/api/patients', authenticateToken, requirePermission('patients:read'), async (req, res) => {
+    try {
+        const { facility_id, month, profile_id } = req.query;
+        
+        let query = `
+            SELECT p.*, f.name as facility_name,
+                   pp.admit_date, pp.discharge_date, pp.date_of_birth, pp.gender, pp.member_id,
+                   (SELECT array_agg(e.month ORDER BY e.month) FROM patients e WHERE e.profile_id = p.profile_id) as episode_months
+            FROM patients p 
+            LEFT JOIN facilities f ON p.facility_id = f.id
+            LEFT JOIN patient_profiles pp ON p.profile_id = pp.id
+        `;
+        let params = [];
+        let conditions = patientScopeConditions(req.user, params);
+
+        if (!conditions) {
+            return res.json({ success: true, patients: [] });
+        }
+
+        if (facility_id) {
+            if (!canAccessFacility(req.user, facility_id)) {
+                return res.status(403).json({ success: false, error: 'No access to this facility' });
+            }
+            conditions.push('p.facility_id = $' + (params.length + 1));
+            params.push(facility_id);
+        }
+
+        if (month) {
+            conditions.push('p.month = $' + (params.length + 1));
+            params.push(month);
+        }
+
+        if (profile_id) {
+            conditions.push('p.profile_id = $' + (params.length + 1));
+            params.push(profile_id);
+        }
+
+        if (conditions.length > 0) {
+            query += ' WHERE ' + conditions.join(' AND ');
+        }
+
+        query += ' ORDER BY p.name ASC, p.month ASC';
+
+        const result = await safeQuery(query, params);
+        await logPhiAccess(req, result.rows.map(row => row.id));
+
+        res.json({ success: true, patients: result.rows });
+
+    } catch (error) {
+        console.error('Error fetching patients:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch patients' });
+    }
+});
+
+app.post('/api/patients', authenticateToken, requirePermission('patients:write'), async (req, res) => {
+    try {
+        const { name, month, mrn, facility_id, profile_id, admit_date, discharge_date } = req.body;
+        
+        if (!name || !month || !facility_id) {
+            return res.status(400).json({ success: false, error: 'Name, month, and facility are required' });
+        }
+
+        const { error: billingError, billing } = parsePatientBilling(req.body);
+        if (billingError) {
+            return res.status(400).json({ success: false, error: billingError });
+        }
+
+        if (!canAccessFacility(req.user, facility_id)) {
+            return res.status(403).json({ success: false, error: 'Cannot add patients to this facility' });
+        }
+
+        if (!can(req.user, 'history:edit')) {
+            const startMonth = await getEditableStartMonth(facility_id);
+            if (month < startMonth) {
+                return res.status(400).json({ success: false, error: `Can only add patients for ${formatMonthLabel(startMonth)} onwards` });
+            }
+        }
+
+        const closure = await getMonthClosure(facility_id, month);
+        if (closure) {
+            return res.status(403).json({ success: false, error: monthClosedMessage(closure) });
+        }
+
+        // Check for MRN duplicate within the same month and facility
+        if (mrn && mrn.trim()) {
+            const duplicate = await checkMRNDuplicate(mrn.trim(), month, facility_id);
+            if (duplicate) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: `MRN "${mrn.trim()}" already exists for patient "${duplicate.name}" in ${duplicate.month}` 
+                });
+            }
+        }
+
+        const profile = await resolvePatientProfile({
+            profileId: profile_id,
+            name,
+            mrn,
+            facilityId: facility_id,
+            admitDate: admit_date,
+            dischargeDate: discharge_date,
+            billing
+        });
+
+        const existingEpisode = await safeQuery(
+            'SELECT id FROM patients WHERE profile_id = $1 AND month = $2',
+            [profile.id, month]
+        );
+        if (existingEpisode.rows.length > 0) {
+            return res.status(400).json({ success: false, error: `${profile.name} already has a record for ${month}` });
+        }
+
+        const result = await safeQuery(
+            'INSERT INTO patients (name, month, mrn, facility_id, profile_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+            [profile.name, month, profile.mrn, facility_id, profile.id]
+        );
+
+        await recordAudit(req, { entityType: 'patient', entityId: result.rows[0].id, action: 'create', after: result.rows[0], patient: result.rows[0] });
+
+        res.json({ success: true, patient: result.rows[0] });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Error creating patient:', error);
+        res.status(500).json({ success: false, error: 'Failed to create patient' });
+    }
+});
+
+app.put('/api/patients/:id', authenticateToken, requirePermission('patients:write'), async (req, res) => {
+    try {
+        const patientId = req.params.id;
+        const { name, month, mrn, facility_id, admit_date, discharge_date } = req.body;
+        
+        if (!name || !month || !facility_id) {
+            return res.status(400).json({ success: false, error: 'Name, month, and facility are required' });
+        }
+
+        const { error: billingError, billing } = parsePatientBilling(req.body);
+        if (billingError) {
+            return res.status(400).json({ success: false, error: billingError });
+        }
+
+        if (!canAccessFacility(req.user, facility_id)) {
+            return res.status(403).json({ success: false, error: 'Cannot modify patients from this facility' });
+        }
+
+        if (!can(req.user, 'history:edit')) {
+            const startMonth = await getEditableStartMonth(facility_id);
+            if (month < startMonth) {
+                return res.status(400).json({ success: false, error: `Can only modify patients for ${formatMonthLabel(startMonth)} onwards` });
+            }
+        }
+
+        // Check for MRN duplicate within the same month and facility (excluding current patient)
+        if (mrn && mrn.trim()) {
+            const duplicate = await checkMRNDuplicate(mrn.trim(), month, facility_id, parseInt(patientId));
+            if (duplicate) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: `MRN "${mrn.trim()}" already exists for patient "${duplicate.name}" in ${duplicate.month}` 
+                });
+            }
+        }
+
+        const current = await safeQuery('SELECT * FROM patients WHERE id = $1', [patientId]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        if (!canAccessFacility(req.user, current.rows[0].facility_id)) {
+            return res.status(403).json({ success: false, error: 'Cannot modify patients from this facility' });
+        }
+
+        const closure = await getMonthClosure(current.rows[0].facility_id, current.rows[0].month) ||
+            await getMonthClosure(facility_id, month);
+        if (closure) {
+            return res.status(403).json({ success: false, error: monthClosedMessage(closure) });
+        }
+
+        const cleanMrn = mrn && mrn.trim() ? mrn.trim() : null;
+        let profileId = current.rows[0].profile_id;
+
+        if (current.rows[0].facility_id != facility_id) {
+            // Moving to another facility re-links the month to that facility's profile
+            const profile = await resolvePatientProfile({
+                name,
+                mrn: cleanMrn,
+                facilityId: facility_id,
+                admitDate: admit_date,
+                dischargeDate: discharge_date,
+                billing
+            });
+            profileId = profile.id;
+        } else {
+            if (cleanMrn) {
+                const conflict = await safeQuery(
+                    'SELECT name FROM patient_profiles WHERE TRIM(mrn) = $1 AND facility_id = $2 AND id != $3',
+                    [cleanMrn, facility_id, profileId]
+                );
+                if (conflict.rows.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `MRN "${cleanMrn}" already belongs to patient "${conflict.rows[0].name}"`
+                    });
+                }
+            }
+
+            await safeQuery(
+                `UPDATE patient_profiles
+                 SET name = $1, mrn = $2, admit_date = $3, discharge_date = $4,
+                     date_of_birth = $5, gender = $6, member_id = $7, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $8`,
+                [name, cleanMrn, admit_date || null, discharge_date || null,
+                 billing.dateOfBirth, billing.gender, billing.memberId, profileId]
+            );
+
+            // Keep the denormalized name/MRN consistent across every month of the profile
+            await safeQuery(
+                'UPDATE patients SET name = $1, mrn = $2, updated_at = CURRENT_TIMESTAMP WHERE profile_id = $3 AND id != $4',
+                [name, cleanMrn, profileId, patientId]
+            );
+        }
+
+        const result = await safeQuery(
+            'UPDATE patients SET name = $1, month = $2, mrn = $3, facility_id = $4, profile_id = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6 RETURNING *',
+            [name, month, cleanMrn, facility_id, profileId, patientId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        if (profileId != current.rows[0].profile_id) {
+            // Wounds the month's tracking refers to go with it to the new profile. A wound the old
+            // profile's other months still use is copied instead, and only this month points at the copy.
+            const usedWounds = await safeQuery(
+                `SELECT DISTINCT t.wound_id,
+                        EXISTS (
+                            SELECT 1 FROM tracking ot WHERE ot.wound_id = t.wound_id AND ot.patient_id != $1
+                        ) as shared
+                 FROM tracking t
+                 WHERE t.patient_id = $1 AND t.wound_id IS NOT NULL`,
+                [patientId]
+            );
+
+            for (const { wound_id, shared } of usedWounds.rows) {
+                if (!shared) {
+                    await safeQuery(
+                        'UPDATE wounds SET profile_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                        [profileId, wound_id]
+                    );
+                    continue;
+                }
+
+                const copy = await safeQuery(
+                    `INSERT INTO wounds (profile_id, location, wound_type, icd10_code, onset_date, stage, status, notes, created_by)
+                     SELECT $1, location, wound_type, icd10_code, onset_date, stage, status, notes, $2
+                     FROM wounds WHERE id = $3
+                     RETURNING *`,
+                    [profileId, req.user.id, wound_id]
+                );
+                await safeQuery(
+                    'UPDATE tracking SET wound_id = $1, updated_at = CURRENT_TIMESTAMP WHERE patient_id = $2 AND wound_id = $3',
+                    [copy.rows[0].id, patientId, wound_id]
+                );
+                await recordAudit(req, {
+                    entityType: 'wound',
+                    entityId: copy.rows[0].id,
+                    action: 'create',
+                    after: copy.rows[0],
+                    patient: result.rows[0]
+                });
+            }
+        }
+
+        await safeQuery(
+            'DELETE FROM patient_profiles pp WHERE pp.id = $1 AND NOT EXISTS (SELECT 1 FROM patients p WHERE p.profile_id = pp.id)',
+            [current.rows[0].profile_id]
+        );
+
+        await recordAudit(req, {
+            entityType: 'patient',
+            entityId: result.rows[0].id,
+            action: 'update',
+            before: current.rows[0],
+            after: result.rows[0],
+            patient: result.rows[0]
+        });
+
+        res.json({ success: true, patient: result.rows[0] });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        if (error.code === '23505') {
+            return res.status(400).json({ success: false, error: 'This patient already has a record for that month' });
+        }
+        console.error('Error updating patient:', error);
+        res.status(500).json({ success: false, error: 'Failed to update patient' });
+    }
+});
+
+app.delete('/api/patients/:id', authenticateToken, requirePermission('patients:write'), async (req, res) => {
+    try {
+        const patientId = req.params.id;
+        
+        const patient = await safeQuery('SELECT name, facility_id, month FROM patients WHERE id = $1', [patientId]);
+        if (patient.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        if (!canAccessFacility(req.user, patient.rows[0].facility_id)) {
+            return res.status(403).json({ success: false, error: 'Cannot delete patients from other facilities' });
+        }
+
+        const closure = await getMonthClosure(patient.rows[0].facility_id, patient.rows[0].month);
+        if (closure) {
+            return res.status(403).json({ success: false, error: monthClosedMessage(closure) });
+        }
+        
+        const result = await withTransaction(async client => {
+            // Units the month's tracking took off the shelf go back with the tracking
+            const usage = await safeQuery(
+                `SELECT facility_id, supply_id, SUM(quantity) as quantity
+                 FROM inventory_transactions
+                 WHERE patient_id = $1 AND type = 'usage'
+                 GROUP BY facility_id, supply_id
+                 HAVING SUM(quantity) != 0`,
+                [patientId],
+                client
+            );
+            for (const row of usage.rows) {
+                await recordInventoryChange({
+                    facilityId: row.facility_id,
+                    supplyId: row.supply_id,
+                    type: 'usage',
+                    quantity: -parseInt(row.quantity),
+                    patientId,
+                    notes: `${patient.rows[0].name} (${patient.rows[0].month}) deleted`,
+                    userId: req.user.id
+                }, client);
+            }
+
+            return safeQuery('DELETE FROM patients WHERE id = $1 RETURNING *', [patientId], client);
+        });
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        // Drop the profile once its last month is gone
+        await safeQuery(
+            'DELETE FROM patient_profiles pp WHERE pp.id = $1 AND NOT EXISTS (SELECT 1 FROM patients p WHERE p.profile_id = pp.id)',
+            [result.rows[0].profile_id]
+        );
+
+        await recordAudit(req, { entityType: 'patient', entityId: result.rows[0].id, action: 'delete', before: result.rows[0], patient: result.rows[0] });
+
+        res.json({ success: true, message: 'Patient deleted successfully' });
+
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to delete patient' });
+    }
+});
+
+// BULK PATIENT UPLOAD
+app.post('/api/patients/bulk', authenticateToken, requirePermission('patients:import'), async (req, res) => {
+    try {
+        const { patients } = req.body;
+        
+        if (!patients || !Array.isArray(patients) || patients.length === 0) {
+            return res.status(400).json({ success: false, error: 'No patient data provided' });
+        }
+
+        console.log(`Starting bulk upload for ${patients.length} patients`);
+
+        const facilitiesResult = await safeQuery('SELECT id, name FROM facilities');
+        const facilityMap = {};
+        facilitiesResult.rows.forEach(facility => {
+            const cleanName = facility.name.toLowerCase().trim();
+            facilityMap[cleanName] = facility.id;
+            facilityMap[facility.name] = facility.id;
+        });
+
+        const results = { successful: 0, failed: [] };
+
+        for (let i = 0; i < patients.length; i++) {
+            const patient = patients[i];
+            
+            try {
+                const name = (patient.name || patient.Name || '').toString().trim();
+                const mrn = (patient.mrn || patient.MRN || '').toString().trim();
+                const month = (patient.month || patient.Month || '').toString().trim();
+                const facilityName = (patient.facilityName || patient.Facility || patient.facility || '').toString().trim();
+
+                if (!name || !month || !facilityName) {
+                    results.failed.push({ 
+                        name: name || 'Row ' + (i + 1), 
+                        error: 'Missing required fields (Name, Month, Facility)' 
+                    });
+                    continue;
+                }
+
+                const dbMonth = convertMonthFormat(month);
+                if (!dbMonth) {
+                    results.failed.push({ 
+                        name: name, 
+                        error: `Invalid month format: "${month}"` 
+                    });
+                    continue;
+                }
+
+                const facilityKey = facilityName.toLowerCase().trim();
+                const facilityId = facilityMap[facilityKey];
+                
+                if (!facilityId) {
+                    results.failed.push({ 
+                        name: name, 
+                        error: `Facility "${facilityName}" not found. Available facilities: ${Object.keys(facilityMap).join(', ')}` 
+                    });
+                    continue;
+                }
+
+                if (!canAccessFacility(req.user, facilityId)) {
+                    results.failed.push({ 
+                        name: name, 
+                        error: 'No permission to add patients to this facility' 
+                    });
+                    continue;
+                }
+
+                if (!can(req.user, 'history:edit')) {
+                    const startMonth = await getEditableStartMonth(facilityId);
+                    if (dbMonth < startMonth) {
+                        results.failed.push({ 
+                            name: name, 
+                            error: `Month ${dbMonth} is before ${formatMonthLabel(startMonth)} (non-admin restriction)` 
+                        });
+                        continue;
+                    }
+                }
+
+                const closure = await getMonthClosure(facilityId, dbMonth);
+                if (closure) {
+                    results.failed.push({ 
+                        name: name, 
+                        error: monthClosedMessage(closure) 
+                    });
+                    continue;
+                }
+
+                // Check MRN duplicate within the same month and facility
+                if (mrn && mrn.length > 0) {
+                    const duplicate = await checkMRNDuplicate(mrn, dbMonth, facilityId);
+                    if (duplicate) {
+                        results.failed.push({ 
+                            name: name, 
+                            error: `MRN "${mrn}" already exists for patient "${duplicate.name}" in ${duplicate.month}` 
+                        });
+                        continue;
+                    }
+                }
+
+                const profile = await resolvePatientProfile({ name, mrn, facilityId });
+
+                const inserted = await safeQuery(
+                    'INSERT INTO patients (name, mrn, month, facility_id, profile_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+                    [name, mrn || null, dbMonth, facilityId, profile.id]
+                );
+
+                await recordAudit(req, { entityType: 'patient', entityId: inserted.rows[0].id, action: 'create', after: inserted.rows[0], patient: inserted.rows[0] });
+
+                results.successful++;
+
+            } catch (error) {
+                console.error(`Error processing patient ${i + 1}:`, error);
+                results.failed.push({ 
+                    name: patient.name || patient.Name || ('Row ' + (i + 1)), 
+                    error: error.status ? error.message : 'Database error: ' + error.message 
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            message: `Upload completed. ${results.successful} successful, ${results.failed.length} failed.`,
+            successful: results.successful,
+            failed: results.failed.slice(0, 20)
+        });
+
+    } catch (error) {
+        console.error('Bulk upload error:', error);
+        res.status(500).json({ success: false, error: 'Server error during bulk upload: ' + error.message });
+    }
+});
+
+// WOUNDS
+// Wounds of a patient's profile with the units recorded against each, for this month and overall
+async function getProfileWounds(profileId, patientId) {
+    const result = await safeQuery(
+        `SELECT w.*,
+                COALESCE(SUM(t.quantity) FILTER (WHERE t.patient_id = $2), 0) as month_units,
+                COALESCE(SUM(t.quantity), 0) as total_units
+         FROM wounds w
+         LEFT JOIN tracking t ON t.wound_id = w.id
+         WHERE w.profile_id = $1
+         GROUP BY w.id
+         ORDER BY CASE w.status WHEN 'active' THEN 0 ELSE 1 END, w.id`,
+        [profileId, patientId]
+    );
+    return result.rows.map(row => Object.assign(row, {
+        month_units: parseInt(row.month_units) || 0,
+        total_units: parseInt(row.total_units) || 0
+    }));
+}
+
+async function loadWoundWithFacility(woundId) {
+    const result = await safeQuery(
+        `SELECT w.*, pp.facility_id
+         FROM wounds w
+         JOIN patient_profiles pp ON w.profile_id = pp.id
+         WHERE w.id = $1`,
+        [woundId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+app.get('/api/patients/:id/wounds', authenticateToken, requirePermission('patients:read'), async (req, res) => {
+    try {
+        const patientCheck = await safeQuery('SELECT * FROM patients WHERE id = $1', [req.params.id]);
+        if (patientCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        const patient = patientCheck.rows[0];
+        if (!canAccessFacility(req.user, patient.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const wounds = await getProfileWounds(patient.profile_id, patient.id);
+        await logPhiAccess(req, [patient.id]);
+
+        res.json({ success: true, wounds });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch wounds' });
+    }
+});
+
+app.post('/api/patients/:id/wounds', authenticateToken, requirePermission('patients:write'), async (req, res) => {
+    try {
+        const patientCheck = await safeQuery('SELECT * FROM patients WHERE id = $1', [req.params.id]);
+        if (patientCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        const patient = patientCheck.rows[0];
+        if (!canAccessFacility(req.user, patient.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const { error, values } = await parseWoundInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const result = await safeQuery(
+            `INSERT INTO wounds (profile_id, location, wound_type, icd10_code, onset_date, stage, status, notes, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+            [patient.profile_id, values.location, values.woundType, values.icd10Code, values.onsetDate,
+             values.stage, values.status, values.notes, req.user.id]
+        );
+
+        await recordAudit(req, {
+            entityType: 'wound',
+            entityId: result.rows[0].id,
+            action: 'create',
+            after: result.rows[0],
+            patient
+        });
+
+        res.json({ success: true, wound: result.rows[0] });
+    } catch (error) {
+        console.error('Create wound error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create wound' });
+    }
+});
+
+app.put('/api/wounds/:id', authenticateToken, requirePermission('patients:write'), async (req, res) => {
+    try {
+        const current = await loadWoundWithFacility(req.params.id);
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Wound not found' });
+        }
+
+        if (!canAccessFacility(req.user, current.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const { error, values } = await parseWoundInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const result = await safeQuery(
+            `UPDATE wounds
+             SET location = $1, wound_type = $2, icd10_code = $3, onset_date = $4, stage = $5, status = $6,
+                 notes = $7, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $8 RETURNING *`,
+            [values.location, values.woundType, values.icd10Code, values.onsetDate, values.stage,
+             values.status, values.notes, current.id]
+        );
+
+        const { facility_id, ...before } = current;
+        await recordAudit(req, {
+            entityType: 'wound',
+            entityId: current.id,
+            action: 'update',
+            before,
+            after: result.rows[0],
+            patient: { id: null, profile_id: current.profile_id }
+        });
+
+        res.json({ success: true, wound: result.rows[0] });
+    } catch (error) {
+        console.error('Update wound error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update wound' });
+    }
+});
+
+app.delete('/api/wounds/:id', authenticateToken, requirePermission('patients:write'), async (req, res) => {
+    try {
+        const current = await loadWoundWithFacility(req.params.id);
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Wound not found' });
+        }
+
+        if (!canAccessFacility(req.user, current.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const usage = await safeQuery('SELECT COUNT(*) as count FROM tracking WHERE wound_id = $1', [current.id]);
+        if (parseInt(usage.rows[0].count) > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'This wound has supply usage recorded against it. Mark it healed or closed instead of deleting it.'
+            });
+        }
+
+        await safeQuery('DELETE FROM wounds WHERE id = $1', [current.id]);
+
+        const { facility_id, ...before } = current;
+        await recordAudit(req, {
+            entityType: 'wound',
+            entityId: current.id,
+            action: 'delete',
+            before,
+            patient: { id: null, profile_id: current.profile_id }
+        });
+
+        res.json({ success: true, message: 'Wound deleted successfully' });
+    } catch (error) {
+        console.error('Delete wound error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete wound' });
+    }
+});
+
+// ICD-10 LOOKUP
+// Typeahead search by code prefix (with or without the dot) or words in the description
+app.get('/api/icd10', authenticateToken, async (req, res) => {
+    try {
+        const q = (req.query.q || '').toString().trim();
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        if (q.length < 2) {
+            return res.json({ success: true, codes: [] });
+        }
+
+        // Escape LIKE wildcards typed by the user
+        const term = q.toUpperCase().replace(/[%_\\]/g, '\\$&');
+        const result = await safeQuery(
+            `SELECT code, description
+             FROM icd10_codes
+             WHERE code LIKE $1 || '%' OR REPLACE(code, '.', '') LIKE $2 || '%' OR description ILIKE '%' || $1 || '%'
+             ORDER BY (code LIKE $1 || '%' OR REPLACE(code, '.', '') LIKE $2 || '%') DESC, code
+             LIMIT $3`,
+            [term, term.replace(/\./g, ''), limit]
+        );
+
+        res.json({ success: true, codes: result.rows, codeListLoaded: result.rows.length > 0 || await icd10CodesLoaded() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to search ICD-10 codes' });
+    }
+});
+
+// WOUND ASSESSMENTS
+async function getWoundAssessments(woundIds) {
+    const result = await safeQuery(
+        `SELECT a.*, u.name as assessed_by_name
+         FROM wound_assessments a
+         LEFT JOIN users u ON a.assessed_by = u.id
+         WHERE a.wound_id = ANY($1::int[])
+         ORDER BY a.wound_id, a.assessed_on, a.id`,
+        [woundIds]
+    );
+    return withHealingTrend(result.rows);
+}
+
+async function loadAssessmentWithFacility(assessmentId) {
+    const result = await safeQuery(
+        `SELECT a.*, w.profile_id, pp.facility_id
+         FROM wound_assessments a
+         JOIN wounds w ON a.wound_id = w.id
+         JOIN patient_profiles pp ON w.profile_id = pp.id
+         WHERE a.id = $1`,
+        [assessmentId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+// The wound's stage follows its most recent assessment that recorded one
+async function syncWoundStage(woundId) {
+    await safeQuery(
+        `UPDATE wounds w
+         SET stage = latest.stage, updated_at = CURRENT_TIMESTAMP
+         FROM (SELECT stage FROM wound_assessments
+               WHERE wound_id = $1 AND stage IS NOT NULL
+               ORDER BY assessed_on DESC, id DESC LIMIT 1) latest
+         WHERE w.id = $1 AND w.stage IS DISTINCT FROM latest.stage`,
+        [woundId]
+    );
+}
+
+// Every wound of the patient's profile with its assessments and monthly supply usage
+app.get('/api/patients/:id/wound-trend', authenticateToken, requirePermission('patients:read'), async (req, res) => {
+    try {
+        const patientCheck = await safeQuery('SELECT * FROM patients WHERE id = $1', [req.params.id]);
+        if (patientCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        const patient = patientCheck.rows[0];
+        if (!canAccessFacility(req.user, patient.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const wounds = await getProfileWounds(patient.profile_id, patient.id);
+        const woundIds = wounds.map(wound => wound.id);
+        const [assessments, usage] = await Promise.all([
+            getWoundAssessments(woundIds),
+            safeQuery(
+                `SELECT t.wound_id, p.month, SUM(t.quantity) as units
+                 FROM tracking t
+                 JOIN patients p ON t.patient_id = p.id
+                 WHERE t.wound_id = ANY($1::int[])
+                 GROUP BY t.wound_id, p.month
+                 ORDER BY p.month`,
+                [woundIds]
+            )
+        ]);
+
+        await logPhiAccess(req, [patient.id]);
+
+        res.json({
+            success: true,
+            wounds: wounds.map(wound => Object.assign(wound, {
+                assessments: assessments.filter(a => a.wound_id === wound.id),
+                usage: usage.rows
+                    .filter(row => row.wound_id === wound.id)
+                    .map(row => ({ month: row.month, units: parseInt(row.units) || 0 }))
+            }))
+        });
+    } catch (error) {
+        console.error('Wound trend error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch wound trend' });
+    }
+});
+
+app.get('/api/wounds/:id/assessments', authenticateToken, requirePermission('patients:read'), async (req, res) => {
+    try {
+        const wound = await loadWoundWithFacility(req.params.id);
+        if (!wound) {
+            return res.status(404).json({ success: false, error: 'Wound not found' });
+        }
+
+        if (!canAccessFacility(req.user, wound.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const [assessments, episodes] = await Promise.all([
+            getWoundAssessments([wound.id]),
+            safeQuery('SELECT id FROM patients WHERE profile_id = $1', [wound.profile_id])
+        ]);
+        await logPhiAccess(req, episodes.rows.map(row => row.id));
+
+        res.json({ success: true, assessments });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch assessments' });
+    }
+});
+
+app.post('/api/wounds/:id/assessments', authenticateToken, requirePermission('patients:write'), async (req, res) => {
+    try {
+        const wound = await loadWoundWithFacility(req.params.id);
+        if (!wound) {
+            return res.status(404).json({ success: false, error: 'Wound not found' });
+        }
+
+        if (!canAccessFacility(req.user, wound.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const { error, values } = parseAssessmentInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const result = await safeQuery(
+            `INSERT INTO wound_assessments (wound_id, assessed_on, length_cm, width_cm, depth_cm, tissue_type, exudate, stage, notes, assessed_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+            [wound.id, values.assessedOn, values.length, values.width, values.depth, values.tissueType,
+             values.exudate, values.stage, values.notes, req.user.id]
+        );
+
+        await syncWoundStage(wound.id);
+
+        await recordAudit(req, {
+            entityType: 'wound_assessment',
+            entityId: result.rows[0].id,
+            action: 'create',
+            after: result.rows[0],
+            patient: { id: null, profile_id: wound.profile_id }
+        });
+
+        res.json({ success: true, assessment: result.rows[0] });
+    } catch (error) {
+        console.error('Create assessment error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save assessment' });
+    }
+});
+
+app.put('/api/wound-assessments/:id', authenticateToken, requirePermission('patients:write'), async (req, res) => {
+    try {
+        const current = await loadAssessmentWithFacility(req.params.id);
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Assessment not found' });
+        }
+
+        if (!canAccessFacility(req.user, current.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const { error, values } = parseAssessmentInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const result = await safeQuery(
+            `UPDATE wound_assessments
+             SET assessed_on = $1, length_cm = $2, width_cm = $3, depth_cm = $4, tissue_type = $5,
+                 exudate = $6, stage = $7, notes = $8, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $9 RETURNING *`,
+            [values.assessedOn, values.length, values.width, values.depth, values.tissueType,
+             values.exudate, values.stage, values.notes, current.id]
+        );
+
+        await syncWoundStage(current.wound_id);
+
+        const { profile_id, facility_id, ...before } = current;
+        await recordAudit(req, {
+            entityType: 'wound_assessment',
+            entityId: current.id,
+            action: 'update',
+            before,
+            after: result.rows[0],
+            patient: { id: null, profile_id }
+        });
+
+        res.json({ success: true, assessment: result.rows[0] });
+    } catch (error) {
+        console.error('Update assessment error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update assessment' });
+    }
+});
+
+app.delete('/api/wound-assessments/:id', authenticateToken, requirePermission('patients:write'), async (req, res) => {
+    try {
+        const current = await loadAssessmentWithFacility(req.params.id);
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Assessment not found' });
+        }
+
+        if (!canAccessFacility(req.user, current.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        await safeQuery('DELETE FROM wound_assessments WHERE id = $1', [current.id]);
+        await syncWoundStage(current.wound_id);
+
+        const { profile_id, facility_id, ...before } = current;
+        await recordAudit(req, {
+            entityType: 'wound_assessment',
+            entityId: current.id,
+            action: 'delete',
+            before,
+            patient: { id: null, profile_id }
+        });
+
+        res.json({ success: true, message: 'Assessment deleted successfully' });
+    } catch (error) {
+        console.error('Delete assessment error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete assessment' });
+    }
+});
+
+// TRACKING
+app.get('/api/tracking/:patientId', authenticateToken, requirePermission('tracking:read'), async (req, res) => {
+    try {
+        const patientId = req.params.patientId;
+        
+        const patientCheck = await safeQuery('SELECT * FROM patients WHERE id = $1', [patientId]);
+        if (patientCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        const patient = patientCheck.rows[0];
+        if (!canAccessFacility(req.user, patient.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        // With ?history=true return entries for every month of the patient's profile. Users
+        // without history:view only get the months inside the facility's editable window,
+        // and cannot open a month before it directly either.
+        const includeHistory = req.query.history === 'true';
+        const windowCondition = can(req.user, 'history:view') ? '' : 'AND p.month >= editable_start_month(p.facility_id)';
+
+        if (!can(req.user, 'history:view') && patient.month < await getEditableStartMonth(patient.facility_id)) {
+            return res.status(403).json({ success: false, error: `${patient.month} is outside the editable window for this facility` });
+        }
+
+        const params = [includeHistory ? patient.profile_id : patientId];
+        const supplyScope = supplyCategoryCondition(req.user, params);
+        const showCosts = can(req.user, 'costs:view');
+
+        const result = await safeQuery(
+            `SELECT t.*, p.month, s.description as supply_description,${showCosts ? ' supply_cost(s.id, p.facility_id, p.month) as supply_cost,' : ''} s.hcpcs, s.code as supply_code,
+                    w.location as wound_location, w.icd10_code as wound_icd10_code,
+                    COALESCE(w.icd10_code, t.wound_dx) as wound_dx
+             FROM tracking t 
+             JOIN patients p ON t.patient_id = p.id
+             LEFT JOIN supplies s ON t.supply_id = s.id 
+             LEFT JOIN wounds w ON t.wound_id = w.id
+             WHERE ${includeHistory ? 'p.profile_id = $1 ' + windowCondition : 't.patient_id = $1'}
+             ${supplyScope ? 'AND ' + supplyScope : ''}
+             ORDER BY p.month, s.code, t.day_of_month`,
+            params
+        );
+
+        const [profileResult, episodesResult, closure, wounds, rules, ruleEntries, costs, formulary] = await Promise.all([
+            safeQuery('SELECT * FROM patient_profiles WHERE id = $1', [patient.profile_id]),
+            safeQuery(
+                `SELECT p.id as patient_id, p.month,
+                        COUNT(t.id) as entries,
+                        COALESCE(SUM(t.quantity), 0) as total_units
+                 FROM patients p
+                 LEFT JOIN tracking t ON t.patient_id = p.id
+                 WHERE p.profile_id = $1 ${windowCondition}
+                 GROUP BY p.id, p.month
+                 ORDER BY p.month`,
+                [patient.profile_id]
+            ),
+            getMonthClosure(patient.facility_id, patient.month),
+            getProfileWounds(patient.profile_id, patient.id),
+            getActiveSupplyRules(),
+            getRuleEntries(patient.id),
+            showCosts ?
+                safeQuery('SELECT id, supply_cost(id, $1, $2) as cost FROM supplies', [patient.facility_id, patient.month]) :
+                null,
+            safeQuery('SELECT supply_id FROM facility_supplies WHERE facility_id = $1', [patient.facility_id])
+        ]);
+
+        await logPhiAccess(req, includeHistory ? episodesResult.rows.map(row => row.patient_id) : [patient.id]);
+
+        res.json({
+            success: true,
+            tracking: result.rows,
+            profile: profileResult.rows[0] || null,
+            wounds,
+            episodes: episodesResult.rows.map(row => ({
+                patient_id: row.patient_id,
+                month: row.month,
+                entries: parseInt(row.entries) || 0,
+                total_units: parseInt(row.total_units) || 0
+            })),
+            ruleViolations: supplyRules.evaluateRules(rules, ruleEntries),
+            // Unit prices in effect for this patient-month, keyed by supply id; only for users who can see costs
+            supplyCosts: costs ? Object.fromEntries(costs.rows.map(row => [row.id, row.cost])) : undefined,
+            // Supplies stocked by the patient's facility; null when it uses the whole catalog
+            formularySupplyIds: formulary.rows.length > 0 ? formulary.rows.map(row => row.supply_id) : null,
+            monthClosed: !!closure,
+            closedMessage: closure ? monthClosedMessage(closure) : null
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch tracking data' });
+    }
+});
+
+app.post('/api/tracking', authenticateToken, requirePermission('tracking:write'), async (req, res) => {
+    try {
+        const { patientId, supplyId, dayOfMonth, quantity, woundDx, woundId } = req.body;
+
+        if (!patientId || !supplyId || !dayOfMonth) {
+            return res.status(400).json({ success: false, error: 'Patient ID, supply ID, and day are required' });
+        }
+
+        const patientCheck = await safeQuery('SELECT * FROM patients WHERE id = $1', [patientId]);
+        if (patientCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        const patient = patientCheck.rows[0];
+        if (!canAccessFacility(req.user, patient.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        if (!can(req.user, 'history:edit') && patient.month < await getEditableStartMonth(patient.facility_id)) {
+            return res.status(403).json({ success: false, error: `${patient.month} is outside the editable window for this facility` });
+        }
+
+        const closure = await getMonthClosure(patient.facility_id, patient.month);
+        if (closure) {
+            return res.status(403).json({ success: false, error: monthClosedMessage(closure) });
+        }
+
+        // Entries recorded against a wound take their diagnosis from the wound registry;
+        // a diagnosis given without a wound must be a valid ICD-10 code
+        let wound = null;
+        let woundDxCode = null;
+        if (!woundId && woundDx && woundDx.toString().trim()) {
+            const validated = await validateIcd10Code(woundDx);
+            if (validated.error) {
+                return res.status(400).json({ success: false, error: validated.error });
+            }
+            woundDxCode = validated.code;
+        }
+
+        if (woundId) {
+            const woundCheck = await safeQuery('SELECT * FROM wounds WHERE id = $1', [woundId]);
+            if (woundCheck.rows.length === 0 || woundCheck.rows[0].profile_id != patient.profile_id) {
+                return res.status(400).json({ success: false, error: 'Wound does not belong to this patient' });
+            }
+            wound = woundCheck.rows[0];
+        }
+
+        const before = await safeQuery(
+            'SELECT * FROM tracking WHERE patient_id = $1 AND supply_id = $2 AND day_of_month = $3 AND COALESCE(wound_id, 0) = $4',
+            [patientId, supplyId, dayOfMonth, wound ? wound.id : 0]
+        );
+
+        if (wound && wound.status !== 'active' && before.rows.length === 0 && parseInt(quantity) > 0) {
+            return res.status(400).json({ success: false, error: `Wound "${wound.location}" is ${wound.status}; reactivate it before recording new supplies` });
+        }
+
+        const supplyParams = [supplyId, patient.facility_id];
+        const supplyScope = supplyCategoryCondition(req.user, supplyParams);
+        const supplyCheck = await safeQuery(
+            `SELECT s.code, s.hcpcs, ${supplyScope || 'true'} as in_scope, ${formularyCondition('$2')} as on_formulary,
+                    ${SUPPLY_STATUS_COLUMNS}
+             FROM supplies s
+             LEFT JOIN supplies r ON s.replacement_supply_id = r.id
+             WHERE s.id = $1`,
+            supplyParams
+        );
+        if (supplyCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Supply not found' });
+        }
+        if (!supplyCheck.rows[0].in_scope) {
+            return res.status(403).json({ success: false, error: 'This supply is outside your section of the catalog' });
+        }
+
+        // Check utilization rules against the month as it would be after this change.
+        // Block rules only stop increases so over-limit entries can still be corrected.
+        const change = {
+            supply_id: parseInt(supplyId),
+            hcpcs: supplyCheck.rows[0].hcpcs,
+            wound_id: wound ? wound.id : null,
+            day_of_month: parseInt(dayOfMonth),
+            quantity: parseInt(quantity) || 0
+        };
+        const proposedEntries = (await getRuleEntries(patientId))
+            .filter(entry => !(entry.supply_id === change.supply_id &&
+                entry.day_of_month === change.day_of_month &&
+                (entry.wound_id || 0) === (change.wound_id || 0)))
+            .concat([change]);
+        const ruleViolations = supplyRules.evaluateRules(await getActiveSupplyRules(), proposedEntries);
+        const warnings = supplyRules.violationsFor(ruleViolations, change);
+
+        const previousQuantity = before.rows.length > 0 ? before.rows[0].quantity : 0;
+
+        // Retired supplies can't be used from their retirement date on; existing entries can still be reduced
+        const supply = supplyCheck.rows[0];
+        if (supply.retired_on && serviceDate(patient.month, dayOfMonth) >= supply.retired_on && change.quantity > previousQuantity) {
+            return res.status(400).json({ success: false, error: retiredSupplyMessage(supply) });
+        }
+
+        // Supplies the facility doesn't stock can't be added; existing entries can still be reduced
+        if (!supply.on_formulary && change.quantity > previousQuantity) {
+            return res.status(400).json({ success: false, error: `Supply ${supply.code} is not on this facility's formulary` });
+        }
+
+        const blocked = warnings.filter(violation => violation.action === 'block');
+        if (blocked.length > 0 && change.quantity > previousQuantity) {
+            return res.status(400).json({
+                success: false,
+                error: blocked.map(violation => violation.message).join('; '),
+                violations: blocked
+            });
+        }
+
+        // The cell is created if needed and locked before its quantity is read, so concurrent
+        // saves of the same cell each take their usage from the quantity the other left behind
+        const { previous, saved } = await withTransaction(async client => {
+            const created = await safeQuery(
+                `INSERT INTO tracking (patient_id, supply_id, day_of_month, quantity, wound_id)
+                 VALUES ($1, $2, $3, 0, $4)
+                 ON CONFLICT (patient_id, supply_id, day_of_month, (COALESCE(wound_id, 0))) DO NOTHING`,
+                [patientId, supplyId, dayOfMonth, wound ? wound.id : null],
+                client
+            );
+            const current = await safeQuery(
+                `SELECT * FROM tracking
+                 WHERE patient_id = $1 AND supply_id = $2 AND day_of_month = $3 AND COALESCE(wound_id, 0) = $4
+                 FOR UPDATE`,
+                [patientId, supplyId, dayOfMonth, wound ? wound.id : 0],
+                client
+            );
+            const result = await safeQuery(
+                `UPDATE tracking SET quantity = $1, wound_dx = $2, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $3
+                 RETURNING *`,
+                [quantity || 0, wound ? null : woundDxCode, current.rows[0].id],
+                client
+            );
+
+            // Recorded usage comes off the facility's shelf; lowering a quantity puts the units back
+            const used = result.rows[0].quantity - current.rows[0].quantity;
+            if (used !== 0) {
+                await recordInventoryChange({
+                    facilityId: patient.facility_id,
+                    supplyId,
+                    type: 'usage',
+                    quantity: -used,
+                    patientId: patient.id,
+                    notes: `Day ${dayOfMonth}`,
+                    userId: req.user.id
+                }, client);
+            }
+
+            return { previous: created.rowCount > 0 ? null : current.rows[0], saved: result.rows[0] };
+        });
+
+        await recordAudit(req, {
+            entityType: 'tracking',
+            entityId: saved.id,
+            action: previous ? 'update' : 'create',
+            before: previous,
+            after: saved,
+            patient
+        });
+
+        res.json({ success: true, message: 'Tracking data saved successfully', warnings, ruleViolations });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to save tracking data' });
+    }
+});
+
+// CSV escaping function - NO apostrophe for MRN
+function escapeCsv(val) {
+    if (val === null || val === undefined) return '';
+    
+    let strVal = String(val);
+    
+    // Standard CSV escaping only
+    if (strVal.includes(',') || strVal.includes('"') || strVal.includes('\n') || strVal.includes('\r')) {
+        strVal = '"' + strVal.replace(/"/g, '""') + '"';
+    }
+    
+    return strVal;
+}
+
+// WHERE conditions shared by the CSV exports: the user's facility scope plus the
+// optional facility_id and month filters. Returns { error, status } when not allowed.
+function exportConditions(req, params) {
+    const { facility_id, month } = req.query;
+
+    // Handle user permissions
+    const scope = patientScopeConditions(req.user, params);
+    if (!scope) {
+        return { status: 403, error: 'No facility access' };
+    }
+    const conditions = ['t.quantity > 0'].concat(scope);
+    
+    // Handle facility filter
+    if (facility_id && facility_id !== 'all') {
+        if (!canAccessFacility(req.user, facility_id)) {
+            return { status: 403, error: 'No access to this facility' };
+        }
+        conditions.push('p.facility_id = $' + (params.length + 1));
+        params.push(facility_id);
+    }
+    
+    // Handle month filter
+    if (month && month !== 'all') {
+        conditions.push('p.month = $' + (params.length + 1));
+        params.push(month);
+    }
+
+    // Handle category filter and the user's catalog section
+    const supplyScope = supplyCategoryCondition(req.user, params);
+    if (supplyScope) conditions.push(supplyScope);
+
+    // ?category= takes a category id or key, or 'uncategorized', as in GET /api/supplies
+    if (req.query.category === 'uncategorized') {
+        conditions.push('s.category_id IS NULL');
+    } else if (req.query.category && req.query.category !== 'all') {
+        params.push(req.query.category.toString());
+        conditions.push(`s.category_id IN (SELECT id FROM supply_categories WHERE key = $${params.length} OR id::text = $${params.length})`);
+    }
+
+    return { conditions };
+}
+
+// SIMPLE CSV EXPORT ENDPOINT
+app.get('/api/export/supply-report', authenticateToken, requirePermission('reports:export'), async (req, res) => {
+    try {
+        console.log('Export request received with params:', req.query);
+        
+        let params = [];
+        const { conditions, status, error } = exportConditions(req, params);
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        const query = `
+            SELECT 
+                s.code,
+                s.description,
+                s.hcpcs,
+                c.name as category_name,
+                supply_cost(s.id, p.facility_id, p.month) as cost,
+                p.id as patient_id,
+                p.name as patient_name,
+                p.mrn,
+                p.month,
+                f.name as facility_name,
+                t.day_of_month,
+                t.quantity,
+                COALESCE(w.icd10_code, t.wound_dx) as wound_dx,
+                w.location as wound_location,
+                t.wound_id,
+                (t.quantity * supply_cost(s.id, p.facility_id, p.month)) as total_cost
+            FROM tracking t
+            JOIN supplies s ON t.supply_id = s.id
+            LEFT JOIN supply_categories c ON s.category_id = c.id
+            JOIN patients p ON t.patient_id = p.id
+            JOIN facilities f ON p.facility_id = f.id
+            LEFT JOIN wounds w ON t.wound_id = w.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY c.sort_order ASC NULLS LAST, c.code_start ASC, s.code ASC, p.name ASC, t.day_of_month ASC
+        `;
+
+        console.log('Executing export query with', params.length, 'parameters');
+        const result = await safeQuery(query, params);
+        console.log('Export query returned', result.rows.length, 'rows');
+
+        await logPhiAccess(req, result.rows.map(row => row.patient_id));
+        
+        if (result.rows.length === 0) {
+            return res.json({
+                success: true,
+                message: 'No supply usage data found for the selected criteria',
+                csvData: '',
+                summary: {
+                    totalRecords: 0,
+                    uniqueSupplies: 0,
+                    uniquePatients: 0,
+                    totalUnits: 0,
+                    totalCost: '0.00',
+                    categories: []
+                }
+            });
+        }
+
+        const ruleViolations = await getRuleViolationsByPatient(result.rows.map(row => row.patient_id));
+
+        // Build CSV content
+        let csvContent = 'Category,Supply Code,Supply Description,HCPCS,Unit Cost,Patient Name,MRN,Month,Facility,Day,Quantity,Total Cost,Wound DX,Wound Location,Rule Flags\n';
+
+        // Rows arrive grouped by category; a subtotal row closes each group
+        const categories = [];
+        const closeCategory = () => {
+            const category = categories[categories.length - 1];
+            if (!category) return;
+            csvContent += [escapeCsv(category.category + ' Subtotal'), '', '', '', '', '', '', '', '', '',
+                category.units, category.cost.toFixed(2), '', '', ''].join(',') + '\n';
+        };
+
+        // Process data and build CSV
+        let totalUnits = 0;
+        let totalCost = 0;
+        let ruleWarnings = 0;
+        let ruleBlocks = 0;
+        const uniqueSupplies = new Set();
+        const uniquePatients = new Set();
+
+        result.rows.forEach(function(row) {
+            const quantity = parseInt(row.quantity) || 0;
+            const cost = parseFloat(row.total_cost) || 0;
+            const categoryName = row.category_name || 'Uncategorized';
+            
+            totalUnits += quantity;
+            totalCost += cost;
+            uniqueSupplies.add(row.code);
+            uniquePatients.add(row.patient_name);
+
+            if (categories.length === 0 || categories[categories.length - 1].category !== categoryName) {
+                closeCategory();
+                categories.push({ category: categoryName, units: 0, cost: 0 });
+            }
+            categories[categories.length - 1].units += quantity;
+            categories[categories.length - 1].cost += cost;
+
+            const flags = supplyRules.violationsFor(ruleViolations.get(row.patient_id) || [], row);
+            if (flags.some(flag => flag.action === 'block')) ruleBlocks++;
+            else if (flags.length > 0) ruleWarnings++;
+            
+            const csvRow = [
+                escapeCsv(categoryName),
+                escapeCsv(row.code),
+                escapeCsv(row.description),
+                escapeCsv(row.hcpcs || 'N/A'),
+                parseFloat(row.cost || 0).toFixed(2),
+                escapeCsv(row.patient_name),
+                escapeCsv(row.mrn || 'N/A'),
+                escapeCsv(row.month),
+                escapeCsv(row.facility_name),
+                row.day_of_month,
+                quantity,
+                cost.toFixed(2),
+                escapeCsv(row.wound_dx || ''),
+                escapeCsv(row.wound_location || ''),
+                escapeCsv(formatRuleFlags(flags))
+            ].join(',');
+            
+            csvContent += csvRow + '\n';
+        });
+        closeCategory();
+
+        const summary = {
+            totalRecords: result.rows.length,
+            uniqueSupplies: uniqueSupplies.size,
+            uniquePatients: uniquePatients.size,
+            totalUnits: totalUnits,
+            totalCost: totalCost.toFixed(2),
+            ruleWarnings: ruleWarnings,
+            ruleBlocks: ruleBlocks,
+            categories: categories.map(category => ({
+                category: category.category,
+                units: category.units,
+                cost: category.cost.toFixed(2)
+            }))
+        };
+
+        console.log('Export completed successfully. Summary:', summary);
+        
+        res.json({
+            success: true,
+            csvData: csvContent,
+            summary: summary
+        });
+
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to generate export report: ' + error.message 
+        });
+    }
+});
+
+// Supply usage per wound: one row per patient-month, wound and supply
+app.get('/api/export/wound-usage', authenticateToken, requirePermission('reports:export'), async (req, res) => {
+    try {
+        let params = [];
+        const { conditions, status, error } = exportConditions(req, params);
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        const result = await safeQuery(`
+            SELECT
+                p.id as patient_id,
+                p.name as patient_name,
+                p.mrn,
+                p.month,
+                f.name as facility_name,
+                w.id as wound_id,
+                w.location as wound_location,
+                w.wound_type,
+                w.stage,
+                w.status as wound_status,
+                COALESCE(w.icd10_code, MAX(t.wound_dx)) as wound_dx,
+                s.code,
+                s.description,
+                s.hcpcs,
+                supply_cost(s.id, p.facility_id, p.month) as cost,
+                COUNT(DISTINCT t.day_of_month) as days_used,
+                SUM(t.quantity) as units,
+                SUM(t.quantity * supply_cost(s.id, p.facility_id, p.month)) as total_cost
+            FROM tracking t
+            JOIN supplies s ON t.supply_id = s.id
+            JOIN patients p ON t.patient_id = p.id
+            JOIN facilities f ON p.facility_id = f.id
+            LEFT JOIN wounds w ON t.wound_id = w.id
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY p.id, f.name, w.id, s.id
+            ORDER BY p.name ASC, p.month ASC, w.id ASC NULLS LAST, s.code ASC
+        `, params);
+
+        await logPhiAccess(req, result.rows.map(row => row.patient_id));
+
+        const ruleViolations = await getRuleViolationsByPatient(result.rows.map(row => row.patient_id));
+
+        let csvContent = 'Patient Name,MRN,Month,Facility,Wound ID,Wound Location,Wound Type,Stage,Wound Status,Wound DX,Supply Code,Supply Description,HCPCS,Unit Cost,Days Used,Units,Total Cost,Rule Flags\n';
+        let totalUnits = 0;
+        let totalCost = 0;
+        const uniqueSupplies = new Set();
+        const uniquePatients = new Set();
+        const uniqueWounds = new Set();
+        let ruleWarnings = 0;
+        let ruleBlocks = 0;
+
+        result.rows.forEach(function(row) {
+            const units = parseInt(row.units) || 0;
+            const cost = parseFloat(row.total_cost) || 0;
+
+            totalUnits += units;
+            totalCost += cost;
+            uniqueSupplies.add(row.code);
+            uniquePatients.add(row.patient_id);
+            if (row.wound_id) uniqueWounds.add(row.wound_id);
+
+            const flags = supplyRules.violationsFor(ruleViolations.get(row.patient_id) || [],
+                { hcpcs: row.hcpcs, wound_id: row.wound_id });
+            if (flags.some(flag => flag.action === 'block')) ruleBlocks++;
+            else if (flags.length > 0) ruleWarnings++;
+
+            csvContent += [
+                escapeCsv(row.patient_name),
+                escapeCsv(row.mrn || 'N/A'),
+                escapeCsv(row.month),
+                escapeCsv(row.facility_name),
+                row.wound_id || '',
+                escapeCsv(row.wound_location || 'Unassigned'),
+                escapeCsv(row.wound_type || ''),
+                escapeCsv(row.stage || ''),
+                escapeCsv(row.wound_status || ''),
+                escapeCsv(row.wound_dx || ''),
+                escapeCsv(row.code),
+                escapeCsv(row.description),
+                escapeCsv(row.hcpcs || 'N/A'),
+                parseFloat(row.cost || 0).toFixed(2),
+                row.days_used,
+                units,
+                cost.toFixed(2),
+                escapeCsv(formatRuleFlags(flags))
+            ].join(',') + '\n';
+        });
+
+        res.json({
+            success: true,
+            csvData: result.rows.length > 0 ? csvContent : '',
+            summary: {
+                totalRecords: result.rows.length,
+                uniqueSupplies: uniqueSupplies.size,
+                uniquePatients: uniquePatients.size,
+                uniqueWounds: uniqueWounds.size,
+                totalUnits: totalUnits,
+                totalCost: totalCost.toFixed(2),
+                ruleWarnings: ruleWarnings,
+                ruleBlocks: ruleBlocks
+            }
+        });
+    } catch (error) {
+        console.error('Wound usage export error:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate wound usage report: ' + error.message });
+    }
+});
+
+// CLAIM LINES
+const CLAIM_LINE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Surgical dressing codes, which take an A1-A9 modifier for the number of wounds dressed
+const DRESSING_HCPCS = { hcpcs_start: 'A6010', hcpcs_end: 'A6457' };
+
+function daysInMonth(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+}
+
+function serviceDate(month, day) {
+    return `${month}-${String(day).padStart(2, '0')}`;
+}
+
+// Aggregates one patient-month's tracking entries into claim lines: one line per HCPCS code
+// and wound (entries without a wound are grouped by their diagnosis). Dressing lines carry an
+// A1-A9 modifier for the number of wounds the HCPCS code was used on that month.
+function buildClaimLines(month, entries, violations) {
+    const lines = new Map();
+    entries.forEach(entry => {
+        const hcpcs = supplyRules.normalizeHcpcs(entry.hcpcs);
+        const key = `${hcpcs}|${entry.wound_id || 0}|${entry.wound_id ? '' : entry.wound_dx || ''}`;
+        if (!lines.has(key)) {
+            lines.set(key, {
+                hcpcs,
+                wound_id: entry.wound_id,
+                icd10_code: entry.wound_dx || null,
+                wound_location: entry.wound_location || null,
+                descriptions: new Set(),
+                days: new Set(),
+                units: 0,
+                charge: 0
+            });
+        }
+        const line = lines.get(key);
+        line.descriptions.add(entry.description);
+        line.days.add(entry.day_of_month);
+        line.units += parseInt(entry.quantity) || 0;
+        line.charge += parseFloat(entry.charge) || 0;
+    });
+
+    const woundsPerHcpcs = new Map();
+    lines.forEach(line => woundsPerHcpcs.set(line.hcpcs, (woundsPerHcpcs.get(line.hcpcs) || 0) + 1));
+
+    const lastDay = daysInMonth(month);
+    return [...lines.values()].map(line => {
+        const days = [...line.days].sort((a, b) => a - b);
+        const flags = supplyRules.violationsFor(violations, line).map(violation => `${violation.action.toUpperCase()}: ${violation.message}`);
+        if (!line.icd10_code) flags.push('No diagnosis code');
+        if (days[days.length - 1] > lastDay) flags.push(`Usage recorded on day ${days[days.length - 1]}, which is not in ${month}`);
+
+        return {
+            hcpcs: line.hcpcs,
+            modifiers: supplyRules.ruleAppliesTo(DRESSING_HCPCS, line.hcpcs) ? [`A${Math.min(woundsPerHcpcs.get(line.hcpcs), 9)}`] : [],
+            description: [...line.descriptions].join('; '),
+            icd10_code: line.icd10_code,
+            wound_id: line.wound_id,
+            wound_location: line.wound_location,
+            service_from: serviceDate(month, Math.min(days[0], lastDay)),
+            service_to: serviceDate(month, Math.min(days[days.length - 1], lastDay)),
+            days_used: days.length,
+            units: line.units,
+            charge: line.charge.toFixed(2),
+            flags: flags.join('; ') || null
+        };
+    });
+}
+
+function claimLineSignature(line) {
+    return [line.hcpcs, line.wound_id || 0, line.modifiers.join(':'), line.service_from, line.service_to,
+        line.units, parseFloat(line.charge).toFixed(2)].join('|');
+}
+
+const CLAIM_LINE_COLUMNS = `
+    cl.*, TO_CHAR(cl.service_from, 'YYYY-MM-DD') as service_from, TO_CHAR(cl.service_to, 'YYYY-MM-DD') as service_to,
+    p.name as patient_name, p.mrn, p.month, p.facility_id, f.name as facility_name, ru.name as reviewed_by_name`;
+
+const CLAIM_LINE_JOINS = `
+    JOIN patients p ON cl.patient_id = p.id
+    JOIN facilities f ON p.facility_id = f.id
+    LEFT JOIN users ru ON cl.reviewed_by = ru.id`;
+
+// Generates claim lines for every patient-month of a facility-month in the user's scope.
+// Pending and rejected lines are replaced. Patient-months with approved lines are left
+// alone; they are reported as changed when their tracking no longer matches.
+app.post('/api/claim-lines/generate', authenticateToken, requirePermission('claims:review'), async (req, res) => {
+    try {
+        const { facility_id, month } = req.body;
+
+        if (!month || !/^\d{4}-\d{2}$/.test(month)) {
+            return res.status(400).json({ success: false, error: 'Month (YYYY-MM) is required' });
+        }
+
+        const params = [month];
+        const scope = patientScopeConditions(req.user, params);
+        if (!scope) {
+            return res.status(403).json({ success: false, error: 'No facility access' });
+        }
+        const conditions = ['p.month = $1'].concat(scope);
+
+        if (facility_id && facility_id !== 'all') {
+            if (!canAccessFacility(req.user, facility_id)) {
+                return res.status(403).json({ success: false, error: 'No access to this facility' });
+            }
+            conditions.push('p.facility_id = $' + (params.length + 1));
+            params.push(facility_id);
+        }
+
+        const patients = await safeQuery(`SELECT p.* FROM patients p WHERE ${conditions.join(' AND ')}`, params);
+        const patientIds = patients.rows.map(patient => patient.id);
+
+        const [entries, existing, ruleViolations] = await Promise.all([
+            safeQuery(
+                `SELECT t.patient_id, t.wound_id, t.day_of_month, t.quantity, (t.quantity * supply_cost(s.id, p.facility_id, p.month)) as charge,
+                        s.hcpcs, s.description, COALESCE(w.icd10_code, t.wound_dx) as wound_dx, w.location as wound_location
+                 FROM tracking t
+                 JOIN patients p ON t.patient_id = p.id
+                 JOIN supplies s ON t.supply_id = s.id
+                 LEFT JOIN wounds w ON t.wound_id = w.id
+                 WHERE t.patient_id = ANY($1::int[]) AND t.quantity > 0`,
+                [patientIds]
+            ),
+            safeQuery(
+                `SELECT cl.*, TO_CHAR(cl.service_from, 'YYYY-MM-DD') as service_from, TO_CHAR(cl.service_to, 'YYYY-MM-DD') as service_to
+                 FROM claim_lines cl WHERE cl.patient_id = ANY($1::int[])`,
+                [patientIds]
+            ),
+            getRuleViolationsByPatient(patientIds)
+        ]);
+
+        const summary = { patients: 0, lines: 0, unchanged: 0, changedSinceApproval: [], unbilledUnits: 0 };
+
+        for (const patient of patients.rows) {
+            const patientEntries = entries.rows.filter(entry => entry.patient_id === patient.id);
+            const billable = patientEntries.filter(entry => supplyRules.normalizeHcpcs(entry.hcpcs));
+            summary.unbilledUnits += patientEntries.filter(entry => !supplyRules.normalizeHcpcs(entry.hcpcs))
+                .reduce((total, entry) => total + entry.quantity, 0);
+
+            const lines = buildClaimLines(month, billable, ruleViolations.get(patient.id) || []);
+            const existingLines = existing.rows.filter(line => line.patient_id === patient.id);
+
+            if (existingLines.some(line => line.status === 'approved')) {
+                const signature = lines.map(claimLineSignature).sort().join('\n');
+                if (signature === existingLines.map(claimLineSignature).sort().join('\n')) {
+                    summary.unchanged++;
+                } else {
+                    summary.changedSinceApproval.push({ patient_id: patient.id, name: patient.name, month: patient.month });
+                }
+                continue;
+            }
+
+            if (lines.length === 0 && existingLines.length === 0) continue;
+
+            await safeQuery('DELETE FROM claim_lines WHERE patient_id = $1', [patient.id]);
+            for (const line of lines) {
+                await safeQuery(
+                    `INSERT INTO claim_lines (patient_id, wound_id, hcpcs, modifiers, description, icd10_code, wound_location,
+                                              service_from, service_to, days_used, units, charge, flags, generated_by)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+                    [patient.id, line.wound_id, line.hcpcs, line.modifiers, line.description, line.icd10_code, line.wound_location,
+                     line.service_from, line.service_to, line.days_used, line.units, line.charge, line.flags, req.user.id]
+                );
+            }
+
+            await recordAudit(req, {
+                entityType: 'claim_lines',
+                entityId: patient.id,
+                action: 'generate',
+                before: existingLines.length > 0 ? { lines: existingLines.length } : null,
+                after: { lines: lines.length, units: lines.reduce((total, line) => total + line.units, 0) },
+                patient
+            });
+
+            summary.patients++;
+            summary.lines += lines.length;
+        }
+
+        res.json({ success: true, summary });
+    } catch (error) {
+        console.error('Claim line generation error:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate claim lines' });
+    }
+});
+
+// Claim lines in the user's scope; ?format=csv adds csvData for the billing system to import
+app.get('/api/claim-lines', authenticateToken, requirePermission('claims:read'), async (req, res) => {
+    try {
+        const params = [];
+        const scope = patientScopeConditions(req.user, params);
+        if (!scope) {
+            return res.status(403).json({ success: false, error: 'No facility access' });
+        }
+        const conditions = [].concat(scope);
+
+        if (req.query.facility_id && req.query.facility_id !== 'all') {
+            conditions.push('p.facility_id = $' + (params.length + 1));
+            params.push(req.query.facility_id);
+        }
+        if (req.query.month && req.query.month !== 'all') {
+            conditions.push('p.month = $' + (params.length + 1));
+            params.push(req.query.month);
+        }
+        if (req.query.status && req.query.status !== 'all') {
+            conditions.push('cl.status = $' + (params.length + 1));
+            params.push(req.query.status);
+        }
+        if (req.query.patient_id) {
+            conditions.push('cl.patient_id = $' + (params.length + 1));
+            params.push(req.query.patient_id);
+        }
+
+        const result = await safeQuery(`
+            SELECT ${CLAIM_LINE_COLUMNS}
+            FROM claim_lines cl
+            ${CLAIM_LINE_JOINS}
+            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY f.name ASC, p.name ASC, p.month ASC, cl.hcpcs ASC, cl.wound_id ASC NULLS LAST
+        `, params);
+
+        await logPhiAccess(req, result.rows.map(row => row.patient_id));
+
+        const lines = result.rows.map(row => Object.assign(row, { charge: parseFloat(row.charge).toFixed(2) }));
+
+        let csvContent = null;
+        if (req.query.format === 'csv') {
+            csvContent = 'Claim Line ID,Facility,Patient Name,MRN,Month,HCPCS,Modifiers,ICD-10,Wound ID,Wound Location,Service From,Service To,Days,Units,Charge,Status,Reviewed By,Flags\n';
+            lines.forEach(line => {
+                csvContent += [
+                    line.id,
+                    escapeCsv(line.facility_name),
+                    escapeCsv(line.patient_name),
+                    escapeCsv(line.mrn || ''),
+                    escapeCsv(line.month),
+                    escapeCsv(line.hcpcs),
+                    escapeCsv(line.modifiers.join(':')),
+                    escapeCsv(line.icd10_code || ''),
+                    line.wound_id || '',
+                    escapeCsv(line.wound_location || ''),
+                    line.service_from,
+                    line.service_to,
+                    line.days_used,
+                    line.units,
+                    line.charge,
+                    line.status,
+                    escapeCsv(line.reviewed_by_name || ''),
+                    escapeCsv(line.flags || '')
+                ].join(',') + '\n';
+            });
+        }
+
+        res.json({
+            success: true,
+            claimLines: lines,
+            csvData: csvContent,
+            summary: {
+                lines: lines.length,
+                units: lines.reduce((total, line) => total + line.units, 0),
+                charges: lines.reduce((total, line) => total + parseFloat(line.charge), 0).toFixed(2),
+                pending: lines.filter(line => line.status === 'pending').length,
+                approved: lines.filter(line => line.status === 'approved').length,
+                rejected: lines.filter(line => line.status === 'rejected').length
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch claim lines' });
+    }
+});
+
+// Review one or more claim lines: { ids, status, notes }. Rejections need a note;
+// setting a line back to pending reopens it for regeneration.
+app.post('/api/claim-lines/review', authenticateToken, requirePermission('claims:review'), async (req, res) => {
+    try {
+        const ids = (Array.isArray(req.body.ids) ? req.body.ids : [req.body.ids])
+            .map(id => parseInt(id)).filter(id => !isNaN(id));
+        const { status } = req.body;
+        const notes = (req.body.notes || '').toString().trim() || null;
+
+        if (ids.length === 0) {
+            return res.status(400).json({ success: false, error: 'Select at least one claim line' });
+        }
+        if (!CLAIM_LINE_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: 'Status must be one of: ' + CLAIM_LINE_STATUSES.join(', ') });
+        }
+        if (status === 'rejected' && !notes) {
+            return res.status(400).json({ success: false, error: 'A note is required to reject a claim line' });
+        }
+
+        const before = await safeQuery(
+            `SELECT ${CLAIM_LINE_COLUMNS}, p.profile_id FROM claim_lines cl ${CLAIM_LINE_JOINS} WHERE cl.id = ANY($1::int[])`,
+            [ids]
+        );
+        if (before.rows.length !== ids.length) {
+            return res.status(404).json({ success: false, error: 'Claim line not found' });
+        }
+        if (before.rows.some(line => !canAccessFacility(req.user, line.facility_id))) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        // A line sent in a claim file stays as billed; regenerating it would bill it a second time
+        const exported = before.rows.find(line => line.interchange_control_number);
+        if (exported) {
+            return res.status(400).json({
+                success: false,
+                error: `${exported.patient_name}'s ${exported.hcpcs} line was sent in 837P file #${exported.interchange_control_number} and can no longer be changed`
+            });
+        }
+
+        const result = await safeQuery(
+            `UPDATE claim_lines
+             SET status = $1, review_notes = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ANY($4::int[])
+             RETURNING *`,
+            [status, notes, req.user.id, ids]
+        );
+
+        for (const line of result.rows) {
+            const previous = before.rows.find(row => row.id === line.id);
+            await recordAudit(req, {
+                entityType: 'claim_line',
+                entityId: line.id,
+                action: status === 'pending' ? 'reopen' : status === 'approved' ? 'approve' : 'reject',
+                before: { status: previous.status, review_notes: previous.review_notes },
+                after: { status: line.status, review_notes: line.review_notes },
+                patient: { id: previous.patient_id, profile_id: previous.profile_id }
+            });
+        }
+
+        res.json({ success: true, updated: result.rowCount });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to review claim lines' });
+    }
+});
+
+// 837P claim file for a facility-month's approved claim lines. Interchange sender and
+// receiver come from the X12_* environment variables; the facility is the billing provider.
+// Lines already sent in an earlier file are left out unless the body has reexport: true.
+app.post('/api/claim-lines/837p', authenticateToken, requirePermission('claims:review'), async (req, res) => {
+    try {
+        const { facility_id, month } = req.body;
+        const reexport = req.body.reexport === true;
+
+        if (!facility_id || facility_id === 'all' || !/^\d{4}-\d{2}$/.test(month || '')) {
+            return res.status(400).json({ success: false, error: 'Facility and month (YYYY-MM) are required' });
+        }
+        if (!canAccessFacility(req.user, facility_id)) {
+            return res.status(403).json({ success: false, error: 'No access to this facility' });
+        }
+        if (!process.env.X12_SENDER_ID || !process.env.X12_RECEIVER_ID || !process.env.X12_CONTACT_PHONE) {
+            return res.status(400).json({ success: false, error: '837P export is not configured: set X12_SENDER_ID, X12_RECEIVER_ID and X12_CONTACT_PHONE' });
+        }
+
+        const [facilityResult, billingResult] = await Promise.all([
+            safeQuery('SELECT * FROM facilities WHERE id = $1', [facility_id]),
+            safeQuery('SELECT * FROM facility_billing WHERE facility_id = $1', [facility_id])
+        ]);
+
+        if (facilityResult.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Facility not found' });
+        }
+
+        const facility = facilityResult.rows[0];
+        const billing = billingResult.rows[0];
+
+        // The lines are locked from selection until they are marked, so two exports running
+        // at once cannot both put the same lines in a file
+        const { content, controlNumber, validation, claimsByPatient } = await withTransaction(async client => {
+            const linesResult = await safeQuery(
+                `SELECT ${CLAIM_LINE_COLUMNS}, pp.member_id, pp.gender,
+                        TO_CHAR(pp.date_of_birth, 'YYYY-MM-DD') as date_of_birth
+                 FROM claim_lines cl
+                 ${CLAIM_LINE_JOINS}
+                 LEFT JOIN patient_profiles pp ON p.profile_id = pp.id
+                 WHERE p.facility_id = $1 AND p.month = $2 AND cl.status = 'approved'
+                 ORDER BY p.name ASC, cl.hcpcs ASC, cl.id ASC
+                 FOR UPDATE OF cl`,
+                [facility_id, month],
+                client
+            );
+
+            if (linesResult.rows.length === 0) {
+                throw Object.assign(new Error(`No approved claim lines for ${month}`), { status: 400 });
+            }
+
+            const exportLines = reexport ? linesResult.rows : linesResult.rows.filter(line => !line.interchange_control_number);
+            if (exportLines.length === 0) {
+                throw Object.assign(
+                    new Error(`Every approved claim line for ${month} has already been exported; re-export to create the file again`),
+                    { status: 400 }
+                );
+            }
+
+            const problems = facilityBillingProblems(billing).map(problem => `${facility.name}: ${problem}`);
+
+            const claimsByPatient = new Map();
+            exportLines.forEach(line => {
+                if (!claimsByPatient.has(line.patient_id)) claimsByPatient.set(line.patient_id, { patient: line, lines: [] });
+                claimsByPatient.get(line.patient_id).lines.push(line);
+            });
+
+            claimsByPatient.forEach(({ patient, lines }) => {
+                const missing = [];
+                if (!patient.date_of_birth) missing.push('date of birth');
+                if (!patient.gender) missing.push('gender');
+                if (!patient.member_id && !patient.mrn) missing.push('member ID or MRN');
+                if (missing.length > 0) problems.push(`${patient.patient_name}: missing ${missing.join(', ')}`);
+
+                lines.filter(line => !line.icd10_code).forEach(line => {
+                    problems.push(`${patient.patient_name}: ${line.hcpcs} line has no diagnosis code`);
+                });
+            });
+
+            if (problems.length > 0) {
+                throw Object.assign(new Error('Fix these before creating the claim file: ' + problems.join('; ')), { status: 400, problems });
+            }
+
+            const control = await safeQuery(`SELECT nextval('x12_interchange_control_seq') as control_number`, [], client);
+            const controlNumber = parseInt(control.rows[0].control_number);
+
+            // Patients are facility residents, so the facility address is their address
+            const content = x12.buildInterchange({
+                controlNumber,
+                usage: process.env.X12_USAGE === 'P' ? 'P' : 'T',
+                sender: {
+                    id: process.env.X12_SENDER_ID,
+                    name: process.env.X12_SUBMITTER_NAME || 'Wound Care RT Supply Tracker',
+                    contactName: process.env.X12_CONTACT_NAME || 'Billing',
+                    contactPhone: process.env.X12_CONTACT_PHONE
+                },
+                receiver: { id: process.env.X12_RECEIVER_ID, name: process.env.X12_RECEIVER_NAME || process.env.X12_RECEIVER_ID },
+                billingProvider: {
+                    name: billing.billing_name || facility.name,
+                    npi: billing.npi,
+                    taxId: billing.tax_id,
+                    taxonomyCode: billing.taxonomy_code,
+                    address: billing.address,
+                    city: billing.city,
+                    state: billing.state,
+                    zip: billing.zip
+                },
+                payer: { name: billing.payer_name, id: billing.payer_id, claimFilingCode: billing.claim_filing_code },
+                placeOfService: billing.place_of_service,
+                claims: [...claimsByPatient.values()].map(({ patient, lines }) => ({
+                    accountNumber: (patient.mrn || 'P' + patient.patient_id).replace(/[^A-Za-z0-9]/g, '').slice(0, 15) + '-' + month.slice(2).replace('-', ''),
+                    subscriber: Object.assign(x12.splitName(patient.patient_name), {
+                        memberId: patient.member_id || patient.mrn,
+                        dateOfBirth: patient.date_of_birth,
+                        gender: patient.gender,
+                        address: billing.address,
+                        city: billing.city,
+                        state: billing.state,
+                        zip: billing.zip
+                    }),
+                    lines: lines.map(line => ({
+                        hcpcs: line.hcpcs,
+                        modifiers: line.modifiers,
+                        charge: line.charge,
+                        units: line.units,
+                        serviceFrom: line.service_from,
+                        serviceTo: line.service_to,
+                        icd10Code: line.icd10_code
+                    }))
+                }))
+            });
+
+            const validation = x12.validate837P(content);
+            if (!validation.valid) {
+                console.error('Generated 837P failed validation:', validation.errors);
+                throw Object.assign(new Error('The generated claim file failed validation: ' + validation.errors.join('; ')), { status: 500 });
+            }
+
+            await safeQuery(
+                `UPDATE claim_lines SET interchange_control_number = $1, exported_at = CURRENT_TIMESTAMP, exported_by = $2
+                 WHERE id = ANY($3::int[])`,
+                [controlNumber, req.user.id, exportLines.map(line => line.id)],
+                client
+            );
+
+            return { content, controlNumber, validation, claimsByPatient };
+        });
+
+        await logPhiAccess(req, [...claimsByPatient.keys()]);
+        await recordAudit(req, {
+            entityType: 'claim_file',
+            entityId: controlNumber,
+            action: 'export',
+            after: { facility_id: parseInt(facility_id), month, reexport, ...validation.summary }
+        });
+
+        res.json({
+            success: true,
+            content,
+            filename: `837P_${facility.name.replace(/[^a-zA-Z0-9]/g, '_')}_${month.replace('-', '_')}_${String(controlNumber).padStart(9, '0')}.txt`,
+            controlNumber,
+            summary: validation.summary
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message, problems: error.problems });
+        }
+        console.error('837P export error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create 837P claim file' });
+    }
+});
+
+// ADMIN USERS
+app.get('/api/admin/users', authenticateToken, requirePermission('users:manage', 'users:approve', 'audit:read'), async (req, res) => {
+    try {
+        // Facility managers only see the accounts at their own facilities
+        const params = [];
+        let where = '';
+        if (!can(req.user, 'users:manage') && !can(req.user, 'facilities:all')) {
+            where = 'WHERE EXISTS (SELECT 1 FROM user_facilities m WHERE m.user_id = u.id AND m.facility_id = ANY($1::int[]))';
+            params.push(req.user.facilityIds);
+        }
+
+        const result = await safeQuery(`
+            SELECT u.*, f.name as facility_name,
+                   COALESCE((SELECT json_agg(json_build_object('id', mf.id, 'name', mf.name) ORDER BY mf.name)
+                             FROM user_facilities uf JOIN facilities mf ON uf.facility_id = mf.id
+                             WHERE uf.user_id = u.id), '[]') as facilities
+            FROM users u 
+            LEFT JOIN facilities f ON u.facility_id = f.id 
+            ${where}
+            ORDER BY u.name ASC
+        `, params);
+        res.json({ success: true, users: result.rows.map(({ password, totp_secret, ...user }) => user) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch users' });
+    }
+});
+
+app.post('/api/admin/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { name, email, password, role } = req.body;
+        const facilityIds = parseFacilityIds(req.body);
+        
+        if (!name || !email || !password) {
+            return res.status(400).json({ success: false, error: 'Name, email, and password are required' });
+        }
+
+        if (role && !ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        const existingUser = await safeQuery('SELECT id FROM users WHERE email = $1', [email]);
+        if (existingUser.rows.length > 0) {
+            return res.status(400).json({ success: false, error: 'Email already exists' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+        
+        const result = await safeQuery(
+            'INSERT INTO users (name, email, password, role, facility_id, is_approved, email_verified, must_change_password) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+            [name, email, hashedPassword, role || 'user', facilityIds[0] || null, true, true, true]
+        );
+        await setUserFacilities(result.rows[0].id, facilityIds);
+
+        await recordAudit(req, {
+            entityType: 'user',
+            entityId: result.rows[0].id,
+            action: 'create',
+            after: { ...result.rows[0], facility_ids: facilityIds }
+        });
+
+        res.json({ success: true, user: result.rows[0] });
+
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(400).json({ success: false, error: 'Facility not found' });
+        }
+        console.error('Error creating user:', error);
+        res.status(500).json({ success: false, error: 'Failed to create user' });
+    }
+});
+
+app.put('/api/admin/users/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const userId = req.params.id;
+        const { name, email, role } = req.body;
+        const facilityIds = parseFacilityIds(req.body);
+        
+        if (!name || !email || !role) {
+            return res.status(400).json({ success: false, error: 'Name, email, and role are required' });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        const existingUser = await safeQuery('SELECT id FROM users WHERE email = $1 AND id != $2', [email, userId]);
+        if (existingUser.rows.length > 0) {
+            return res.status(400).json({ success: false, error: 'Email already exists' });
+        }
+
+        const before = await safeQuery(
+            `SELECT u.*, ARRAY(SELECT uf.facility_id FROM user_facilities uf WHERE uf.user_id = u.id ORDER BY uf.facility_id) as facility_ids
+             FROM users u WHERE u.id = $1`,
+            [userId]
+        );
+
+        const result = await safeQuery(
+            'UPDATE users SET name = $1, email = $2, role = $3, facility_id = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
+            [name, email, role, facilityIds[0] || null, userId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        await setUserFacilities(userId, facilityIds);
+
+        await recordAudit(req, {
+            entityType: 'user',
+            entityId: result.rows[0].id,
+            action: 'update',
+            before: before.rows[0],
+            after: { ...result.rows[0], facility_ids: [...facilityIds].sort((a, b) => a - b) }
+        });
+
+        const previous = before.rows[0];
+        if (previous.role !== result.rows[0].role || previous.facility_id !== result.rows[0].facility_id || previous.email !== result.rows[0].email) {
+            await revokeUserSessions(userId, 'account changed by admin');
+        }
+
+        res.json({ success: true, message: 'User updated successfully' });
+
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(400).json({ success: false, error: 'Facility not found' });
+        }
+        res.status(500).json({ success: false, error: 'Failed to update user' });
+    }
+});
+
+app.put('/api/admin/users/:id/approve', authenticateToken, requirePermission('users:approve'), async (req, res) => {
+    try {
+        const userId = req.params.id;
+        
+        const before = await safeQuery('SELECT * FROM users WHERE id = $1', [userId]);
+        if (before.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        // Facility managers may only approve standard users at their own facility
+        if (!can(req.user, 'users:manage') &&
+            (before.rows[0].role !== 'user' || !canAccessFacility(req.user, before.rows[0].facility_id))) {
+            return res.status(403).json({ success: false, error: 'You can only approve users at your own facility' });
+        }
+
+        const result = await safeQuery(
+            'UPDATE users SET is_approved = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+            [userId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        await recordAudit(req, { entityType: 'user', entityId: result.rows[0].id, action: 'approve', before: before.rows[0], after: result.rows[0] });
+
+        res.json({ success: true, message: 'User approved successfully' });
+
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to approve user' });
+    }
+});
+
+app.put('/api/admin/users/:id/reset-password', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const userId = req.params.id;
+        const { newPassword } = req.body;
+        
+        if (!newPassword || newPassword.length < 8) {
+            return res.status(400).json({ success: false, error: 'Password must be at least 8 characters long' });
+        }
+        
+        const userCheck = await safeQuery('SELECT id, email, name FROM users WHERE id = $1', [userId]);
+        if (userCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        
+        const hashedPassword = await bcrypt.hash(newPassword, 12);
+        
+        // The admin knows this password, so the user has to replace it at next sign-in
+        const result = await safeQuery(
+            'UPDATE users SET password = $1, must_change_password = true, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [hashedPassword, userId]
+        );
+        
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'Failed to update password' });
+        }
+
+        await revokeUserSessions(userId, 'password reset by admin');
+        
+        const user = userCheck.rows[0];
+        await recordAudit(req, { entityType: 'user', entityId: user.id, action: 'reset_password' });
+        res.json({ 
+            success: true, 
+            message: 'Password reset successfully for ' + user.name,
+            userEmail: user.email
+        });
+
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ success: false, error: 'Failed to reset password' });
+    }
+});
+
+app.delete('/api/admin/users/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (parseInt(id) === req.user.id) {
+            return res.status(400).json({ success: false, error: 'Cannot delete your own account' });
+        }
+        
+        const result = await safeQuery('DELETE FROM users WHERE id = $1 RETURNING *', [id]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        await recordAudit(req, { entityType: 'user', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
+
+        res.json({ success: true, message: 'User deleted successfully' });
+
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to delete user' });
+    }
+});
+
+app.put('/api/admin/users/:id/unlock', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const before = await safeQuery('SELECT * FROM users WHERE id = $1', [req.params.id]);
+
+        const result = await safeQuery(
+            'UPDATE users SET failed_login_count = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+            [req.params.id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        await recordAudit(req, { entityType: 'user', entityId: result.rows[0].id, action: 'unlock', before: before.rows[0], after: result.rows[0] });
+
+        res.json({ success: true, message: 'Account unlocked' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to unlock account' });
+    }
+});
+
+// ADMIN SESSIONS
+// For a lost authenticator: clears the secret and recovery codes. Users whose role
+// requires two-factor will be asked to enroll again at their next sign-in.
+app.put('/api/admin/users/:id/mfa/reset', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const result = await safeQuery(
+            `UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING id, email`,
+            [req.params.id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        await safeQuery('DELETE FROM user_recovery_codes WHERE user_id = $1', [req.params.id]);
+        await revokeUserSessions(req.params.id, 'two-factor reset by admin');
+        await recordAudit(req, { entityType: 'user', entityId: result.rows[0].id, action: 'mfa_reset', after: result.rows[0] });
+
+        res.json({ success: true, message: 'Two-factor authentication reset' });
+
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to reset two-factor authentication' });
+    }
+});
+
+app.get('/api/admin/users/:id/sessions', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const result = await safeQuery(
+            `SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at, revoked_at, revoked_reason,
+                    (revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP) as active
+             FROM user_sessions
+             WHERE user_id = $1
+             ORDER BY created_at DESC
+             LIMIT 50`,
+            [req.params.id]
+        );
+        res.json({ success: true, sessions: result.rows });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch sessions' });
     }
+});
+
+app.put('/api/admin/sessions/:id/revoke', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const result = await safeQuery(
+            `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'revoked by admin'
+             WHERE id = $1 AND revoked_at IS NULL
+             RETURNING id`,
+            [req.params.id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'Active session not found' });
+        }
+
+        res.json({ success: true, message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to revoke session' });
+    }
+});
+
+app.put('/api/admin/users/:id/sessions/revoke', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        await revokeUserSessions(req.params.id, 'revoked by admin');
+        res.json({ success: true, message: 'All sessions revoked' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to revoke sessions' });
+    }
+});
+
+// EDITABLE WINDOW POLICIES
+app.get('/api/edit-window', authenticateToken, async (req, res) => {
+    try {
+        const params = [];
+        let where = '';
+
+        if (!can(req.user, 'facilities:all')) {
+            where = 'WHERE f.id = ANY($1::int[])';
+            params.push(req.user.facilityIds);
+        }
+
+        const result = await safeQuery(`
+            SELECT f.id as facility_id, f.name as facility_name,
+                   COALESCE(p.mode, 'rolling') as mode, COALESCE(p.months_back, 1) as months_back, p.start_month,
+                   editable_start_month(f.id) as effective_start_month
+            FROM facilities f
+            LEFT JOIN facility_edit_policies p ON p.facility_id = f.id
+            ${where}
+            ORDER BY f.name ASC
+        `, params);
+
+        res.json({ success: true, windows: result.rows });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch editable window' });
+    }
+});
+
+app.put('/api/admin/facilities/:id/edit-policy', authenticateToken, requirePermission('edit_window:manage'), async (req, res) => {
+    try {
+        const facilityId = req.params.id;
+        const { mode, months_back, start_month } = req.body;
+
+        if (mode !== 'rolling' && mode !== 'fixed') {
+            return res.status(400).json({ success: false, error: 'Mode must be "rolling" or "fixed"' });
+        }
+
+        if (mode === 'fixed' && !/^\d{4}-\d{2}$/.test(start_month || '')) {
+            return res.status(400).json({ success: false, error: 'A start month (YYYY-MM) is required for a fixed window' });
+        }
+
+        const monthsBack = parseInt(months_back);
+        if (mode === 'rolling' && (isNaN(monthsBack) || monthsBack < 0)) {
+            return res.status(400).json({ success: false, error: 'Previous months must be zero or more' });
+        }
+
+        const result = await safeQuery(
+            `INSERT INTO facility_edit_policies (facility_id, mode, months_back, start_month, updated_by)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (facility_id) DO UPDATE SET
+                mode = EXCLUDED.mode,
+                months_back = EXCLUDED.months_back,
+                start_month = EXCLUDED.start_month,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+             RETURNING *`,
+            [facilityId, mode, mode === 'rolling' ? monthsBack : 0, mode === 'fixed' ? start_month : null, req.user.id]
+        );
+
+        const policy = result.rows[0];
+        policy.effective_start_month = await getEditableStartMonth(facilityId);
+
+        res.json({ success: true, policy });
+
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({ success: false, error: 'Facility not found' });
+        }
+        console.error('Error updating edit policy:', error);
+        res.status(500).json({ success: false, error: 'Failed to update editable window' });
+    }
+});
+
+// Problems that would make an 837P billing provider or payer invalid
+function facilityBillingProblems(billing) {
+    if (!billing) return ['Billing identifiers have not been entered'];
+
+    const problems = [];
+    if (!x12.isValidNpi(billing.npi)) problems.push('NPI is missing or invalid');
+    if (!/^\d{9}$/.test(billing.tax_id || '')) problems.push('Tax ID (EIN) must be 9 digits');
+    if (!billing.address || !billing.city) problems.push('Billing address is incomplete');
+    if (!/^[A-Z]{2}$/.test(billing.state || '')) problems.push('State must be a 2 letter code');
+    if (!/^(\d{5}|\d{9})$/.test(billing.zip || '')) problems.push('ZIP code must be 5 or 9 digits');
+    if (!billing.payer_name || !billing.payer_id) problems.push('Payer name and payer ID are required');
+    return problems;
+}
+
+app.get('/api/admin/facilities/:id/billing', authenticateToken, requirePermission('facilities:manage', 'claims:review'), async (req, res) => {
+    try {
+        if (!canAccessFacility(req.user, req.params.id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const result = await safeQuery('SELECT * FROM facility_billing WHERE facility_id = $1', [req.params.id]);
+        const billing = result.rows[0] || null;
+
+        res.json({ success: true, billing, problems: facilityBillingProblems(billing) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch billing identifiers' });
+    }
+});
+
+app.put('/api/admin/facilities/:id/billing', authenticateToken, requirePermission('facilities:manage'), async (req, res) => {
+    try {
+        const facilityId = req.params.id;
+        const text = (value, maxLength) => (value || '').toString().trim().slice(0, maxLength) || null;
+        const digitsOnly = value => (value || '').toString().replace(/\D/g, '') || null;
+        const values = {
+            billing_name: text(req.body.billing_name, 60),
+            npi: digitsOnly(req.body.npi),
+            tax_id: digitsOnly(req.body.tax_id),
+            taxonomy_code: text(req.body.taxonomy_code, 10),
+            address: text(req.body.address, 55),
+            city: text(req.body.city, 30),
+            state: text(req.body.state, 2) && text(req.body.state, 2).toUpperCase(),
+            zip: digitsOnly(req.body.zip),
+            payer_name: text(req.body.payer_name, 60),
+            payer_id: text(req.body.payer_id, 80),
+            claim_filing_code: (text(req.body.claim_filing_code, 2) || 'MB').toUpperCase(),
+            place_of_service: digitsOnly(req.body.place_of_service) || '31'
+        };
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid token' });
+        if (values.npi && !x12.isValidNpi(values.npi)) {
+            return res.status(400).json({ success: false, error: 'NPI must be 10 digits with a valid check digit' });
+        }
+        if (values.tax_id && values.tax_id.length !== 9) {
+            return res.status(400).json({ success: false, error: 'Tax ID (EIN) must be 9 digits' });
+        }
+        if (values.zip && values.zip.length !== 5 && values.zip.length !== 9) {
+            return res.status(400).json({ success: false, error: 'ZIP code must be 5 or 9 digits' });
+        }
+        if (values.place_of_service.length !== 2) {
+            return res.status(400).json({ success: false, error: 'Place of service must be a 2 digit code' });
         }
-        req.user = user;
-        next();
-    });
-};
 
-const requireAdmin = (req, res, next) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
-    }
-    next();
-};
+        const before = await safeQuery('SELECT * FROM facility_billing WHERE facility_id = $1', [facilityId]);
+        const columns = Object.keys(values);
 
-// BASIC ROUTES
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+        const result = await safeQuery(
+            `INSERT INTO facility_billing (facility_id, ${columns.join(', ')}, updated_by)
+             VALUES ($1, ${columns.map((column, i) => '$' + (i + 2)).join(', ')}, $${columns.length + 2})
+             ON CONFLICT (facility_id) DO UPDATE SET
+                ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+                updated_by = EXCLUDED.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+             RETURNING *`,
+            [facilityId, ...columns.map(column => values[column]), req.user.id]
+        );
+
+        await recordAudit(req, { entityType: 'facility', entityId: parseInt(facilityId), action: 'update', before: before.rows[0], after: result.rows[0] });
+
+        res.json({ success: true, billing: result.rows[0], problems: facilityBillingProblems(result.rows[0]) });
 
-app.get('/health', async (req, res) => {
-    try {
-        await safeQuery('SELECT 1');
-        res.json({ status: 'healthy', timestamp: new Date().toISOString() });
     } catch (error) {
-        res.status(500).json({ status: 'unhealthy', error: error.message });
+        if (error.code === '23503') {
+            return res.status(404).json({ success: false, error: 'Facility not found' });
+        }
+        console.error('Error updating billing identifiers:', error);
+        res.status(500).json({ success: false, error: 'Failed to update billing identifiers' });
     }
 });
 
-// DASHBOARD
-app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+// FACILITY FORMULARIES
+// Formulary membership and contract prices of one facility. override_cost is the facility
+// price in effect for the month (default: this month), null when it pays the catalog price.
+async function getFacilityFormulary(facilityId, month, client = pool) {
+    const result = await safeQuery(
+        `SELECT s.id, s.code, s.description, s.hcpcs, c.name as category_name, ${SUPPLY_STATUS_COLUMNS},
+                fs.supply_id IS NOT NULL as on_formulary,
+                supply_cost(s.id, $2) as catalog_cost,
+                fp.cost as override_cost,
+                TO_CHAR(fp.effective_from, 'YYYY-MM-DD') as override_from
+         FROM supplies s
+         LEFT JOIN supply_categories c ON s.category_id = c.id
+         LEFT JOIN supplies r ON s.replacement_supply_id = r.id
+         LEFT JOIN facility_supplies fs ON fs.supply_id = s.id AND fs.facility_id = $1
+         LEFT JOIN LATERAL (
+             SELECT sp.cost, sp.effective_from FROM supply_prices sp
+             WHERE sp.supply_id = s.id AND sp.facility_id = $1
+               AND sp.effective_from <= to_date($2 || '-01', 'YYYY-MM-DD')
+             ORDER BY sp.effective_from DESC
+             LIMIT 1
+         ) fp ON true
+         ORDER BY s.code ASC`,
+        [facilityId, month],
+        client
+    );
+    return {
+        restricted: result.rows.some(row => row.on_formulary),
+        supplies: result.rows
+    };
+}
+
+// Summary of a formulary for the audit log
+function formularyAuditState(formulary) {
+    return {
+        restricted: formulary.restricted,
+        supplies: formulary.restricted ? formulary.supplies.filter(row => row.on_formulary).map(row => row.code) : 'all',
+        overrides: Object.fromEntries(formulary.supplies
+            .filter(row => row.override_cost !== null)
+            .map(row => [row.code, row.override_cost]))
+    };
+}
+
+app.get('/api/admin/facilities/:id/formulary', authenticateToken, requirePermission('facilities:manage', 'supplies:manage'), async (req, res) => {
     try {
-        let patientQuery, patientParams = [];
-        let trackingQuery, trackingParams = [];
-
-        if (req.user.role === 'admin') {
-            patientQuery = 'SELECT COUNT(*) as count FROM patients p';
-            trackingQuery = 'SELECT COUNT(*) as count FROM tracking t JOIN patients p ON t.patient_id = p.id';
-        } else if (req.user.facilityId) {
-            patientQuery = `SELECT COUNT(*) as count FROM patients p WHERE p.facility_id = $1 AND p.month >= '2025-09'`;
-            patientParams = [req.user.facilityId];
-            trackingQuery = `SELECT COUNT(*) as count FROM tracking t JOIN patients p ON t.patient_id = p.id WHERE p.facility_id = $1 AND p.month >= '2025-09'`;
-            trackingParams = [req.user.facilityId];
-        } else {
-            patientQuery = 'SELECT 0 as count';
-            trackingQuery = 'SELECT 0 as count';
+        if (!canAccessFacility(req.user, req.params.id)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
         }
 
-        const [patientsResult, suppliesResult, trackingResult] = await Promise.all([
-            safeQuery(patientQuery, patientParams),
-            safeQuery('SELECT COUNT(*) as count FROM supplies'),
-            safeQuery(trackingQuery, trackingParams)
-        ]);
-
-        let totalValue;
-        if (req.user.role === 'admin') {
-            const totalCostResult = await safeQuery(`
-                SELECT COALESCE(SUM(t.quantity * s.cost), 0) as total_cost
-                FROM tracking t
-                JOIN supplies s ON t.supply_id = s.id
-                WHERE t.quantity > 0
-            `);
-            totalValue = parseFloat(totalCostResult.rows[0].total_cost) || 0;
-        } else {
-            const totalUnitsResult = await safeQuery(`
-                SELECT COALESCE(SUM(t.quantity), 0) as total_units
-                FROM tracking t
-                JOIN patients p ON t.patient_id = p.id
-                ${req.user.facilityId ? 'WHERE p.facility_id = $1' : ''}
-            `, req.user.facilityId ? [req.user.facilityId] : []);
-            totalValue = parseInt(totalUnitsResult.rows[0].total_units) || 0;
+        const facility = await safeQuery('SELECT id, name FROM facilities WHERE id = $1', [req.params.id]);
+        if (facility.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Facility not found' });
         }
 
-        res.json({
-            success: true,
-            stats: {
-                totalPatients: parseInt(patientsResult.rows[0].count) || 0,
-                totalSupplies: parseInt(suppliesResult.rows[0].count) || 0,
-                monthlyTracking: parseInt(trackingResult.rows[0].count) || 0,
-                totalCost: totalValue
-            }
-        });
+        const month = new Date().toISOString().slice(0, 7);
+        const formulary = await getFacilityFormulary(req.params.id, month);
 
+        res.json({ success: true, facility: facility.rows[0], month, ...formulary });
     } catch (error) {
-        console.error('Dashboard stats error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to load dashboard statistics',
-            stats: { totalPatients: 0, totalSupplies: 0, monthlyTracking: 0, totalCost: 0 }
-        });
+        res.status(500).json({ success: false, error: 'Failed to fetch formulary' });
     }
 });
 
-// AUTHENTICATION
-app.post('/api/auth/login', async (req, res) => {
+// Body: { restricted, supply_ids: [...], overrides: { supplyId: cost or '' }, effective_from: 'YYYY-MM' }.
+// Without restricted the facility stocks the whole catalog. Override changes take effect from
+// effective_from (default: this month); an empty override goes back to the catalog price.
+app.put('/api/admin/facilities/:id/formulary', authenticateToken, requirePermission('facilities:manage', 'supplies:manage'), async (req, res) => {
     try {
-        const { email, password } = req.body;
-
-        if (!email || !password) {
-            return res.status(400).json({ success: false, message: 'Email and password required' });
+        const facilityId = parseInt(req.params.id);
+        if (!canAccessFacility(req.user, facilityId)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
         }
 
-        const result = await safeQuery(
-            `SELECT u.*, f.name as facility_name 
-             FROM users u 
-             LEFT JOIN facilities f ON u.facility_id = f.id 
-             WHERE u.email = $1`,
-            [email]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        const facility = await safeQuery('SELECT id FROM facilities WHERE id = $1', [facilityId]);
+        if (facility.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Facility not found' });
         }
 
-        const user = result.rows[0];
+        const { error, effectiveFrom } = parseEffectiveFrom(req.body.effective_from);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const month = (effectiveFrom || new Date().toISOString()).slice(0, 7);
 
-        if (!(await bcrypt.compare(password, user.password))) {
-            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        const restricted = !!req.body.restricted;
+        const supplyIds = [...new Set((req.body.supply_ids || []).map(id => parseInt(id)).filter(id => !isNaN(id)))];
+        if (restricted && supplyIds.length === 0) {
+            return res.status(400).json({ success: false, error: 'Choose at least one supply for the formulary' });
         }
 
-        if (!user.is_approved) {
-            return res.status(403).json({ success: false, message: 'Account pending approval' });
+        const overrides = [];
+        for (const [supplyId, value] of Object.entries(req.body.overrides || {})) {
+            const cleared = value === null || value === undefined || value.toString().trim() === '';
+            const cost = cleared ? null : parseCost(value);
+            if (!cleared && cost === null) {
+                return res.status(400).json({ success: false, error: 'Contract prices must be non-negative numbers' });
+            }
+            overrides.push({ supplyId: parseInt(supplyId), cost });
         }
 
-        const token = jwt.sign(
-            { 
-                id: user.id, 
-                email: user.email, 
-                role: user.role, 
-                facilityId: user.facility_id 
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // The formulary and its prices are saved together, or not at all when a price is refused
+        const { before, after } = await withTransaction(async client => {
+            await safeQuery('SELECT id FROM facilities WHERE id = $1 FOR UPDATE', [facilityId], client);
 
-        res.json({
-            success: true,
-            token,
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                facility_id: user.facility_id,
-                facility_name: user.facility_name
+            const before = await getFacilityFormulary(facilityId, month, client);
+            const known = new Map(before.supplies.map(row => [row.id, row]));
+            if (supplyIds.concat(overrides.map(override => override.supplyId)).some(id => !known.has(id))) {
+                throw Object.assign(new Error('Unknown supply in formulary'), { status: 400 });
+            }
+
+            if (restricted) {
+                await safeQuery(
+                    'DELETE FROM facility_supplies WHERE facility_id = $1 AND NOT (supply_id = ANY($2::int[]))',
+                    [facilityId, supplyIds],
+                    client
+                );
+                await safeQuery(
+                    `INSERT INTO facility_supplies (facility_id, supply_id, created_by)
+                     SELECT $1, unnest($2::int[]), $3
+                     ON CONFLICT (facility_id, supply_id) DO NOTHING`,
+                    [facilityId, supplyIds, req.user.id],
+                    client
+                );
+            } else {
+                await safeQuery('DELETE FROM facility_supplies WHERE facility_id = $1', [facilityId], client);
+            }
+
+            // Only record prices that change what the facility pays for the month
+            for (const { supplyId, cost } of overrides) {
+                const current = known.get(supplyId).override_cost;
+                if ((current === null ? null : parseFloat(current)) === cost) continue;
+                const { error: monthError } = await checkPriceMonth(supplyId, facilityId, `${month}-01`, client);
+                if (monthError) {
+                    throw Object.assign(new Error(monthError), { status: 400 });
+                }
+                await setFacilitySupplyPrice(facilityId, supplyId, cost, `${month}-01`, req.user.id, client);
             }
+
+            return { before, after: await getFacilityFormulary(facilityId, month, client) };
+        });
+
+        await recordAudit(req, {
+            entityType: 'facility_formulary',
+            entityId: facilityId,
+            action: 'update',
+            before: formularyAuditState(before),
+            after: formularyAuditState(after)
         });
 
+        res.json({ success: true, month, ...after });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ success: false, message: 'Server error during login' });
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Error updating formulary:', error);
+        res.status(500).json({ success: false, error: 'Failed to update formulary' });
     }
 });
 
-// FACILITIES
-app.get('/api/facilities', async (req, res) => {
+// INVENTORY
+const INVENTORY_TYPES = ['receipt', 'count', 'adjustment'];
+
+async function recordInventoryChange({ facilityId, supplyId, type, quantity, counted, patientId, purchaseOrderId, notes, userId }, client) {
+    const result = await safeQuery(
+        `INSERT INTO inventory_transactions (facility_id, supply_id, type, quantity, counted, patient_id, purchase_order_id, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [facilityId, supplyId, type, quantity, counted === undefined ? null : counted, patientId || null,
+            purchaseOrderId || null, notes || null, userId || null],
+        client
+    );
+    return result.rows[0];
+}
+
+async function getOnHand(facilityId, supplyId) {
+    const result = await safeQuery(
+        'SELECT COALESCE(SUM(quantity), 0) as on_hand FROM inventory_transactions WHERE facility_id = $1 AND supply_id = $2',
+        [facilityId, supplyId]
+    );
+    return parseInt(result.rows[0].on_hand) || 0;
+}
+
+// Items at or below their reorder point, with the units needed to get back to par. Only
+// items with a par level count; retired supplies are left out. Limited to the facilities
+// the user can see, or to facilityId.
+async function getLowStock(user, facilityId) {
+    const params = [];
+    const conditions = ['il.par_level > 0', '(s.retired_on IS NULL OR s.retired_on > CURRENT_DATE)'];
+
+    if (!can(user, 'facilities:all')) {
+        params.push(user.facilityIds || []);
+        conditions.push(`il.facility_id = ANY($${params.length}::int[])`);
+    }
+    if (facilityId) {
+        params.push(facilityId);
+        conditions.push(`il.facility_id = $${params.length}`);
+    }
+
+    const result = await safeQuery(
+        `SELECT il.facility_id, f.name as facility_name, s.id as supply_id, s.code, s.description, s.hcpcs,
+                il.par_level, il.reorder_point,
+                COALESCE(SUM(it.quantity), 0)::int as on_hand,
+                (il.par_level - COALESCE(SUM(it.quantity), 0))::int as shortfall
+         FROM inventory_levels il
+         JOIN facilities f ON il.facility_id = f.id
+         JOIN supplies s ON il.supply_id = s.id
+         LEFT JOIN inventory_transactions it ON it.facility_id = il.facility_id AND it.supply_id = il.supply_id
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY il.facility_id, f.name, s.id, il.par_level, il.reorder_point
+         HAVING COALESCE(SUM(it.quantity), 0) <= il.reorder_point
+         ORDER BY f.name ASC, s.code ASC`,
+        params
+    );
+    return result.rows;
+}
+
+function parseWholeNumber(value) {
+    const number = Number(value);
+    return value === '' || value === null || value === undefined || !Number.isInteger(number) ? null : number;
+}
+
+// Stock of one facility: every supply on its formulary plus anything with stock or levels
+app.get('/api/inventory', authenticateToken, requirePermission('inventory:view'), async (req, res) => {
     try {
-        const result = await safeQuery('SELECT * FROM facilities ORDER BY name ASC');
-        res.json({ success: true, facilities: result.rows });
+        const facilityId = parseInt(req.query.facility_id);
+        if (isNaN(facilityId)) {
+            return res.status(400).json({ success: false, error: 'Facility is required' });
+        }
+        if (!canAccessFacility(req.user, facilityId)) {
+            return res.status(403).json({ success: false, error: 'Access denied to this facility' });
+        }
+
+        const result = await safeQuery(
+            `SELECT s.id as supply_id, s.code, s.description, s.hcpcs, c.name as category_name, ${SUPPLY_STATUS_COLUMNS},
+                    COALESCE(it.on_hand, 0)::int as on_hand, it.last_counted_at,
+                    il.par_level, il.reorder_point,
+                    COALESCE(il.par_level > 0 AND COALESCE(it.on_hand, 0) <= il.reorder_point, false) as low_stock
+             FROM supplies s
+             LEFT JOIN supply_categories c ON s.category_id = c.id
+             LEFT JOIN supplies r ON s.replacement_supply_id = r.id
+             LEFT JOIN inventory_levels il ON il.supply_id = s.id AND il.facility_id = $1
+             LEFT JOIN (
+                 SELECT supply_id, SUM(quantity) as on_hand, MAX(created_at) FILTER (WHERE type = 'count') as last_counted_at
+                 FROM inventory_transactions
+                 WHERE facility_id = $1
+                 GROUP BY supply_id
+             ) it ON it.supply_id = s.id
+             WHERE it.supply_id IS NOT NULL OR il.supply_id IS NOT NULL
+                OR (${formularyCondition('$1')} AND (s.retired_on IS NULL OR s.retired_on > CURRENT_DATE))
+             ORDER BY s.code ASC`,
+            [facilityId]
+        );
+
+        res.json({ success: true, inventory: result.rows });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to fetch facilities' });
+        console.error('Error fetching inventory:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch inventory' });
     }
 });
 
-app.post('/api/facilities', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/inventory/transactions', authenticateToken, requirePermission('inventory:view'), async (req, res) => {
     try {
-        const { name } = req.body;
-        
-        if (!name) {
-            return res.status(400).json({ success: false, error: 'Facility name is required' });
+        const facilityId = parseInt(req.query.facility_id);
+        if (isNaN(facilityId)) {
+            return res.status(400).json({ success: false, error: 'Facility is required' });
+        }
+        if (!canAccessFacility(req.user, facilityId)) {
+            return res.status(403).json({ success: false, error: 'Access denied to this facility' });
+        }
+
+        const params = [facilityId];
+        let supplyCondition = '';
+        if (req.query.supply_id) {
+            params.push(req.query.supply_id);
+            supplyCondition = `AND it.supply_id = $${params.length}`;
         }
 
         const result = await safeQuery(
-            'INSERT INTO facilities (name) VALUES ($1) RETURNING *',
-            [name]
+            `SELECT it.*, s.code, s.description, u.name as created_by_name, p.name as patient_name, p.month as patient_month,
+                    SUM(it.quantity) OVER (PARTITION BY it.supply_id ORDER BY it.created_at, it.id)::int as balance
+             FROM inventory_transactions it
+             JOIN supplies s ON it.supply_id = s.id
+             LEFT JOIN users u ON it.created_by = u.id
+             LEFT JOIN patients p ON it.patient_id = p.id
+             WHERE it.facility_id = $1 ${supplyCondition}
+             ORDER BY it.created_at DESC, it.id DESC
+             LIMIT 500`,
+            params
         );
 
-        res.json({ success: true, facility: result.rows[0] });
+        await logPhiAccess(req, result.rows.filter(row => row.patient_id).map(row => row.patient_id));
 
+        res.json({ success: true, transactions: result.rows });
     } catch (error) {
-        if (error.code === '23505') {
-            return res.status(400).json({ success: false, error: 'Facility name already exists' });
-        }
-        res.status(500).json({ success: false, error: 'Failed to create facility' });
+        res.status(500).json({ success: false, error: 'Failed to fetch inventory history' });
     }
 });
 
-app.put('/api/facilities/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Body: { facility_id, supply_id, type, quantity, notes }. Receipts add units, adjustments add
+// or remove them (notes required) and counts set the units on the shelf.
+app.post('/api/inventory/transactions', authenticateToken, requirePermission('inventory:manage'), async (req, res) => {
     try {
-        const facilityId = req.params.id;
-        const { name } = req.body;
-        
-        if (!name) {
-            return res.status(400).json({ success: false, error: 'Facility name is required' });
-        }
+        const { facility_id, supply_id, type } = req.body;
+        const quantity = parseWholeNumber(req.body.quantity);
+        const notes = (req.body.notes || '').toString().trim();
 
-        const result = await safeQuery(
-            'UPDATE facilities SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
-            [name, facilityId]
-        );
+        if (!facility_id || !supply_id) {
+            return res.status(400).json({ success: false, error: 'Facility and supply are required' });
+        }
+        if (!INVENTORY_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, error: 'Type must be receipt, count or adjustment' });
+        }
+        if (!canAccessFacility(req.user, facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied to this facility' });
+        }
+        if (quantity === null) {
+            return res.status(400).json({ success: false, error: 'Quantity must be a whole number' });
+        }
+        if (type === 'receipt' && quantity <= 0) {
+            return res.status(400).json({ success: false, error: 'Received quantity must be positive' });
+        }
+        if (type === 'count' && quantity < 0) {
+            return res.status(400).json({ success: false, error: 'Counted quantity cannot be negative' });
+        }
+        if (type === 'adjustment' && (quantity === 0 || !notes)) {
+            return res.status(400).json({ success: false, error: 'Adjustments need a non-zero quantity and a reason' });
+        }
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, error: 'Facility not found' });
+        const supply = await safeQuery('SELECT id FROM supplies WHERE id = $1', [supply_id]);
+        if (supply.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Supply not found' });
         }
 
-        res.json({ success: true, facility: result.rows[0] });
+        const onHand = await getOnHand(facility_id, supply_id);
+        const transaction = await recordInventoryChange({
+            facilityId: facility_id,
+            supplyId: supply_id,
+            type,
+            quantity: type === 'count' ? quantity - onHand : quantity,
+            counted: type === 'count' ? quantity : undefined,
+            notes,
+            userId: req.user.id
+        });
+
+        await recordAudit(req, { entityType: 'inventory', entityId: transaction.id, action: type, after: transaction });
 
+        res.json({ success: true, transaction, onHand: onHand + transaction.quantity });
     } catch (error) {
-        if (error.code === '23505') {
-            return res.status(400).json({ success: false, error: 'Facility name already exists' });
+        if (error.code === '23503') {
+            return res.status(404).json({ success: false, error: 'Facility not found' });
         }
-        res.status(500).json({ success: false, error: 'Failed to update facility' });
+        console.error('Error recording inventory:', error);
+        res.status(500).json({ success: false, error: 'Failed to record inventory' });
     }
 });
 
-app.delete('/api/facilities/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Body: { facility_id, supply_id, par_level, reorder_point }. A par level of 0 stops low-stock alerts.
+app.put('/api/inventory/levels', authenticateToken, requirePermission('inventory:manage'), async (req, res) => {
     try {
-        const facilityId = req.params.id;
-        
-        const result = await safeQuery('DELETE FROM facilities WHERE id = $1', [facilityId]);
+        const { facility_id, supply_id } = req.body;
+        const parLevel = parseWholeNumber(req.body.par_level);
+        const reorderPoint = parseWholeNumber(req.body.reorder_point);
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, error: 'Facility not found' });
+        if (!facility_id || !supply_id) {
+            return res.status(400).json({ success: false, error: 'Facility and supply are required' });
+        }
+        if (!canAccessFacility(req.user, facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied to this facility' });
+        }
+        if (parLevel === null || reorderPoint === null || parLevel < 0 || reorderPoint < 0) {
+            return res.status(400).json({ success: false, error: 'Par level and reorder point must be non-negative whole numbers' });
+        }
+        if (reorderPoint > parLevel) {
+            return res.status(400).json({ success: false, error: 'Reorder point cannot be above the par level' });
         }
 
-        res.json({ success: true, message: 'Facility deleted successfully' });
+        const before = await safeQuery(
+            'SELECT * FROM inventory_levels WHERE facility_id = $1 AND supply_id = $2',
+            [facility_id, supply_id]
+        );
+        const result = await safeQuery(
+            `INSERT INTO inventory_levels (facility_id, supply_id, par_level, reorder_point, updated_by)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (facility_id, supply_id) DO UPDATE SET
+                par_level = EXCLUDED.par_level, reorder_point = EXCLUDED.reorder_point,
+                updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+             RETURNING *`,
+            [facility_id, supply_id, parLevel, reorderPoint, req.user.id]
+        );
 
+        await recordAudit(req, {
+            entityType: 'inventory_level',
+            entityId: parseInt(supply_id),
+            action: before.rows.length > 0 ? 'update' : 'create',
+            before: before.rows[0],
+            after: result.rows[0]
+        });
+
+        res.json({ success: true, level: result.rows[0] });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to delete facility' });
+        if (error.code === '23503') {
+            return res.status(404).json({ success: false, error: 'Facility or supply not found' });
+        }
+        res.status(500).json({ success: false, error: 'Failed to save inventory levels' });
     }
 });
 
-// SUPPLIES
-app.get('/api/supplies', authenticateToken, async (req, res) => {
+// VENDORS
+function parseVendor(body) {
+    const text = (value, maxLength) => (value || '').toString().trim().slice(0, maxLength) || null;
+    const values = {
+        name: text(body.name, 255),
+        account_number: text(body.account_number, 50),
+        contact_name: text(body.contact_name, 255),
+        email: text(body.email, 255),
+        phone: text(body.phone, 30),
+        is_active: body.is_active !== false
+    };
+
+    if (!values.name) return { error: 'Vendor name is required' };
+    if (values.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) return { error: 'Invalid vendor email' };
+    return { values };
+}
+
+// Adds or updates a vendor's catalog number for a supply (by AR code). Marking it preferred
+// takes the preference away from the supply's other vendors.
+async function saveVendorItem(vendorId, item) {
+    const code = parseInt(item.code);
+    const catalogNumber = (item.catalog_number || '').toString().trim().slice(0, 50);
+    const unitCost = item.unit_cost === undefined || item.unit_cost === null || item.unit_cost === '' ? null : parseCost(item.unit_cost);
+    const packSize = item.pack_size === undefined || item.pack_size === null || item.pack_size === '' ? 1 : parseWholeNumber(item.pack_size);
+
+    if (!code || !catalogNumber) return { error: 'AR code and catalog number are required' };
+    if (unitCost === null && item.unit_cost !== undefined && item.unit_cost !== null && item.unit_cost !== '') {
+        return { error: 'Unit cost must be a non-negative number' };
+    }
+    if (!packSize || packSize < 1) return { error: 'Pack size must be a positive whole number' };
+
+    const supply = await safeQuery('SELECT id FROM supplies WHERE code = $1', [code]);
+    if (supply.rows.length === 0) return { error: `No supply with AR code ${code}` };
+    const supplyId = supply.rows[0].id;
+
+    if (item.is_preferred) {
+        await safeQuery('UPDATE vendor_items SET is_preferred = false WHERE supply_id = $1 AND vendor_id != $2', [supplyId, vendorId]);
+    }
+
+    const before = await safeQuery('SELECT * FROM vendor_items WHERE vendor_id = $1 AND supply_id = $2', [vendorId, supplyId]);
+    const result = await safeQuery(
+        `INSERT INTO vendor_items (vendor_id, supply_id, catalog_number, unit_cost, pack_size, is_preferred)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (vendor_id, supply_id) DO UPDATE SET
+            catalog_number = EXCLUDED.catalog_number, unit_cost = EXCLUDED.unit_cost, pack_size = EXCLUDED.pack_size,
+            is_preferred = EXCLUDED.is_preferred, updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [vendorId, supplyId, catalogNumber, unitCost, packSize, !!item.is_preferred]
+    );
+    return { before: before.rows[0], item: result.rows[0] };
+}
+
+app.get('/api/vendors', authenticateToken, requirePermission('inventory:view', 'supplies:manage'), async (req, res) => {
     try {
-        const result = await safeQuery('SELECT * FROM supplies ORDER BY code ASC');
-        res.json({ success: true, supplies: result.rows });
+        const result = await safeQuery(`
+            SELECT v.*,
+                   (SELECT COUNT(*) FROM vendor_items vi WHERE vi.vendor_id = v.id)::int as item_count,
+                   (SELECT COUNT(*) FROM purchase_orders po
+                    WHERE po.vendor_id = v.id AND po.status IN ('draft', 'submitted', 'partial'))::int as open_orders
+            FROM vendors v
+            ORDER BY v.is_active DESC, v.name ASC
+        `);
+        res.json({ success: true, vendors: result.rows });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to fetch supplies' });
+        res.status(500).json({ success: false, error: 'Failed to fetch vendors' });
     }
 });
 
-app.post('/api/supplies', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/vendors', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
     try {
-        const { code, description, hcpcs, cost } = req.body;
-        
-        if (!code || !description) {
-            return res.status(400).json({ success: false, error: 'Code and description are required' });
+        const { error, values } = parseVendor(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
 
+        const columns = Object.keys(values);
         const result = await safeQuery(
-            'INSERT INTO supplies (code, description, hcpcs, cost, is_custom) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-            [code, description, hcpcs || null, parseFloat(cost) || 0, true]
+            `INSERT INTO vendors (${columns.join(', ')}) VALUES (${columns.map((column, i) => '$' + (i + 1)).join(', ')}) RETURNING *`,
+            columns.map(column => values[column])
         );
 
-        res.json({ success: true, supply: result.rows[0] });
+        await recordAudit(req, { entityType: 'vendor', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
 
+        res.json({ success: true, vendor: result.rows[0] });
     } catch (error) {
         if (error.code === '23505') {
-            return res.status(400).json({ success: false, error: 'Supply code already exists' });
+            return res.status(400).json({ success: false, error: 'A vendor with this name already exists' });
         }
-        res.status(500).json({ success: false, error: 'Failed to create supply' });
+        res.status(500).json({ success: false, error: 'Failed to create vendor' });
     }
 });
 
-app.put('/api/supplies/:id', authenticateToken, requireAdmin, async (req, res) => {
+app.put('/api/vendors/:id', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
     try {
-        const supplyId = req.params.id;
-        const { code, description, hcpcs, cost } = req.body;
-        
-        if (!code || !description) {
-            return res.status(400).json({ success: false, error: 'Code and description are required' });
+        const { error, values } = parseVendor(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const before = await safeQuery('SELECT * FROM vendors WHERE id = $1', [req.params.id]);
+        if (before.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Vendor not found' });
         }
 
+        const columns = Object.keys(values);
         const result = await safeQuery(
-            'UPDATE supplies SET code = $1, description = $2, hcpcs = $3, cost = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
-            [code, description, hcpcs || null, parseFloat(cost) || 0, supplyId]
+            `UPDATE vendors SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [req.params.id, ...columns.map(column => values[column])]
         );
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, error: 'Supply not found' });
-        }
-
-        res.json({ success: true, supply: result.rows[0] });
+        await recordAudit(req, { entityType: 'vendor', entityId: result.rows[0].id, action: 'update', before: before.rows[0], after: result.rows[0] });
 
+        res.json({ success: true, vendor: result.rows[0] });
     } catch (error) {
         if (error.code === '23505') {
-            return res.status(400).json({ success: false, error: 'Supply code already exists' });
+            return res.status(400).json({ success: false, error: 'A vendor with this name already exists' });
         }
-        res.status(500).json({ success: false, error: 'Failed to update supply' });
+        res.status(500).json({ success: false, error: 'Failed to update vendor' });
     }
 });
 
-app.delete('/api/supplies/:id', authenticateToken, requireAdmin, async (req, res) => {
+app.delete('/api/vendors/:id', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
     try {
-        const supplyId = req.params.id;
-        
-        const supply = await safeQuery('SELECT is_custom FROM supplies WHERE id = $1', [supplyId]);
-        if (supply.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Supply not found' });
+        const vendor = await safeQuery('SELECT * FROM vendors WHERE id = $1', [req.params.id]);
+        if (vendor.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Vendor not found' });
         }
-        
-        if (!supply.rows[0].is_custom) {
-            return res.status(400).json({ success: false, error: 'Cannot delete AR standard supplies' });
+
+        const orders = await safeQuery('SELECT COUNT(*) as count FROM purchase_orders WHERE vendor_id = $1', [req.params.id]);
+        if (parseInt(orders.rows[0].count) > 0) {
+            return res.status(400).json({ success: false, error: 'This vendor has purchase orders; deactivate it instead' });
         }
-        
-        const result = await safeQuery('DELETE FROM supplies WHERE id = $1', [supplyId]);
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, error: 'Supply not found' });
+        await safeQuery('DELETE FROM vendors WHERE id = $1', [req.params.id]);
+        await recordAudit(req, { entityType: 'vendor', entityId: vendor.rows[0].id, action: 'delete', before: vendor.rows[0] });
+
+        res.json({ success: true, message: 'Vendor deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to delete vendor' });
+    }
+});
+
+app.get('/api/vendors/:id/items', authenticateToken, requirePermission('inventory:view', 'supplies:manage'), async (req, res) => {
+    try {
+        const result = await safeQuery(
+            `SELECT vi.*, s.code, s.description, s.hcpcs
+             FROM vendor_items vi
+             JOIN supplies s ON vi.supply_id = s.id
+             WHERE vi.vendor_id = $1
+             ORDER BY s.code ASC`,
+            [req.params.id]
+        );
+        res.json({ success: true, items: result.rows });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch vendor catalog' });
+    }
+});
+
+// Body: { code, catalog_number, unit_cost, pack_size, is_preferred } where code is our AR code
+app.post('/api/vendors/:id/items', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const vendor = await safeQuery('SELECT id FROM vendors WHERE id = $1', [req.params.id]);
+        if (vendor.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Vendor not found' });
         }
 
-        res.json({ success: true, message: 'Supply deleted successfully' });
+        const saved = await saveVendorItem(req.params.id, req.body);
+        if (saved.error) {
+            return res.status(400).json({ success: false, error: saved.error });
+        }
+
+        await recordAudit(req, {
+            entityType: 'vendor_item',
+            entityId: saved.item.id,
+            action: saved.before ? 'update' : 'create',
+            before: saved.before,
+            after: saved.item
+        });
+
+        res.json({ success: true, item: saved.item });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to save vendor catalog number' });
+    }
+});
+
+app.delete('/api/vendors/:id/items/:itemId', authenticateToken, requirePermission('supplies:manage'), async (req, res) => {
+    try {
+        const result = await safeQuery(
+            'DELETE FROM vendor_items WHERE id = $1 AND vendor_id = $2 RETURNING *',
+            [req.params.itemId, req.params.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Catalog number not found' });
+        }
+
+        await recordAudit(req, { entityType: 'vendor_item', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
 
+        res.json({ success: true, message: 'Catalog number removed' });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to delete supply' });
+        res.status(500).json({ success: false, error: 'Failed to remove catalog number' });
     }
 });
 
-// SUPPLY IMPORT
-app.post('/api/supplies/import', authenticateToken, requireAdmin, upload.single('file'), async (req, res) => {
+// Vendor catalog spreadsheet with "AR Code", "Catalog Number" and optional "Unit Cost",
+// "Pack Size" and "Preferred" (Y/N) columns
+app.post('/api/vendors/:id/items/import', authenticateToken, requirePermission('supplies:manage'), upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ success: false, error: 'No Excel file uploaded' });
         }
 
+        const vendor = await safeQuery('SELECT id FROM vendors WHERE id = $1', [req.params.id]);
+        if (vendor.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Vendor not found' });
+        }
+
         let data;
         try {
             const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
-            const sheetName = workbook.SheetNames[0];
-            const sheet = workbook.Sheets[sheetName];
-            data = XLSX.utils.sheet_to_json(sheet);
+            data = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
         } catch (parseError) {
             return res.status(400).json({ success: false, error: 'Invalid Excel file format' });
         }
@@ -612,27 +6790,31 @@ app.post('/api/supplies/import', authenticateToken, requireAdmin, upload.single(
         }
 
         let imported = 0;
-        let errors = [];
+        const errors = [];
 
         for (const row of data) {
             try {
-                const code = parseInt(row.Code || row.code);
-                const description = (row.Description || row.description || '').toString().trim();
-                const hcpcs = (row.HCPCS || row.hcpcs || '').toString().trim();
-                const cost = parseFloat(row.Cost || row.cost || 0);
-
-                if (!code || !description) {
-                    errors.push({ row: row, error: 'Missing code or description' });
+                const preferred = (row.Preferred ?? row.preferred ?? '').toString().trim().toUpperCase();
+                const saved = await saveVendorItem(req.params.id, {
+                    code: row['AR Code'] ?? row.Code ?? row.code,
+                    catalog_number: row['Catalog Number'] ?? row['Catalog #'] ?? row.catalog_number,
+                    unit_cost: row['Unit Cost'] ?? row.Cost ?? row.unit_cost,
+                    pack_size: row['Pack Size'] ?? row.pack_size,
+                    is_preferred: ['Y', 'YES', 'TRUE', '1'].includes(preferred)
+                });
+                if (saved.error) {
+                    errors.push({ row: row, error: saved.error });
                     continue;
                 }
 
-                await safeQuery(
-                    'INSERT INTO supplies (code, description, hcpcs, cost, is_custom) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (code) DO UPDATE SET description = EXCLUDED.description, hcpcs = EXCLUDED.hcpcs, cost = EXCLUDED.cost',
-                    [code, description, hcpcs || null, cost, true]
-                );
-
+                await recordAudit(req, {
+                    entityType: 'vendor_item',
+                    entityId: saved.item.id,
+                    action: saved.before ? 'update' : 'create',
+                    before: saved.before,
+                    after: saved.item
+                });
                 imported++;
-
             } catch (error) {
                 errors.push({ row: row, error: error.message });
             }
@@ -640,652 +6822,834 @@ app.post('/api/supplies/import', authenticateToken, requireAdmin, upload.single(
 
         res.json({
             success: true,
-            message: `Successfully imported ${imported} supplies. ${errors.length} errors.`,
+            message: `Successfully imported ${imported} catalog numbers. ${errors.length} errors.`,
             imported: imported,
             errors: errors.slice(0, 10)
         });
-
     } catch (error) {
-        console.error('Supply import error:', error);
+        console.error('Vendor catalog import error:', error);
         res.status(500).json({ success: false, error: 'Server error during import' });
     }
 });
 
-// PATIENTS
-app.get('/api/patients', authenticateToken, async (req, res) => {
-    try {
-        const { facility_id, month } = req.query;
-        
-        let query = `
-            SELECT p.*, f.name as facility_name 
-            FROM patients p 
-            LEFT JOIN facilities f ON p.facility_id = f.id
-        `;
-        let params = [];
-        let conditions = [];
-
-        if (req.user.role !== 'admin') {
-            if (req.user.facilityId) {
-                conditions.push('p.facility_id = $' + (params.length + 1));
-                params.push(req.user.facilityId);
-                conditions.push("p.month >= '2025-09'");
-            } else {
-                return res.json({ success: true, patients: [] });
-            }
-        } else if (facility_id) {
-            conditions.push('p.facility_id = $' + (params.length + 1));
-            params.push(facility_id);
-        }
+// PURCHASE ORDERS
+const OPEN_PO_STATUSES = ['draft', 'submitted', 'partial'];
+
+async function getPurchaseOrder(id, client) {
+    const order = await safeQuery(
+        `SELECT po.*, v.name as vendor_name, v.account_number as vendor_account_number,
+                f.name as facility_name, u.name as created_by_name
+         FROM purchase_orders po
+         JOIN vendors v ON po.vendor_id = v.id
+         JOIN facilities f ON po.facility_id = f.id
+         LEFT JOIN users u ON po.created_by = u.id
+         WHERE po.id = $1`,
+        [id],
+        client
+    );
+    if (order.rows.length === 0) return null;
+
+    const lines = await safeQuery(
+        `SELECT l.*, s.code, s.description, s.hcpcs,
+                (l.quantity_ordered - l.quantity_received) as quantity_outstanding,
+                (l.quantity_ordered * COALESCE(l.unit_cost, 0)) as extended_cost
+         FROM purchase_order_lines l
+         JOIN supplies s ON l.supply_id = s.id
+         WHERE l.purchase_order_id = $1
+         ORDER BY s.code ASC`,
+        [id],
+        client
+    );
+
+    return Object.assign(order.rows[0], {
+        lines: lines.rows,
+        total: lines.rows.reduce((sum, line) => sum + parseFloat(line.extended_cost), 0)
+    });
+}
 
-        if (month) {
-            conditions.push('p.month = $' + (params.length + 1));
-            params.push(month);
-        }
+// Checks requested lines ([{ supply_id, quantity, unit_cost }]) against the vendor's catalog.
+// Every supply needs a catalog number at the vendor; unit_cost defaults to the vendor's price.
+async function resolvePurchaseOrderLines(vendorId, requested) {
+    if (!Array.isArray(requested) || requested.length === 0) return { error: 'A purchase order needs at least one line' };
+
+    const items = await safeQuery(
+        `SELECT vi.*, s.code FROM vendor_items vi JOIN supplies s ON vi.supply_id = s.id WHERE vi.vendor_id = $1`,
+        [vendorId]
+    );
+    const bySupply = new Map(items.rows.map(item => [item.supply_id, item]));
+    const lines = [];
+
+    for (const line of requested) {
+        const item = bySupply.get(parseInt(line.supply_id));
+        const quantity = parseWholeNumber(line.quantity);
+        if (!item) return { error: 'Every line needs a catalog number at this vendor' };
+        if (!quantity || quantity < 1) return { error: `Quantity for ${item.code} must be a positive whole number` };
+        if (lines.some(existing => existing.supply_id === item.supply_id)) return { error: `${item.code} is on the order twice` };
+
+        const costGiven = line.unit_cost !== undefined && line.unit_cost !== null && line.unit_cost !== '';
+        const unitCost = costGiven ? parseCost(line.unit_cost) : item.unit_cost;
+        if (costGiven && unitCost === null) return { error: `Unit cost for ${item.code} must be a non-negative number` };
+
+        lines.push({ supply_id: item.supply_id, catalog_number: item.catalog_number, quantity_ordered: quantity, unit_cost: unitCost });
+    }
+    return { lines };
+}
 
-        if (conditions.length > 0) {
-            query += ' WHERE ' + conditions.join(' AND ');
-        }
+async function replacePurchaseOrderLines(orderId, lines, client) {
+    await safeQuery('DELETE FROM purchase_order_lines WHERE purchase_order_id = $1', [orderId], client);
+    for (const line of lines) {
+        await safeQuery(
+            `INSERT INTO purchase_order_lines (purchase_order_id, supply_id, catalog_number, quantity_ordered, unit_cost)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [orderId, line.supply_id, line.catalog_number, line.quantity_ordered, line.unit_cost],
+            client
+        );
+    }
+}
 
-        query += ' ORDER BY p.name ASC';
+// The order, its number and its lines are created together or not at all
+async function createPurchaseOrder({ facilityId, vendorId, lines, notes, userId }) {
+    return withTransaction(async client => {
+        const created = await safeQuery(
+            'INSERT INTO purchase_orders (facility_id, vendor_id, notes, created_by) VALUES ($1, $2, $3, $4) RETURNING id',
+            [facilityId, vendorId, notes || null, userId],
+            client
+        );
+        const id = created.rows[0].id;
+        await safeQuery(`UPDATE purchase_orders SET po_number = 'PO-' || LPAD(id::text, 6, '0') WHERE id = $1`, [id], client);
+        await replacePurchaseOrderLines(id, lines, client);
+        return getPurchaseOrder(id, client);
+    });
+}
 
-        const result = await safeQuery(query, params);
-        res.json({ success: true, patients: result.rows });
+// Locks an order for the rest of the transaction and reloads it. Throws a 400 when another
+// request has moved it out of allowedStatuses since it was first loaded.
+async function lockPurchaseOrder(id, allowedStatuses, client) {
+    await safeQuery('SELECT id FROM purchase_orders WHERE id = $1 FOR UPDATE', [id], client);
+    const order = await getPurchaseOrder(id, client);
+    if (!allowedStatuses.includes(order.status)) {
+        throw Object.assign(new Error(`Purchase order ${order.po_number} is ${order.status}`), { status: 400 });
+    }
+    return order;
+}
 
-    } catch (error) {
-        console.error('Error fetching patients:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch patients' });
+// Loads an order the user may change, or sends the error response and returns null
+async function loadPurchaseOrderForUpdate(req, res, allowedStatuses) {
+    const order = await getPurchaseOrder(req.params.id);
+    if (!order) {
+        res.status(404).json({ success: false, error: 'Purchase order not found' });
+        return null;
     }
-});
+    if (!canAccessFacility(req.user, order.facility_id)) {
+        res.status(403).json({ success: false, error: 'Access denied to this facility' });
+        return null;
+    }
+    if (!allowedStatuses.includes(order.status)) {
+        res.status(400).json({ success: false, error: `Purchase order ${order.po_number} is ${order.status}` });
+        return null;
+    }
+    return order;
+}
 
-app.post('/api/patients', authenticateToken, async (req, res) => {
+app.get('/api/purchase-orders', authenticateToken, requirePermission('inventory:view'), async (req, res) => {
     try {
-        const { name, month, mrn, facility_id } = req.body;
-        
-        if (!name || !month || !facility_id) {
-            return res.status(400).json({ success: false, error: 'Name, month, and facility are required' });
-        }
+        const params = [];
+        const conditions = [];
 
-        if (req.user.role !== 'admin' && req.user.facilityId && req.user.facilityId != facility_id) {
-            return res.status(403).json({ success: false, error: 'Cannot add patients to this facility' });
+        if (!can(req.user, 'facilities:all')) {
+            params.push(req.user.facilityIds || []);
+            conditions.push(`po.facility_id = ANY($${params.length}::int[])`);
         }
-
-        if (req.user.role !== 'admin' && month < '2025-09') {
-            return res.status(400).json({ success: false, error: 'Can only add patients for September 2025 onwards' });
+        if (req.query.facility_id) {
+            params.push(req.query.facility_id);
+            conditions.push(`po.facility_id = $${params.length}`);
         }
-
-        // Check for MRN duplicate within the same month and facility
-        if (mrn && mrn.trim()) {
-            const duplicate = await checkMRNDuplicate(mrn.trim(), month, facility_id);
-            if (duplicate) {
-                return res.status(400).json({ 
-                    success: false, 
-                    error: `MRN "${mrn.trim()}" already exists for patient "${duplicate.name}" in ${duplicate.month}` 
-                });
-            }
+        if (req.query.status === 'open') {
+            conditions.push(`po.status IN ('draft', 'submitted', 'partial')`);
+        } else if (req.query.status && req.query.status !== 'all') {
+            params.push(req.query.status);
+            conditions.push(`po.status = $${params.length}`);
         }
 
-        const result = await safeQuery(
-            'INSERT INTO patients (name, month, mrn, facility_id) VALUES ($1, $2, $3, $4) RETURNING *',
-            [name, month, mrn ? mrn.trim() : null, facility_id]
-        );
-
-        res.json({ success: true, patient: result.rows[0] });
-
+        const result = await safeQuery(`
+            SELECT po.*, v.name as vendor_name, f.name as facility_name,
+                   COUNT(l.id)::int as line_count,
+                   COALESCE(SUM(l.quantity_ordered * COALESCE(l.unit_cost, 0)), 0) as total
+            FROM purchase_orders po
+            JOIN vendors v ON po.vendor_id = v.id
+            JOIN facilities f ON po.facility_id = f.id
+            LEFT JOIN purchase_order_lines l ON l.purchase_order_id = po.id
+            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+            GROUP BY po.id, v.name, f.name
+            ORDER BY po.created_at DESC
+        `, params);
+
+        res.json({ success: true, purchaseOrders: result.rows });
     } catch (error) {
-        console.error('Error creating patient:', error);
-        res.status(500).json({ success: false, error: 'Failed to create patient' });
+        res.status(500).json({ success: false, error: 'Failed to fetch purchase orders' });
     }
 });
 
-app.put('/api/patients/:id', authenticateToken, async (req, res) => {
+app.get('/api/purchase-orders/:id', authenticateToken, requirePermission('inventory:view'), async (req, res) => {
     try {
-        const patientId = req.params.id;
-        const { name, month, mrn, facility_id } = req.body;
-        
-        if (!name || !month || !facility_id) {
-            return res.status(400).json({ success: false, error: 'Name, month, and facility are required' });
+        const order = await getPurchaseOrder(req.params.id);
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Purchase order not found' });
         }
+        if (!canAccessFacility(req.user, order.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied to this facility' });
+        }
+        res.json({ success: true, purchaseOrder: order });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch purchase order' });
+    }
+});
 
-        if (req.user.role !== 'admin' && req.user.facilityId && req.user.facilityId != facility_id) {
-            return res.status(403).json({ success: false, error: 'Cannot modify patients from this facility' });
+// Drafts one purchase order per vendor for the facility's low-stock items. Each item is
+// ordered from its preferred vendor (else the cheapest one carrying it) up to its par level,
+// less what is already on open orders, in whole packs.
+app.post('/api/purchase-orders/suggest', authenticateToken, requirePermission('inventory:manage'), async (req, res) => {
+    try {
+        const facilityId = parseInt(req.body.facility_id);
+        if (isNaN(facilityId)) {
+            return res.status(400).json({ success: false, error: 'Facility is required' });
+        }
+        if (!canAccessFacility(req.user, facilityId)) {
+            return res.status(403).json({ success: false, error: 'Access denied to this facility' });
         }
 
-        if (req.user.role !== 'admin' && month < '2025-09') {
-            return res.status(400).json({ success: false, error: 'Can only modify patients for September 2025 onwards' });
+        const lowStock = await getLowStock(req.user, facilityId);
+        if (lowStock.length === 0) {
+            return res.json({ success: true, purchaseOrders: [], unmapped: [], message: 'Nothing is below its reorder point' });
         }
 
-        // Check for MRN duplicate within the same month and facility (excluding current patient)
-        if (mrn && mrn.trim()) {
-            const duplicate = await checkMRNDuplicate(mrn.trim(), month, facility_id, parseInt(patientId));
-            if (duplicate) {
-                return res.status(400).json({ 
-                    success: false, 
-                    error: `MRN "${mrn.trim()}" already exists for patient "${duplicate.name}" in ${duplicate.month}` 
-                });
+        const supplyIds = lowStock.map(item => item.supply_id);
+        const [onOrder, vendorItems] = await Promise.all([
+            safeQuery(
+                `SELECT l.supply_id, SUM(l.quantity_ordered - l.quantity_received)::int as units
+                 FROM purchase_order_lines l
+                 JOIN purchase_orders po ON l.purchase_order_id = po.id
+                 WHERE po.facility_id = $1 AND po.status = ANY($2) AND l.supply_id = ANY($3::int[])
+                 GROUP BY l.supply_id`,
+                [facilityId, OPEN_PO_STATUSES, supplyIds]
+            ),
+            safeQuery(
+                `SELECT DISTINCT ON (vi.supply_id) vi.*
+                 FROM vendor_items vi
+                 JOIN vendors v ON vi.vendor_id = v.id AND v.is_active
+                 WHERE vi.supply_id = ANY($1::int[])
+                 ORDER BY vi.supply_id, vi.is_preferred DESC, vi.unit_cost ASC NULLS LAST, vi.id ASC`,
+                [supplyIds]
+            )
+        ]);
+        const onOrderBySupply = new Map(onOrder.rows.map(row => [row.supply_id, row.units]));
+        const vendorBySupply = new Map(vendorItems.rows.map(item => [item.supply_id, item]));
+
+        const linesByVendor = new Map();
+        const unmapped = [];
+        lowStock.forEach(item => {
+            const needed = item.shortfall - (onOrderBySupply.get(item.supply_id) || 0);
+            if (needed <= 0) return;
+
+            const vendorItem = vendorBySupply.get(item.supply_id);
+            if (!vendorItem) {
+                unmapped.push({ supply_id: item.supply_id, code: item.code, description: item.description, shortfall: needed });
+                return;
             }
-        }
 
-        const result = await safeQuery(
-            'UPDATE patients SET name = $1, month = $2, mrn = $3, facility_id = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
-            [name, month, mrn ? mrn.trim() : null, facility_id, patientId]
-        );
+            if (!linesByVendor.has(vendorItem.vendor_id)) linesByVendor.set(vendorItem.vendor_id, []);
+            linesByVendor.get(vendorItem.vendor_id).push({
+                supply_id: item.supply_id,
+                catalog_number: vendorItem.catalog_number,
+                quantity_ordered: Math.ceil(needed / vendorItem.pack_size) * vendorItem.pack_size,
+                unit_cost: vendorItem.unit_cost
+            });
+        });
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
+        const purchaseOrders = [];
+        for (const [vendorId, lines] of linesByVendor) {
+            const order = await createPurchaseOrder({
+                facilityId,
+                vendorId,
+                lines,
+                notes: 'Suggested from par levels',
+                userId: req.user.id
+            });
+            await recordAudit(req, { entityType: 'purchase_order', entityId: order.id, action: 'create', after: order });
+            purchaseOrders.push(order);
         }
 
-        res.json({ success: true, patient: result.rows[0] });
-
+        res.json({ success: true, purchaseOrders, unmapped });
     } catch (error) {
-        console.error('Error updating patient:', error);
-        res.status(500).json({ success: false, error: 'Failed to update patient' });
+        console.error('Error suggesting purchase orders:', error);
+        res.status(500).json({ success: false, error: 'Failed to suggest purchase orders' });
     }
 });
 
-app.delete('/api/patients/:id', authenticateToken, async (req, res) => {
+// Body: { facility_id, vendor_id, notes, lines: [{ supply_id, quantity, unit_cost }] }
+app.post('/api/purchase-orders', authenticateToken, requirePermission('inventory:manage'), async (req, res) => {
     try {
-        const patientId = req.params.id;
-        
-        if (req.user.role !== 'admin') {
-            const patient = await safeQuery('SELECT facility_id FROM patients WHERE id = $1', [patientId]);
-            if (patient.rows.length === 0) {
-                return res.status(404).json({ success: false, error: 'Patient not found' });
-            }
-            if (req.user.facilityId !== patient.rows[0].facility_id) {
-                return res.status(403).json({ success: false, error: 'Cannot delete patients from other facilities' });
-            }
+        const { facility_id, vendor_id, notes } = req.body;
+        if (!facility_id || !vendor_id) {
+            return res.status(400).json({ success: false, error: 'Facility and vendor are required' });
+        }
+        if (!canAccessFacility(req.user, facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied to this facility' });
         }
-        
-        const result = await safeQuery('DELETE FROM patients WHERE id = $1', [patientId]);
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
+        const vendor = await safeQuery('SELECT is_active FROM vendors WHERE id = $1', [vendor_id]);
+        if (vendor.rows.length === 0 || !vendor.rows[0].is_active) {
+            return res.status(400).json({ success: false, error: 'Choose an active vendor' });
         }
 
-        res.json({ success: true, message: 'Patient deleted successfully' });
+        const { error, lines } = await resolvePurchaseOrderLines(vendor_id, req.body.lines);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const order = await createPurchaseOrder({ facilityId: facility_id, vendorId: vendor_id, lines, notes, userId: req.user.id });
+        await recordAudit(req, { entityType: 'purchase_order', entityId: order.id, action: 'create', after: order });
 
+        res.json({ success: true, purchaseOrder: order });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to delete patient' });
+        if (error.code === '23503') {
+            return res.status(404).json({ success: false, error: 'Facility not found' });
+        }
+        res.status(500).json({ success: false, error: 'Failed to create purchase order' });
     }
 });
 
-// BULK PATIENT UPLOAD
-app.post('/api/patients/bulk', authenticateToken, async (req, res) => {
+// Drafts only. Body: { notes, lines: [{ supply_id, quantity, unit_cost }] }
+app.put('/api/purchase-orders/:id', authenticateToken, requirePermission('inventory:manage'), async (req, res) => {
     try {
-        const { patients } = req.body;
-        
-        if (!patients || !Array.isArray(patients) || patients.length === 0) {
-            return res.status(400).json({ success: false, error: 'No patient data provided' });
-        }
-
-        console.log(`Starting bulk upload for ${patients.length} patients`);
-
-        const facilitiesResult = await safeQuery('SELECT id, name FROM facilities');
-        const facilityMap = {};
-        facilitiesResult.rows.forEach(facility => {
-            const cleanName = facility.name.toLowerCase().trim();
-            facilityMap[cleanName] = facility.id;
-            facilityMap[facility.name] = facility.id;
-        });
-
-        const results = { successful: 0, failed: [] };
-
-        for (let i = 0; i < patients.length; i++) {
-            const patient = patients[i];
-            
-            try {
-                const name = (patient.name || patient.Name || '').toString().trim();
-                const mrn = (patient.mrn || patient.MRN || '').toString().trim();
-                const month = (patient.month || patient.Month || '').toString().trim();
-                const facilityName = (patient.facilityName || patient.Facility || patient.facility || '').toString().trim();
-
-                if (!name || !month || !facilityName) {
-                    results.failed.push({ 
-                        name: name || 'Row ' + (i + 1), 
-                        error: 'Missing required fields (Name, Month, Facility)' 
-                    });
-                    continue;
-                }
-
-                const dbMonth = convertMonthFormat(month);
-                if (!dbMonth) {
-                    results.failed.push({ 
-                        name: name, 
-                        error: `Invalid month format: "${month}"` 
-                    });
-                    continue;
-                }
-
-                if (req.user.role !== 'admin' && dbMonth < '2025-09') {
-                    results.failed.push({ 
-                        name: name, 
-                        error: `Month ${dbMonth} is before September 2025 (non-admin restriction)` 
-                    });
-                    continue;
-                }
-
-                const facilityKey = facilityName.toLowerCase().trim();
-                const facilityId = facilityMap[facilityKey];
-                
-                if (!facilityId) {
-                    results.failed.push({ 
-                        name: name, 
-                        error: `Facility "${facilityName}" not found. Available facilities: ${Object.keys(facilityMap).join(', ')}` 
-                    });
-                    continue;
-                }
-
-                if (req.user.role !== 'admin' && req.user.facilityId && req.user.facilityId != facilityId) {
-                    results.failed.push({ 
-                        name: name, 
-                        error: 'No permission to add patients to this facility' 
-                    });
-                    continue;
-                }
-
-                // Check MRN duplicate within the same month and facility
-                if (mrn && mrn.length > 0) {
-                    const duplicate = await checkMRNDuplicate(mrn, dbMonth, facilityId);
-                    if (duplicate) {
-                        results.failed.push({ 
-                            name: name, 
-                            error: `MRN "${mrn}" already exists for patient "${duplicate.name}" in ${duplicate.month}` 
-                        });
-                        continue;
-                    }
-                }
-
-                await safeQuery(
-                    'INSERT INTO patients (name, mrn, month, facility_id) VALUES ($1, $2, $3, $4)',
-                    [name, mrn || null, dbMonth, facilityId]
-                );
-
-                results.successful++;
+        const before = await loadPurchaseOrderForUpdate(req, res, ['draft']);
+        if (!before) return;
 
-            } catch (error) {
-                console.error(`Error processing patient ${i + 1}:`, error);
-                results.failed.push({ 
-                    name: patient.name || patient.Name || ('Row ' + (i + 1)), 
-                    error: 'Database error: ' + error.message 
-                });
-            }
+        const { error, lines } = await resolvePurchaseOrderLines(before.vendor_id, req.body.lines);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
 
-        res.json({
-            success: true,
-            message: `Upload completed. ${results.successful} successful, ${results.failed.length} failed.`,
-            successful: results.successful,
-            failed: results.failed.slice(0, 20)
+        const order = await withTransaction(async client => {
+            await lockPurchaseOrder(before.id, ['draft'], client);
+            await replacePurchaseOrderLines(before.id, lines, client);
+            await safeQuery(
+                'UPDATE purchase_orders SET notes = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [(req.body.notes || '').toString().trim() || null, before.id],
+                client
+            );
+            return getPurchaseOrder(before.id, client);
         });
+        await recordAudit(req, { entityType: 'purchase_order', entityId: order.id, action: 'update', before, after: order });
 
+        res.json({ success: true, purchaseOrder: order });
     } catch (error) {
-        console.error('Bulk upload error:', error);
-        res.status(500).json({ success: false, error: 'Server error during bulk upload: ' + error.message });
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        res.status(500).json({ success: false, error: 'Failed to update purchase order' });
     }
 });
 
-// TRACKING
-app.get('/api/tracking/:patientId', authenticateToken, async (req, res) => {
+app.post('/api/purchase-orders/:id/submit', authenticateToken, requirePermission('inventory:manage'), async (req, res) => {
     try {
-        const patientId = req.params.patientId;
-        
-        const patientCheck = await safeQuery('SELECT * FROM patients WHERE id = $1', [patientId]);
-        if (patientCheck.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
-
-        const patient = patientCheck.rows[0];
-        if (req.user.role !== 'admin' && req.user.facilityId && req.user.facilityId != patient.facility_id) {
-            return res.status(403).json({ success: false, error: 'Access denied' });
-        }
+        const before = await loadPurchaseOrderForUpdate(req, res, ['draft']);
+        if (!before) return;
 
-        const result = await safeQuery(
-            `SELECT t.*, s.description as supply_description, s.cost as supply_cost, s.hcpcs, s.code as supply_code
-             FROM tracking t 
-             LEFT JOIN supplies s ON t.supply_id = s.id 
-             WHERE t.patient_id = $1 
-             ORDER BY s.code, t.day_of_month`,
-            [patientId]
+        await safeQuery(
+            `UPDATE purchase_orders SET status = 'submitted', submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [before.id]
         );
 
-        res.json({ success: true, tracking: result.rows });
+        const order = await getPurchaseOrder(before.id);
+        await recordAudit(req, { entityType: 'purchase_order', entityId: order.id, action: 'submit', before, after: order });
+
+        res.json({ success: true, purchaseOrder: order });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to fetch tracking data' });
+        res.status(500).json({ success: false, error: 'Failed to submit purchase order' });
     }
 });
 
-app.post('/api/tracking', authenticateToken, async (req, res) => {
+// Cancels a draft or an open order; units already received stay in inventory
+app.post('/api/purchase-orders/:id/cancel', authenticateToken, requirePermission('inventory:manage'), async (req, res) => {
     try {
-        const { patientId, supplyId, dayOfMonth, quantity, woundDx } = req.body;
-
-        if (!patientId || !supplyId || !dayOfMonth) {
-            return res.status(400).json({ success: false, error: 'Patient ID, supply ID, and day are required' });
-        }
-
-        const patientCheck = await safeQuery('SELECT * FROM patients WHERE id = $1', [patientId]);
-        if (patientCheck.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
+        const before = await loadPurchaseOrderForUpdate(req, res, OPEN_PO_STATUSES);
+        if (!before) return;
 
-        const patient = patientCheck.rows[0];
-        if (req.user.role !== 'admin' && req.user.facilityId && req.user.facilityId != patient.facility_id) {
-            return res.status(403).json({ success: false, error: 'Access denied' });
-        }
+        await safeQuery(`UPDATE purchase_orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1`, [before.id]);
 
-        await safeQuery(
-            `INSERT INTO tracking (patient_id, supply_id, day_of_month, quantity, wound_dx) 
-             VALUES ($1, $2, $3, $4, $5)
-             ON CONFLICT (patient_id, supply_id, day_of_month) 
-             DO UPDATE SET quantity = EXCLUDED.quantity, wound_dx = EXCLUDED.wound_dx, updated_at = CURRENT_TIMESTAMP`,
-            [patientId, supplyId, dayOfMonth, quantity || 0, woundDx || null]
-        );
+        const order = await getPurchaseOrder(before.id);
+        await recordAudit(req, { entityType: 'purchase_order', entityId: order.id, action: 'cancel', before, after: order });
 
-        res.json({ success: true, message: 'Tracking data saved successfully' });
+        res.json({ success: true, purchaseOrder: order });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to save tracking data' });
+        res.status(500).json({ success: false, error: 'Failed to cancel purchase order' });
     }
 });
 
-// SIMPLE CSV EXPORT ENDPOINT
-app.get('/api/export/supply-report', authenticateToken, async (req, res) => {
+// Body: { lines: [{ line_id, quantity }], notes }. Received units are added to the
+// facility's inventory as receipts against the order.
+app.post('/api/purchase-orders/:id/receive', authenticateToken, requirePermission('inventory:manage'), async (req, res) => {
     try {
-        console.log('Export request received with params:', req.query);
-        const { facility_id, month } = req.query;
-        
-        let conditions = ['t.quantity > 0'];
-        let params = [];
-        
-        // Handle user permissions
-        if (req.user.role !== 'admin') {
-            if (req.user.facilityId) {
-                conditions.push('p.facility_id = $' + (params.length + 1));
-                params.push(req.user.facilityId);
-                conditions.push("p.month >= '2025-09'");
-            } else {
-                return res.status(403).json({ success: false, error: 'No facility access' });
+        const loaded = await loadPurchaseOrderForUpdate(req, res, ['submitted', 'partial']);
+        if (!loaded) return;
+
+        const notes = (req.body.notes || '').toString().trim();
+
+        // Quantities are checked against the locked order so concurrent receipts cannot
+        // together take a line past its ordered quantity
+        const { before, order } = await withTransaction(async client => {
+            const before = await lockPurchaseOrder(loaded.id, ['submitted', 'partial'], client);
+
+            const receipts = [];
+            for (const received of req.body.lines || []) {
+                const line = before.lines.find(existing => existing.id == received.line_id);
+                const quantity = parseWholeNumber(received.quantity);
+                if (!line) {
+                    throw Object.assign(new Error('Line is not on this purchase order'), { status: 400 });
+                }
+                if (quantity === 0) continue;
+                if (quantity === null || quantity < 0 || quantity > line.quantity_outstanding) {
+                    throw Object.assign(
+                        new Error(`Received quantity for ${line.code} must be between 0 and ${line.quantity_outstanding}`),
+                        { status: 400 }
+                    );
+                }
+                receipts.push({ line, quantity });
             }
-        }
-        
-        // Handle facility filter
-        if (facility_id && facility_id !== 'all') {
-            if (req.user.role !== 'admin' && req.user.facilityId && req.user.facilityId != facility_id) {
-                return res.status(403).json({ success: false, error: 'No access to this facility' });
+            if (receipts.length === 0) {
+                throw Object.assign(new Error('Enter the quantity received for at least one line'), { status: 400 });
             }
-            conditions.push('p.facility_id = $' + (params.length + 1));
-            params.push(facility_id);
-        }
-        
-        // Handle month filter
-        if (month && month !== 'all') {
-            conditions.push('p.month = $' + (params.length + 1));
-            params.push(month);
-        }
 
-        const query = `
-            SELECT 
-                s.code,
-                s.description,
-                s.hcpcs,
-                s.cost,
-                p.name as patient_name,
-                p.mrn,
-                p.month,
-                f.name as facility_name,
-                t.day_of_month,
-                t.quantity,
-                t.wound_dx,
-                (t.quantity * s.cost) as total_cost
-            FROM tracking t
-            JOIN supplies s ON t.supply_id = s.id
-            JOIN patients p ON t.patient_id = p.id
-            JOIN facilities f ON p.facility_id = f.id
-            WHERE ${conditions.join(' AND ')}
-            ORDER BY s.code ASC, p.name ASC, t.day_of_month ASC
-        `;
+            for (const { line, quantity } of receipts) {
+                await safeQuery(
+                    'UPDATE purchase_order_lines SET quantity_received = quantity_received + $1 WHERE id = $2',
+                    [quantity, line.id],
+                    client
+                );
+                await recordInventoryChange({
+                    facilityId: before.facility_id,
+                    supplyId: line.supply_id,
+                    type: 'receipt',
+                    quantity,
+                    purchaseOrderId: before.id,
+                    notes: notes ? `${before.po_number}: ${notes}` : before.po_number,
+                    userId: req.user.id
+                }, client);
+            }
 
-        console.log('Executing export query with', params.length, 'parameters');
-        const result = await safeQuery(query, params);
-        console.log('Export query returned', result.rows.length, 'rows');
-        
-        if (result.rows.length === 0) {
-            return res.json({
-                success: true,
-                message: 'No supply usage data found for the selected criteria',
-                csvData: '',
-                summary: {
-                    totalRecords: 0,
-                    uniqueSupplies: 0,
-                    uniquePatients: 0,
-                    totalUnits: 0,
-                    totalCost: '0.00'
-                }
-            });
-        }
+            await safeQuery(
+                `UPDATE purchase_orders SET updated_at = CURRENT_TIMESTAMP,
+                    status = CASE WHEN EXISTS (
+                        SELECT 1 FROM purchase_order_lines WHERE purchase_order_id = $1 AND quantity_received < quantity_ordered
+                    ) THEN 'partial' ELSE 'received' END
+                 WHERE id = $1`,
+                [before.id],
+                client
+            );
 
-        // Build CSV content
-        let csvContent = 'Supply Code,Supply Description,HCPCS,Unit Cost,Patient Name,MRN,Month,Facility,Day,Quantity,Total Cost,Wound DX\n';
-        
-        // CSV escaping function - NO apostrophe for MRN
-        function escapeCsv(val) {
-            if (val === null || val === undefined) return '';
-            
-            let strVal = String(val);
-            
-            // Standard CSV escaping only
-            if (strVal.includes(',') || strVal.includes('"') || strVal.includes('\n') || strVal.includes('\r')) {
-                strVal = '"' + strVal.replace(/"/g, '""') + '"';
-            }
-            
-            return strVal;
+            return { before, order: await getPurchaseOrder(before.id, client) };
+        });
+
+        await recordAudit(req, { entityType: 'purchase_order', entityId: order.id, action: 'receive', before, after: order });
+
+        res.json({ success: true, purchaseOrder: order });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
         }
+        console.error('Error receiving purchase order:', error);
+        res.status(500).json({ success: false, error: 'Failed to receive purchase order' });
+    }
+});
 
-        // Process data and build CSV
-        let totalUnits = 0;
-        let totalCost = 0;
-        const uniqueSupplies = new Set();
-        const uniquePatients = new Set();
+// Purchase order as an XLSX workbook, returned base64 encoded for download
+app.get('/api/purchase-orders/:id/export', authenticateToken, requirePermission('inventory:view'), async (req, res) => {
+    try {
+        const order = await getPurchaseOrder(req.params.id);
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Purchase order not found' });
+        }
+        if (!canAccessFacility(req.user, order.facility_id)) {
+            return res.status(403).json({ success: false, error: 'Access denied to this facility' });
+        }
 
-        result.rows.forEach(function(row) {
-            const quantity = parseInt(row.quantity) || 0;
-            const cost = parseFloat(row.total_cost) || 0;
-            
-            totalUnits += quantity;
-            totalCost += cost;
-            uniqueSupplies.add(row.code);
-            uniquePatients.add(row.patient_name);
-            
-            const csvRow = [
-                escapeCsv(row.code),
-                escapeCsv(row.description),
-                escapeCsv(row.hcpcs || 'N/A'),
-                parseFloat(row.cost || 0).toFixed(2),
-                escapeCsv(row.patient_name),
-                escapeCsv(row.mrn || 'N/A'),
-                escapeCsv(row.month),
-                escapeCsv(row.facility_name),
-                row.day_of_month,
-                quantity,
-                cost.toFixed(2),
-                escapeCsv(row.wound_dx || '')
-            ].join(',');
-            
-            csvContent += csvRow + '\n';
+        const rows = [
+            ['Purchase Order', order.po_number],
+            ['Vendor', order.vendor_name],
+            ['Account Number', order.vendor_account_number || ''],
+            ['Ship To', order.facility_name],
+            ['Status', order.status],
+            ['Date', new Date(order.submitted_at || order.created_at).toISOString().slice(0, 10)],
+            ['Notes', order.notes || ''],
+            [],
+            ['Catalog Number', 'AR Code', 'Description', 'HCPCS', 'Quantity', 'Unit Cost', 'Extended Cost', 'Received']
+        ];
+        order.lines.forEach(line => {
+            rows.push([
+                line.catalog_number,
+                line.code,
+                line.description,
+                line.hcpcs || '',
+                line.quantity_ordered,
+                line.unit_cost === null ? '' : parseFloat(line.unit_cost),
+                parseFloat(line.extended_cost),
+                line.quantity_received
+            ]);
         });
+        rows.push([], ['', '', 'Total', '', order.lines.reduce((sum, line) => sum + line.quantity_ordered, 0), '', order.total]);
 
-        const summary = {
-            totalRecords: result.rows.length,
-            uniqueSupplies: uniqueSupplies.size,
-            uniquePatients: uniquePatients.size,
-            totalUnits: totalUnits,
-            totalCost: totalCost.toFixed(2)
-        };
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        sheet['!cols'] = [{ wch: 18 }, { wch: 10 }, { wch: 45 }, { wch: 8 }, { wch: 10 }, { wch: 10 }, { wch: 14 }, { wch: 10 }];
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, order.po_number);
+
+        await recordAudit(req, { entityType: 'purchase_order', entityId: order.id, action: 'export' });
 
-        console.log('Export completed successfully. Summary:', summary);
-        
         res.json({
             success: true,
-            csvData: csvContent,
-            summary: summary
+            filename: `${order.po_number}.xlsx`,
+            content: XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' })
         });
-
     } catch (error) {
-        console.error('Export error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to generate export report: ' + error.message 
-        });
+        console.error('Error exporting purchase order:', error);
+        res.status(500).json({ success: false, error: 'Failed to export purchase order' });
     }
 });
 
-// ADMIN USERS
-app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+// MONTH CLOSE
+app.get('/api/admin/month-closures', authenticateToken, requirePermission('months:close', 'months:reopen'), async (req, res) => {
     try {
+        const { facility_id } = req.query;
+        const params = [];
+        const conditions = [];
+
+        if (!can(req.user, 'facilities:all')) {
+            conditions.push('mc.facility_id = ANY($' + (params.length + 1) + '::int[])');
+            params.push(req.user.facilityIds);
+        }
+
+        if (facility_id) {
+            conditions.push('mc.facility_id = $' + (params.length + 1));
+            params.push(facility_id);
+        }
+
+        const where = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
         const result = await safeQuery(`
-            SELECT u.*, f.name as facility_name 
-            FROM users u 
-            LEFT JOIN facilities f ON u.facility_id = f.id 
-            ORDER BY u.name ASC
-        `);
-        res.json({ success: true, users: result.rows });
+            SELECT mc.*, f.name as facility_name,
+                   cu.name as closed_by_name, ru.name as reopened_by_name
+            FROM month_closures mc
+            JOIN facilities f ON mc.facility_id = f.id
+            LEFT JOIN users cu ON mc.closed_by = cu.id
+            LEFT JOIN users ru ON mc.reopened_by = ru.id
+            ${where}
+            ORDER BY mc.month DESC, f.name ASC, mc.closed_at DESC
+        `, params);
+
+        res.json({ success: true, closures: result.rows });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to fetch users' });
+        res.status(500).json({ success: false, error: 'Failed to fetch month closures' });
     }
 });
 
-app.post('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/month-closures', authenticateToken, requirePermission('months:close'), async (req, res) => {
     try {
-        const { name, email, password, role, facility_id } = req.body;
-        
-        if (!name || !email || !password) {
-            return res.status(400).json({ success: false, error: 'Name, email, and password are required' });
+        const { facility_id, month } = req.body;
+
+        if (!facility_id || !month || !/^\d{4}-\d{2}$/.test(month)) {
+            return res.status(400).json({ success: false, error: 'Facility and month (YYYY-MM) are required' });
         }
 
-        const existingUser = await safeQuery('SELECT id FROM users WHERE email = $1', [email]);
-        if (existingUser.rows.length > 0) {
-            return res.status(400).json({ success: false, error: 'Email already exists' });
+        if (!canAccessFacility(req.user, facility_id)) {
+            return res.status(403).json({ success: false, error: 'You can only close months for your own facility' });
+        }
+
+        const existing = await getMonthClosure(facility_id, month);
+        if (existing) {
+            return res.status(400).json({ success: false, error: `${month} is already closed for ${existing.facility_name}` });
         }
 
-        const hashedPassword = await bcrypt.hash(password, 12);
-        
         const result = await safeQuery(
-            'INSERT INTO users (name, email, password, role, facility_id, is_approved, email_verified) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
-            [name, email, hashedPassword, role || 'user', facility_id || null, true, true]
+            'INSERT INTO month_closures (facility_id, month, closed_by) VALUES ($1, $2, $3) RETURNING *',
+            [facility_id, month, req.user.id]
         );
 
-        res.json({ success: true, user: result.rows[0] });
+        await recordAudit(req, { entityType: 'month_closure', entityId: result.rows[0].id, action: 'close', after: result.rows[0] });
+
+        res.json({ success: true, closure: result.rows[0] });
 
     } catch (error) {
-        console.error('Error creating user:', error);
-        res.status(500).json({ success: false, error: 'Failed to create user' });
+        if (error.code === '23503') {
+            return res.status(404).json({ success: false, error: 'Facility not found' });
+        }
+        // A concurrent close of the same month got there first
+        if (error.code === '23505') {
+            const existing = await getMonthClosure(req.body.facility_id, req.body.month);
+            const facilityName = existing ? existing.facility_name : 'this facility';
+            return res.status(400).json({ success: false, error: `${req.body.month} is already closed for ${facilityName}` });
+        }
+        console.error('Error closing month:', error);
+        res.status(500).json({ success: false, error: 'Failed to close month' });
     }
 });
 
-app.put('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+app.put('/api/admin/month-closures/:id/reopen', authenticateToken, requirePermission('months:reopen'), async (req, res) => {
     try {
-        const userId = req.params.id;
-        const { name, email, role, facility_id } = req.body;
-        
-        if (!name || !email || !role) {
-            return res.status(400).json({ success: false, error: 'Name, email, and role are required' });
-        }
+        const closureId = req.params.id;
+        const reason = (req.body.reason || '').toString().trim();
 
-        const existingUser = await safeQuery('SELECT id FROM users WHERE email = $1 AND id != $2', [email, userId]);
-        if (existingUser.rows.length > 0) {
-            return res.status(400).json({ success: false, error: 'Email already exists' });
+        if (!reason) {
+            return res.status(400).json({ success: false, error: 'A reason is required to reopen a closed month' });
         }
 
+        const before = await safeQuery('SELECT * FROM month_closures WHERE id = $1', [closureId]);
+
         const result = await safeQuery(
-            'UPDATE users SET name = $1, email = $2, role = $3, facility_id = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5',
-            [name, email, role, facility_id || null, userId]
+            `UPDATE month_closures
+             SET reopened_by = $1, reopened_at = CURRENT_TIMESTAMP, reopen_reason = $2
+             WHERE id = $3 AND reopened_at IS NULL
+             RETURNING *`,
+            [req.user.id, reason, closureId]
         );
 
         if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, error: 'User not found' });
+            return res.status(404).json({ success: false, error: 'Closed month not found' });
         }
 
-        res.json({ success: true, message: 'User updated successfully' });
+        await recordAudit(req, {
+            entityType: 'month_closure',
+            entityId: result.rows[0].id,
+            action: 'reopen',
+            before: before.rows[0],
+            after: result.rows[0]
+        });
+
+        res.json({ success: true, closure: result.rows[0] });
 
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to update user' });
+        console.error('Error reopening month:', error);
+        res.status(500).json({ success: false, error: 'Failed to reopen month' });
     }
 });
 
-app.put('/api/admin/users/:id/approve', authenticateToken, requireAdmin, async (req, res) => {
+// AUDIT LOG
+app.get('/api/admin/audit-log', authenticateToken, requirePermission('audit:read'), async (req, res) => {
     try {
-        const userId = req.params.id;
-        
-        const result = await safeQuery(
-            'UPDATE users SET is_approved = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-            [userId]
-        );
+        const { patient_id, profile_id, user_id, entity_type, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+        const conditions = [];
+        const params = [];
+
+        if (profile_id) {
+            conditions.push('a.profile_id = $' + (params.length + 1));
+            params.push(profile_id);
+        }
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, error: 'User not found' });
+        if (patient_id) {
+            conditions.push('a.patient_id = $' + (params.length + 1));
+            params.push(patient_id);
         }
 
-        res.json({ success: true, message: 'User approved successfully' });
+        if (user_id) {
+            conditions.push('a.user_id = $' + (params.length + 1));
+            params.push(user_id);
+        }
 
+        if (entity_type) {
+            conditions.push('a.entity_type = $' + (params.length + 1));
+            params.push(entity_type);
+        }
+
+        // Dates are inclusive calendar days (YYYY-MM-DD)
+        if (from) {
+            conditions.push('a.created_at >= $' + (params.length + 1) + '::date');
+            params.push(from);
+        }
+
+        if (to) {
+            conditions.push('a.created_at < $' + (params.length + 1) + "::date + INTERVAL '1 day'");
+            params.push(to);
+        }
+
+        params.push(limit);
+
+        const result = await safeQuery(`
+            SELECT a.*, u.name as user_name, pp.name as patient_name, pp.mrn as patient_mrn
+            FROM audit_log a
+            LEFT JOIN users u ON a.user_id = u.id
+            LEFT JOIN patient_profiles pp ON a.profile_id = pp.id
+            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY a.created_at DESC, a.id DESC
+            LIMIT $${params.length}
+        `, params);
+
+        res.json({ success: true, entries: result.rows });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to approve user' });
+        if (error.code === '22007' || error.code === '22008' || error.code === '22P02') {
+            return res.status(400).json({ success: false, error: 'Invalid filter value' });
+        }
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch audit log' });
     }
 });
 
-app.put('/api/admin/users/:id/reset-password', authenticateToken, requireAdmin, async (req, res) => {
+// DATA QUALITY
+// Wound diagnoses on tracking rows and in the wound registry that are not valid ICD-10 codes
+app.get('/api/admin/data-quality/wound-dx', authenticateToken, requirePermission('audit:read'), async (req, res) => {
     try {
-        const userId = req.params.id;
-        const { newPassword } = req.body;
-        
-        if (!newPassword || newPassword.length < 8) {
-            return res.status(400).json({ success: false, error: 'Password must be at least 8 characters long' });
-        }
-        
-        const userCheck = await safeQuery('SELECT id, email, name FROM users WHERE id = $1', [userId]);
-        if (userCheck.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'User not found' });
+        const params = [];
+        const scope = patientScopeConditions(req.user, params);
+        if (!scope) {
+            return res.status(403).json({ success: false, error: 'No facility access' });
         }
-        
-        const hashedPassword = await bcrypt.hash(newPassword, 12);
-        
-        const result = await safeQuery(
-            'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-            [hashedPassword, userId]
-        );
-        
-        if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, error: 'Failed to update password' });
+        const scopeSql = scope.length > 0 ? ' AND ' + scope.join(' AND ') : '';
+
+        const [trackingValues, woundValues, codeListLoaded] = await Promise.all([
+            safeQuery(
+                `SELECT 'tracking' as source, t.wound_dx as value,
+                        COUNT(*) as entries,
+                        COUNT(DISTINCT p.profile_id) as patients,
+                        MIN(p.month) as first_month,
+                        MAX(p.month) as last_month
+                 FROM tracking t
+                 JOIN patients p ON t.patient_id = p.id
+                 WHERE t.wound_id IS NULL AND t.wound_dx IS NOT NULL AND TRIM(t.wound_dx) != ''${scopeSql}
+                 GROUP BY t.wound_dx`,
+                params
+            ),
+            safeQuery(
+                `SELECT 'wound' as source, w.icd10_code as value,
+                        COUNT(*) as entries,
+                        COUNT(DISTINCT w.profile_id) as patients,
+                        NULL as first_month,
+                        NULL as last_month
+                 FROM wounds w
+                 WHERE w.icd10_code IS NOT NULL
+                   AND EXISTS (SELECT 1 FROM patients p WHERE p.profile_id = w.profile_id${scopeSql})
+                 GROUP BY w.icd10_code`,
+                params
+            ),
+            icd10CodesLoaded()
+        ]);
+
+        const rows = trackingValues.rows.concat(woundValues.rows);
+        const normalized = [...new Set(rows.map(row => normalizeIcd10(row.value)))];
+        const known = new Set();
+        if (codeListLoaded) {
+            const found = await safeQuery('SELECT code FROM icd10_codes WHERE code = ANY($1::varchar[])', [normalized]);
+            found.rows.forEach(row => known.add(row.code));
         }
-        
-        const user = userCheck.rows[0];
-        res.json({ 
-            success: true, 
-            message: 'Password reset successfully for ' + user.name,
-            userEmail: user.email
+
+        const issues = [];
+        rows.forEach(row => {
+            const code = normalizeIcd10(row.value);
+            const validFormat = ICD10_PATTERN.test(code);
+            const inList = !codeListLoaded || known.has(code);
+
+            let issue = null;
+            if (!validFormat) {
+                issue = 'Not an ICD-10 code';
+            } else if (!inList) {
+                issue = 'Not in the ICD-10 code list';
+            } else if (code !== row.value) {
+                issue = 'Not in standard format';
+            }
+            if (!issue) return;
+
+            issues.push({
+                source: row.source,
+                value: row.value,
+                suggestion: validFormat && inList ? code : null,
+                issue,
+                entries: parseInt(row.entries) || 0,
+                patients: parseInt(row.patients) || 0,
+                first_month: row.first_month,
+                last_month: row.last_month
+            });
         });
 
+        issues.sort((a, b) => b.entries - a.entries);
+
+        res.json({ success: true, codeListLoaded, issues });
     } catch (error) {
-        console.error('Error resetting password:', error);
-        res.status(500).json({ success: false, error: 'Failed to reset password' });
+        console.error('Wound DX data quality error:', error);
+        res.status(500).json({ success: false, error: 'Failed to run data quality report' });
     }
 });
 
-app.delete('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+// PHI ACCESS REPORT
+app.get('/api/admin/phi-access', authenticateToken, requirePermission('audit:read'), async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        if (parseInt(id) === req.user.id) {
-            return res.status(400).json({ success: false, error: 'Cannot delete your own account' });
+        const { user_id, from, to } = req.query;
+
+        if (!user_id) {
+            return res.status(400).json({ success: false, error: 'A user is required' });
         }
-        
-        const result = await safeQuery('DELETE FROM users WHERE id = $1', [id]);
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, error: 'User not found' });
+        const conditions = ['l.user_id = $1'];
+        const params = [user_id];
+
+        // Dates are inclusive calendar days (YYYY-MM-DD)
+        if (from) {
+            conditions.push('l.accessed_at >= $' + (params.length + 1) + '::date');
+            params.push(from);
         }
 
-        res.json({ success: true, message: 'User deleted successfully' });
+        if (to) {
+            conditions.push('l.accessed_at < $' + (params.length + 1) + "::date + INTERVAL '1 day'");
+            params.push(to);
+        }
+
+        // Patients are reported as they were when last accessed. Entries logged before the
+        // log kept its own copy fall back to the patient as it is now.
+        const result = await safeQuery(`
+            SELECT a.patient_id,
+                   (array_agg(a.profile_id ORDER BY a.accessed_at DESC))[1] as profile_id,
+                   (array_agg(a.patient_name ORDER BY a.accessed_at DESC))[1] as patient_name,
+                   (array_agg(a.mrn ORDER BY a.accessed_at DESC))[1] as mrn,
+                   (array_agg(a.month ORDER BY a.accessed_at DESC))[1] as month,
+                   (array_agg(a.facility_name ORDER BY a.accessed_at DESC))[1] as facility_name,
+                   COUNT(*) as access_count,
+                   MIN(a.accessed_at) as first_accessed,
+                   MAX(a.accessed_at) as last_accessed,
+                   array_agg(DISTINCT a.route) as routes
+            FROM (
+                SELECT ids.patient_id, l.accessed_at, l.route,
+                       COALESCE((snap.patient->>'profile_id')::int, p.profile_id) as profile_id,
+                       COALESCE(snap.patient->>'name', p.name) as patient_name,
+                       COALESCE(snap.patient->>'mrn', p.mrn) as mrn,
+                       COALESCE(snap.patient->>'month', p.month) as month,
+                       COALESCE(snap.patient->>'facility_name', f.name) as facility_name
+                FROM phi_access_log l
+                CROSS JOIN LATERAL unnest(l.patient_ids) as ids(patient_id)
+                LEFT JOIN LATERAL (
+                    SELECT entry as patient FROM jsonb_array_elements(l.patients) entry
+                    WHERE (entry->>'id')::int = ids.patient_id
+                    LIMIT 1
+                ) snap ON true
+                LEFT JOIN patients p ON snap.patient IS NULL AND p.id = ids.patient_id
+                LEFT JOIN facilities f ON p.facility_id = f.id
+                WHERE ${conditions.join(' AND ')}
+            ) a
+            GROUP BY a.patient_id
+            ORDER BY MAX(a.accessed_at) DESC
+        `, params);
 
+        res.json({
+            success: true,
+            patients: result.rows.map(row => ({
+                ...row,
+                access_count: parseInt(row.access_count) || 0
+            }))
+        });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to delete user' });
+        if (error.code === '22007' || error.code === '22008' || error.code === '22P02') {
+            return res.status(400).json({ success: false, error: 'Invalid filter value' });
+        }
+        console.error('Error fetching PHI access report:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch PHI access report' });
     }
 });
 
@@ -1303,13 +7667,22 @@ app.use((req, res) => {
 async function startServer() {
     try {
         await initializeDatabase();
+
+        const warnings = await getSecurityWarnings();
+        warnings.forEach(warning => console.warn(`⚠️  Security: ${warning.message}`));
+
+        const fatal = warnings.filter(warning => warning.fatal);
+        if (process.env.NODE_ENV === 'production' && fatal.length > 0) {
+            console.error('Refusing to start in production until these are fixed:');
+            fatal.forEach(warning => console.error(`  - ${warning.message}`));
+            process.exit(1);
+        }
         
         app.listen(PORT, () => {
             console.log('================================');
             console.log('Wound Care RT Supply Tracker');
             console.log('================================');
             console.log(`Server running on port ${PORT}`);
-            console.log('Default credentials: admin@system.com / admin123');
             console.log('CLEAN: CSV export without MRN apostrophes');
             console.log('FIXED: Syntax errors resolved');
             console.log('STABLE: Back to working baseline');
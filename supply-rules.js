@@ -0,0 +1,115 @@
+// HCPCS utilization rules, e.g. the Medicare surgical dressing change frequencies.
+// A rule covers an inclusive HCPCS range (A6196-A6199) and limits the units used
+// on one wound per day, per 7 consecutive days ('week') or per month of service.
+// Usage of every supply in the range is added together; entries that are not tied
+// to a wound count as one wound. 'warn' rules flag usage, 'block' rules reject it.
+const PERIODS = ['day', 'week', 'month'];
+const ACTIONS = ['warn', 'block'];
+const DAYS_IN_MONTH = 31;
+
+function normalizeHcpcs(code) {
+    return (code || '').toString().trim().toUpperCase();
+}
+
+function ruleAppliesTo(rule, hcpcs) {
+    const code = normalizeHcpcs(hcpcs);
+    const start = normalizeHcpcs(rule.hcpcs_start);
+    const end = normalizeHcpcs(rule.hcpcs_end) || start;
+    return !!code && code.length === start.length && code >= start && code <= end;
+}
+
+// Day ranges [from, to] a rule's limit is checked over
+function periodWindows(period) {
+    if (period === 'day') {
+        return Array.from({ length: DAYS_IN_MONTH }, (_, i) => [i + 1, i + 1]);
+    }
+    if (period === 'week') {
+        return Array.from({ length: DAYS_IN_MONTH - 6 }, (_, i) => [i + 1, i + 7]);
+    }
+    return [[1, DAYS_IN_MONTH]];
+}
+
+function describeDays(period, startDay, endDay) {
+    if (period === 'month') return 'this month';
+    return startDay === endDay ? `on day ${startDay}` : `on days ${startDay}-${endDay}`;
+}
+
+// entries: [{ hcpcs, wound_id, day_of_month, quantity }] for one patient-month.
+// Returns one violation per rule, wound and run of overlapping windows over the limit.
+function evaluateRules(rules, entries) {
+    const violations = [];
+
+    rules.filter(rule => rule.is_active !== false).forEach(rule => {
+        const unitsByWound = new Map();
+        entries.forEach(entry => {
+            const quantity = parseInt(entry.quantity) || 0;
+            if (quantity <= 0 || !ruleAppliesTo(rule, entry.hcpcs)) return;
+
+            const woundId = entry.wound_id || 0;
+            if (!unitsByWound.has(woundId)) {
+                unitsByWound.set(woundId, new Array(DAYS_IN_MONTH + 1).fill(0));
+            }
+            unitsByWound.get(woundId)[entry.day_of_month] += quantity;
+        });
+
+        unitsByWound.forEach((days, woundId) => {
+            let run = null;
+            const closeRun = () => {
+                if (!run) return;
+                // Report the days that actually have usage rather than the window edges
+                while (days[run.start_day] === 0) run.start_day++;
+                while (days[run.end_day] === 0) run.end_day--;
+                violations.push(Object.assign(run, {
+                    message: `${rule.name}: ${run.units} units ${describeDays(rule.period, run.start_day, run.end_day)} ` +
+                        `exceeds the limit of ${rule.max_units} per ${rule.period}`
+                }));
+                run = null;
+            };
+
+            periodWindows(rule.period).forEach(([from, to]) => {
+                let units = 0;
+                for (let day = from; day <= to; day++) units += days[day];
+
+                if (units <= rule.max_units) {
+                    if (run && from > run.end_day) closeRun();
+                    return;
+                }
+
+                // Overlapping week windows over the limit are reported as one run
+                if (run && from <= run.end_day) {
+                    run.end_day = to;
+                    run.units = Math.max(run.units, units);
+                    return;
+                }
+                closeRun();
+                run = {
+                    rule_id: rule.id,
+                    rule_name: rule.name,
+                    action: rule.action,
+                    period: rule.period,
+                    max_units: rule.max_units,
+                    hcpcs_start: rule.hcpcs_start,
+                    hcpcs_end: rule.hcpcs_end,
+                    wound_id: woundId || null,
+                    start_day: from,
+                    end_day: to,
+                    units
+                };
+            });
+            closeRun();
+        });
+    });
+
+    return violations;
+}
+
+// Violations that cover a given entry: same wound, a rule for its HCPCS and a window containing its day
+function violationsFor(violations, { hcpcs, wound_id, day_of_month }) {
+    return violations.filter(violation =>
+        (violation.wound_id || 0) === (wound_id || 0) &&
+        ruleAppliesTo(violation, hcpcs) &&
+        (day_of_month === undefined || (day_of_month >= violation.start_day && day_of_month <= violation.end_day))
+    );
+}
+
+module.exports = { PERIODS, ACTIONS, normalizeHcpcs, ruleAppliesTo, evaluateRules, violationsFor };
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator,
+// Microsoft Authenticator, 1Password, etc.: SHA-1, 6 digits, 30 second steps.
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = '';
+    for (const char of clean) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+// 160-bit secret, base32 encoded for authenticator apps
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function generateCode(secret, step = currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return (binary % Math.pow(10, DIGITS)).toString().padStart(DIGITS, '0');
+}
+
+// Returns the matching time step, or null. One step of clock drift is allowed either way;
+// steps at or before lastUsedStep are rejected so a code cannot be replayed.
+function verifyCode(secret, code, lastUsedStep = null, window = 1) {
+    const clean = (code || '').toString().replace(/\s/g, '');
+    if (!/^\d{6}$/.test(clean)) return null;
+
+    const step = currentStep();
+    for (let candidate = step - window; candidate <= step + window; candidate++) {
+        if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+        const expected = generateCode(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+// otpauth:// URI; authenticator apps read it from a QR code or accept the secret typed in
+function provisioningUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = { generateSecret, generateCode, verifyCode, provisioningUri };